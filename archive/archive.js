@@ -0,0 +1,296 @@
+/**
+ * Archive Page Script for WaterlooActuallyWorks
+ * Browse and search postings saved from WaterlooWorks, including ones that
+ * have since been taken down
+ */
+
+// Page state
+const state = {
+  entries: [],
+  shortlist: {},
+  selectedId: null,
+  filterText: '',
+  shortlistedOnly: false
+};
+
+// Element references
+const elements = {
+  summary: document.getElementById('archive-summary'),
+  filterText: document.getElementById('filter-text'),
+  filterShortlisted: document.getElementById('filter-shortlisted'),
+  list: document.getElementById('archive-list'),
+  emptyState: document.getElementById('empty-state'),
+  detail: document.getElementById('archive-detail')
+};
+
+/**
+ * Format a timestamp as a short date
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * All of an entry's text, lowercased for searching
+ * @param {object} entry - Archived posting
+ * @returns {string}
+ */
+function getSearchText(entry) {
+  if (!entry.searchText) {
+    entry.searchText = [
+      entry.id, entry.title, entry.employer,
+      ...Object.values(entry.fields || {}),
+      ...(entry.sections || []).map(section => section.text)
+    ].filter(Boolean).join('\n').toLowerCase();
+  }
+  return entry.searchText;
+}
+
+/**
+ * Get entries matching the search, most recently captured first
+ * @returns {object[]}
+ */
+function getVisibleEntries() {
+  const words = state.filterText.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return state.entries.filter(entry => {
+    if (state.shortlistedOnly && !state.shortlist[entry.id]) return false;
+    const text = getSearchText(entry);
+    return words.every(word => text.includes(word));
+  });
+}
+
+/**
+ * Append text to an element, marking the search words in it
+ * @param {Element} element - Element to fill
+ * @param {string} text - Text to show
+ */
+function appendHighlighted(element, text) {
+  const words = state.filterText.split(/\s+/).filter(Boolean)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (words.length === 0) {
+    element.appendChild(document.createTextNode(text));
+    return;
+  }
+
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+  text.split(pattern).forEach((part, index) => {
+    if (index % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else if (part) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+/**
+ * Render one posting in the list
+ * @param {object} entry - Archived posting
+ * @returns {HTMLLIElement}
+ */
+function renderListItem(entry) {
+  const li = document.createElement('li');
+  li.className = `archive-item${entry.id === state.selectedId ? ' is-selected' : ''}`;
+  li.addEventListener('click', () => selectEntry(entry.id));
+
+  const title = document.createElement('span');
+  title.className = 'archive-item-title';
+  appendHighlighted(title, entry.title || `Job ${entry.id}`);
+  if (state.shortlist[entry.id]) {
+    const badge = document.createElement('span');
+    badge.className = 'archive-badge';
+    badge.textContent = '★';
+    badge.title = 'Shortlisted';
+    title.appendChild(badge);
+  }
+  li.appendChild(title);
+
+  const meta = document.createElement('span');
+  meta.className = 'archive-item-meta';
+  meta.textContent = [entry.employer, entry.id, `saved ${formatDate(entry.capturedAt)}`].filter(Boolean).join(' · ');
+  li.appendChild(meta);
+
+  return li;
+}
+
+/**
+ * Render the selected posting in full
+ */
+function renderDetail() {
+  const entry = state.entries.find(e => e.id === state.selectedId);
+  elements.detail.innerHTML = '';
+
+  if (!entry) {
+    elements.detail.innerHTML = '<p class="empty-state">Pick a posting to read it.</p>';
+    return;
+  }
+
+  const { ExportFieldLabels, SummaryFieldKeys, ExportFormats } = window.AzureExport;
+
+  const title = document.createElement('h2');
+  title.textContent = entry.title || `Job ${entry.id}`;
+  elements.detail.appendChild(title);
+
+  const byline = document.createElement('p');
+  byline.className = 'archive-byline';
+  const saved = entry.firstCapturedAt && entry.firstCapturedAt !== entry.capturedAt
+    ? `first saved ${formatDate(entry.firstCapturedAt)}, updated ${formatDate(entry.capturedAt)}`
+    : `saved ${formatDate(entry.capturedAt)}`;
+  byline.textContent = `${[entry.employer, `Job ID ${entry.id}`, saved].filter(Boolean).join(' · ')} · `;
+  const link = document.createElement('a');
+  link.href = entry.url;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = 'Open on WaterlooWorks';
+  link.title = 'Only works while the posting is still up';
+  byline.appendChild(link);
+  elements.detail.appendChild(byline);
+
+  const actions = document.createElement('div');
+  actions.className = 'archive-actions';
+  ExportFormats.forEach(format => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = format.label;
+    button.title = `Download as ${format.label}`;
+    button.addEventListener('click', () => window.AzureExport.exportPostings(entry, format.id));
+    actions.appendChild(button);
+  });
+  const remove = document.createElement('button');
+  remove.className = 'btn btn-danger';
+  remove.textContent = 'Delete';
+  remove.addEventListener('click', () => deleteEntry(entry.id));
+  actions.appendChild(remove);
+  elements.detail.appendChild(actions);
+
+  const summaryKeys = SummaryFieldKeys.filter(key => entry.fields && entry.fields[key]);
+  if (summaryKeys.length > 0) {
+    const table = document.createElement('table');
+    table.className = 'archive-fields';
+    summaryKeys.forEach(key => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.textContent = ExportFieldLabels[key];
+      const td = document.createElement('td');
+      appendHighlighted(td, entry.fields[key]);
+      tr.append(th, td);
+      table.appendChild(tr);
+    });
+    elements.detail.appendChild(table);
+  }
+
+  (entry.sections || [])
+    .filter(section => !(section.key && SummaryFieldKeys.includes(section.key)))
+    .forEach(section => {
+      const heading = document.createElement('h3');
+      heading.textContent = section.label;
+      const text = document.createElement('div');
+      text.className = 'archive-section-text';
+      appendHighlighted(text, section.text);
+      elements.detail.append(heading, text);
+    });
+}
+
+/**
+ * Render the list and the selected posting
+ */
+function render() {
+  const visible = getVisibleEntries();
+  elements.list.innerHTML = '';
+  visible.forEach(entry => elements.list.appendChild(renderListItem(entry)));
+
+  const total = state.entries.length;
+  elements.emptyState.classList.toggle('hidden', visible.length > 0);
+  elements.summary.textContent = visible.length === total
+    ? `${total} posting${total === 1 ? '' : 's'} saved`
+    : `Showing ${visible.length} of ${total} postings`;
+
+  renderDetail();
+}
+
+/**
+ * Show a posting, and remember it in the URL so the page can be linked to
+ * @param {string} id - WaterlooWorks job ID
+ */
+function selectEntry(id) {
+  state.selectedId = id;
+  history.replaceState(null, '', `#${id}`);
+  render();
+}
+
+/**
+ * Remove a posting from the archive
+ * @param {string} id - WaterlooWorks job ID
+ */
+async function deleteEntry(id) {
+  if (!confirm('Delete this posting from the archive?')) return;
+
+  try {
+    await window.AzureArchive.deleteArchivedPosting(id);
+  } catch (error) {
+    console.error('[Azure Archive] Failed to delete posting:', error);
+    alert(`Could not delete this posting: ${error.message}`);
+    return;
+  }
+
+  state.entries = state.entries.filter(entry => entry.id !== id);
+  state.selectedId = null;
+  history.replaceState(null, '', window.location.pathname);
+  render();
+}
+
+/**
+ * Load archived postings
+ */
+async function loadArchive() {
+  try {
+    state.entries = await window.AzureArchive.getArchivedPostings();
+    state.shortlist = await window.AzureStorage.getShortlist();
+
+    const linked = window.location.hash.slice(1);
+    state.selectedId = state.entries.some(entry => entry.id === linked)
+      ? linked
+      : (state.entries[0] && state.entries[0].id) || null;
+    render();
+  } catch (error) {
+    console.error('[Azure Archive] Failed to load archive:', error);
+    elements.summary.textContent = 'Failed to load archive';
+  }
+}
+
+/**
+ * Initialize event listeners
+ */
+function initEventListeners() {
+  elements.filterText.addEventListener('input', (e) => {
+    state.filterText = e.target.value.trim();
+    render();
+  });
+
+  elements.filterShortlisted.addEventListener('change', (e) => {
+    state.shortlistedOnly = e.target.checked;
+    render();
+  });
+
+  window.AzureStorage.onShortlistChanged((changes) => {
+    for (const [jobId, { newValue }] of Object.entries(changes)) {
+      if (newValue) {
+        state.shortlist[jobId] = newValue;
+      } else {
+        delete state.shortlist[jobId];
+      }
+    }
+    render();
+  });
+}
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+  loadArchive();
+  initEventListeners();
+});
@@ -0,0 +1,252 @@
+/**
+ * Comparison Page Script for WaterlooActuallyWorks
+ * Lays out two to four postings side by side, using the fields the rearranger
+ * parsed when each posting was opened, and highlights where they differ
+ */
+
+// Fallback for records captured before their posting URL was known
+const POSTINGS_URL = 'https://waterlooworks.uwaterloo.ca/myAccount/co-op/coop-postings.htm';
+
+// Page state
+const state = {
+  ids: [],
+  records: {},
+  parsed: {},
+  onlyDifferences: false
+};
+
+// Element references
+const elements = {
+  summary: document.getElementById('compare-summary'),
+  onlyDifferences: document.getElementById('only-differences'),
+  head: document.getElementById('compare-head'),
+  body: document.getElementById('compare-body'),
+  emptyState: document.getElementById('empty-state')
+};
+
+/**
+ * Rows of the comparison, in the Key Information box's order
+ */
+const COMPARE_ROWS = [
+  { key: 'organization', label: 'Employer' },
+  { key: 'duration', label: 'Duration' },
+  { key: 'location', label: 'Location' },
+  { key: 'compensation', label: 'Compensation' },
+  { key: 'pay', label: 'Normalized pay' },
+  { key: 'deadline', label: 'Deadline' },
+  { key: 'method', label: 'Application method' },
+  { key: 'targeted_degrees', label: 'Targeted degrees' }
+];
+
+/**
+ * Get a posting's comparable values, preferring the parsed posting over the
+ * row details captured when it was picked or shortlisted
+ * @param {string} id - WaterlooWorks job ID
+ * @returns {object} Row key -> value
+ */
+function getJobValues(id) {
+  const record = state.records[id] || {};
+  const parsed = state.parsed[id] || {};
+
+  const values = {
+    organization: parsed.organization || record.employer,
+    duration: parsed.duration || record.duration,
+    location: parsed.location || record.location,
+    compensation: parsed.compensation || record.compensation,
+    deadline: parsed.deadline || record.deadline,
+    method: parsed.method,
+    targeted_degrees: parsed.targeted_degrees
+  };
+
+  values.pay = values.compensation
+    ? window.AzureCompensation.parseCompensation(values.compensation)
+    : record.pay || null;
+
+  return values;
+}
+
+/**
+ * Text shown for a value in the table
+ * @param {string} key - Row key
+ * @param {*} value - Value from getJobValues
+ * @returns {string}
+ */
+function formatValue(key, value) {
+  if (key === 'pay') return value ? window.AzureCompensation.formatPay(value) : '';
+  return value ? String(value).trim() : '';
+}
+
+function normalizeValue(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the URL that opens a posting
+ * @param {string} id - WaterlooWorks job ID
+ * @returns {string}
+ */
+function getJobUrl(id) {
+  const record = state.records[id];
+  return (record && record.url) || `${POSTINGS_URL}?wawJob=${encodeURIComponent(id)}`;
+}
+
+/**
+ * Column header for a posting
+ * @param {string} id - WaterlooWorks job ID
+ * @returns {HTMLTableCellElement}
+ */
+function renderJobHeader(id) {
+  const record = state.records[id] || {};
+  const th = document.createElement('th');
+  th.className = 'compare-job';
+
+  const remove = document.createElement('button');
+  remove.className = 'compare-remove';
+  remove.textContent = '×';
+  remove.title = 'Remove from comparison';
+  remove.addEventListener('click', () => removeJob(id));
+  th.appendChild(remove);
+
+  const link = document.createElement('a');
+  link.href = getJobUrl(id);
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = record.title || `Job ${id}`;
+  th.appendChild(link);
+
+  const jobId = document.createElement('span');
+  jobId.className = 'job-id';
+  jobId.textContent = id;
+  th.appendChild(jobId);
+
+  if (!state.parsed[id]) {
+    const notParsed = document.createElement('span');
+    notParsed.className = 'not-parsed';
+    notParsed.textContent = 'Open this posting on WaterlooWorks to fill in every field';
+    th.appendChild(notParsed);
+  }
+
+  return th;
+}
+
+/**
+ * Render the comparison table
+ */
+function render() {
+  const ids = state.ids;
+  elements.head.innerHTML = '';
+  elements.body.innerHTML = '';
+
+  elements.emptyState.classList.toggle('hidden', ids.length > 0);
+  elements.summary.textContent = ids.length === 1
+    ? 'Pick at least one more posting to compare'
+    : `Comparing ${ids.length} postings`;
+  if (ids.length === 0) return;
+
+  const headRow = document.createElement('tr');
+  const corner = document.createElement('th');
+  corner.className = 'col-label';
+  headRow.appendChild(corner);
+  ids.forEach(id => headRow.appendChild(renderJobHeader(id)));
+  elements.head.appendChild(headRow);
+
+  const values = ids.map(getJobValues);
+
+  // Best paid column, when at least two postings state their pay
+  const paySort = values.map(v => window.AzureCompensation.getPaySortValue(v.pay));
+  const known = paySort.filter(v => v !== null && v !== undefined);
+  const bestPay = known.length > 1 ? Math.max(...known) : null;
+
+  for (const { key, label } of COMPARE_ROWS) {
+    const texts = values.map(v => formatValue(key, v[key]));
+    const distinct = new Set(texts.map(normalizeValue));
+    const isDifferent = ids.length > 1 && distinct.size > 1;
+
+    if (state.onlyDifferences && !isDifferent) continue;
+
+    const tr = document.createElement('tr');
+    tr.classList.toggle('is-different', isDifferent);
+
+    const th = document.createElement('th');
+    th.textContent = label;
+    tr.appendChild(th);
+
+    texts.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text || 'Not listed';
+      td.classList.toggle('is-missing', !text);
+      td.classList.toggle('is-best', key === 'pay' && bestPay !== null && paySort[index] === bestPay);
+      tr.appendChild(td);
+    });
+
+    elements.body.appendChild(tr);
+  }
+}
+
+/**
+ * Drop a posting from the comparison
+ * @param {string} id - WaterlooWorks job ID
+ */
+async function removeJob(id) {
+  state.ids = state.ids.filter(other => other !== id);
+
+  const url = new URL(window.location.href);
+  url.searchParams.set('ids', state.ids.join(','));
+  history.replaceState(null, '', url);
+
+  if (state.records[id] && state.records[id].isComparePick) {
+    await window.AzureStorage.setCompareJob({ id }, false);
+  }
+  render();
+}
+
+/**
+ * Load the postings named in the URL, or the ones picked on WaterlooWorks
+ */
+async function loadComparison() {
+  try {
+    const [shortlist, picks, parsed] = await Promise.all([
+      window.AzureStorage.getShortlist(),
+      window.AzureStorage.getCompareJobs(),
+      window.AzureStorage.getParsedPostings()
+    ]);
+
+    state.records = { ...shortlist };
+    picks.forEach(job => {
+      state.records[job.id] = { ...job, ...shortlist[job.id], isComparePick: true };
+    });
+    state.parsed = parsed;
+
+    const param = new URLSearchParams(window.location.search).get('ids');
+    const ids = param ? param.split(',') : picks.map(job => job.id);
+    state.ids = [...new Set(ids.map(id => id.trim()).filter(Boolean))]
+      .slice(0, window.AzureStorage.MAX_COMPARE_JOBS);
+
+    render();
+  } catch (error) {
+    console.error('[Azure Compare] Failed to load postings:', error);
+    elements.summary.textContent = 'Failed to load postings';
+  }
+}
+
+/**
+ * Initialize event listeners
+ */
+function initEventListeners() {
+  elements.onlyDifferences.addEventListener('change', (e) => {
+    state.onlyDifferences = e.target.checked;
+    render();
+  });
+
+  // Postings opened on WaterlooWorks while this page is open
+  window.AzureStorage.onParsedPostingsChanged((newValue) => {
+    state.parsed = newValue;
+    render();
+  });
+}
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+  loadComparison();
+  initEventListeners();
+});
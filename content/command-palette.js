@@ -0,0 +1,550 @@
+/**
+ * Command Palette for WaterlooActuallyWorks
+ * Searchable overlay (Ctrl+K by default) for jumping to WaterlooWorks pages,
+ * opening shortlisted jobs and running extension actions.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Command Palette loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  let settings = { keyboardShortcuts: true, keyboardBindings: {} };
+  let overlay = null;
+  let results = [];
+  let activeIndex = 0;
+
+  const MAX_RESULTS = 12;
+
+  const PAGE_TARGETS = [
+    { pageType: 'dashboard', label: 'Dashboard', icon: '📊' },
+    { pageType: 'postings', label: 'Job Postings', icon: '💼' },
+    { pageType: 'applications', label: 'Applications', icon: '📝' },
+    { pageType: 'interviews', label: 'Interviews', icon: '🗓️' },
+    { pageType: 'messages', label: 'Messages', icon: '✉️' }
+  ];
+
+  // ============================================
+  // Commands
+  // ============================================
+
+  function getPageCommands() {
+    const { getCurrentPageType, getPageUrl } = window.AzureSelectors;
+    const currentPage = getCurrentPageType();
+
+    return PAGE_TARGETS
+      .map(target => ({ ...target, url: getPageUrl(target.pageType) }))
+      .filter(target => target.url)
+      .map(target => ({
+        group: 'Go to',
+        icon: target.icon,
+        label: target.label,
+        hint: target.pageType === currentPage ? 'Current page' : '',
+        keywords: target.pageType,
+        run: () => { window.location.href = target.url; }
+      }));
+  }
+
+  /**
+   * Extension actions. pageTypes limits an action to those pages; selector
+   * (a key path into the Selectors map) requires that element on the page.
+   */
+  function getActionCommands() {
+    const actions = [
+      {
+        icon: '⭐', label: 'Open My Shortlist', keywords: 'saved starred',
+        run: () => chrome.runtime.sendMessage({ action: 'openTab', url: chrome.runtime.getURL('shortlist/shortlist.html') })
+      },
+      {
+        icon: '🗄️', label: 'Open posting archive', keywords: 'saved expired closed history',
+        run: () => chrome.runtime.sendMessage({ action: 'openTab', url: chrome.runtime.getURL('archive/archive.html') })
+      },
+      {
+        icon: '⬇️', label: 'Export shortlist (JSON)', keywords: 'download save backup',
+        run: exportShortlist
+      },
+      {
+        icon: '🌙', label: 'Toggle dark mode', keywords: 'theme light night',
+        run: toggleDarkMode
+      },
+      {
+        icon: '⚙️', label: 'Open settings', keywords: 'options preferences shortcuts',
+        run: () => chrome.runtime.sendMessage({ action: 'openOptions' })
+      },
+      {
+        icon: '→', label: 'Next job', pageTypes: ['postings'], keywords: 'forward',
+        isAvailable: () => window.WAWNavigator && window.WAWNavigator.isModalOpen(),
+        run: () => window.WAWNavigator.navigateJob(1)
+      },
+      {
+        icon: '←', label: 'Previous job', pageTypes: ['postings'], keywords: 'back',
+        isAvailable: () => window.WAWNavigator && window.WAWNavigator.isModalOpen(),
+        run: () => window.WAWNavigator.navigateJob(-1)
+      },
+      {
+        icon: '👁', label: 'Toggle skipping seen jobs', pageTypes: ['postings'], keywords: 'viewed unseen',
+        isAvailable: () => !!window.WAWNavigator,
+        run: () => window.WAWNavigator.toggleSkipSeen()
+      },
+      {
+        icon: '⊘', label: 'Show or collapse hidden jobs', pageTypes: ['postings'], keywords: 'blocked employers',
+        isAvailable: () => !!window.AzureJobHiding,
+        run: () => window.AzureJobHiding.toggleShowHidden()
+      },
+      {
+        icon: '🔎', label: 'Focus posting filters', pageTypes: ['postings'], selector: 'postings.filters', keywords: 'search',
+        run: (el) => {
+          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          const input = el.querySelector('input, select');
+          if (input) input.focus();
+        }
+      },
+      {
+        icon: '✉️', label: 'Open first unread message', pageTypes: ['messages'], selector: 'messages.unread', keywords: 'inbox',
+        run: (el) => {
+          const link = el.querySelector('a') || el;
+          link.click();
+        }
+      }
+    ];
+
+    const { Selectors, querySelector, getCurrentPageType } = window.AzureSelectors;
+    const currentPage = getCurrentPageType();
+
+    return actions
+      .filter(action => !action.pageTypes || action.pageTypes.includes(currentPage))
+      .filter(action => !action.isAvailable || action.isAvailable())
+      .map(action => {
+        const [group, key] = action.selector ? action.selector.split('.') : [];
+        const target = action.selector ? querySelector(Selectors[group][key]) : null;
+        if (action.selector && !target) return null;
+
+        return {
+          group: 'Actions',
+          icon: action.icon,
+          label: action.label,
+          keywords: action.keywords,
+          run: () => action.run(target)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  async function getJobCommands(query) {
+    const commands = [];
+    let shortlist = {};
+
+    try {
+      shortlist = window.AzureStorage ? await window.AzureStorage.getShortlist() : {};
+    } catch (e) {
+      console.error('[WAW] Failed to load shortlist for palette:', e);
+    }
+
+    for (const record of Object.values(shortlist)) {
+      const status = window.AzureStorage.getJobStatus(record);
+      commands.push({
+        group: 'Shortlist',
+        icon: '★',
+        label: record.title || `Job ${record.id}`,
+        hint: [record.employer, `#${record.id}`, status.label].filter(Boolean).join(' · '),
+        keywords: `${record.id} ${record.employer || ''}`,
+        run: () => openJob(record.id, record.url)
+      });
+    }
+
+    // Any job by ID, shortlisted or not
+    const idMatch = query.trim().match(/^\d{6}$/);
+    if (idMatch && !shortlist[idMatch[0]]) {
+      commands.push({
+        group: 'Jobs',
+        icon: '💼',
+        label: `Open job ${idMatch[0]}`,
+        keywords: idMatch[0],
+        run: () => openJob(idMatch[0])
+      });
+    }
+
+    return commands;
+  }
+
+  function openJob(jobId, url = null) {
+    const link = document.querySelector(`tr[data-waw-job-id="${jobId}"] td a`);
+    if (link) {
+      link.closest('tr').scrollIntoView({ behavior: 'smooth', block: 'center' });
+      link.click();
+      return;
+    }
+
+    // Postings opens the job from ?wawJob= once its row is on the page
+    const postingsUrl = new URL(url || window.AzureSelectors.getPageUrl('postings'));
+    postingsUrl.searchParams.set('wawJob', jobId);
+    window.location.href = postingsUrl.toString();
+  }
+
+  async function toggleDarkMode() {
+    const current = await window.AzureStorage.getSettings(['darkMode']);
+    await window.AzureStorage.saveSettings({ darkMode: !current.darkMode });
+  }
+
+  // Same JSON as the shortlist page's export. The archive lives in the
+  // extension's IndexedDB, which only the service worker can reach from here.
+  async function exportShortlist() {
+    const shortlist = await window.AzureStorage.getShortlist();
+    const notes = await window.AzureStorage.getNotes();
+    const parsed = await window.AzureStorage.getParsedPostings();
+
+    const postings = await Promise.all(Object.values(shortlist).map(async record => {
+      let archived = null;
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'getArchivedPosting', jobId: record.id });
+        archived = response && !response.error ? response : null;
+      } catch (e) {
+        console.error('[WAW] Failed to read archived posting:', e);
+      }
+
+      return window.AzureExport.buildShortlistPosting(record, {
+        parsed: parsed[record.id],
+        archived,
+        note: notes[record.id] ? notes[record.id].text : ''
+      });
+    }));
+
+    window.AzureExport.exportPostings(postings, 'json');
+  }
+
+  // ============================================
+  // Search
+  // ============================================
+
+  function scoreCommand(command, words) {
+    const label = command.label.toLowerCase();
+    const haystack = `${label} ${command.hint || ''} ${command.keywords || ''} ${command.group}`.toLowerCase();
+
+    if (!words.every(word => haystack.includes(word))) return -1;
+
+    // Label matches rank above keyword matches, prefix matches highest
+    let score = 0;
+    for (const word of words) {
+      if (label.startsWith(word)) score += 3;
+      else if (label.includes(word)) score += 2;
+      else score += 1;
+    }
+    return score;
+  }
+
+  async function search(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const commands = [...getPageCommands(), ...getActionCommands(), ...await getJobCommands(query)];
+
+    if (words.length === 0) {
+      // Without a query, pages and actions first; jobs are one keystroke away
+      return commands.filter(c => c.group !== 'Shortlist').slice(0, MAX_RESULTS);
+    }
+
+    return commands
+      .map(command => ({ command, score: scoreCommand(command, words) }))
+      .filter(({ score }) => score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map(({ command }) => command);
+  }
+
+  // ============================================
+  // Overlay
+  // ============================================
+
+  function open() {
+    if (overlay) return;
+
+    overlay = document.createElement('div');
+    overlay.id = 'waw-command-palette';
+    overlay.className = 'azure-injected';
+    overlay.innerHTML = `
+      <div class="waw-palette-box" role="dialog" aria-label="Command palette">
+        <input type="text" class="waw-palette-input" placeholder="Go to a page, open a shortlisted job, or run an action..." autocomplete="off">
+        <ul class="waw-palette-results" role="listbox"></ul>
+      </div>
+    `;
+
+    const input = overlay.querySelector('.waw-palette-input');
+    input.addEventListener('input', () => update(input.value));
+    input.addEventListener('keydown', onInputKeydown);
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.target === overlay) close();
+    });
+
+    document.body.appendChild(overlay);
+    input.focus();
+    update('');
+  }
+
+  function close() {
+    if (!overlay) return;
+    overlay.remove();
+    overlay = null;
+    results = [];
+  }
+
+  async function update(query) {
+    const found = await search(query);
+
+    // Ignore results for a query the user has already typed past
+    if (!overlay || overlay.querySelector('.waw-palette-input').value !== query) return;
+
+    results = found;
+    activeIndex = 0;
+    render();
+  }
+
+  function render() {
+    const list = overlay.querySelector('.waw-palette-results');
+    list.innerHTML = '';
+
+    if (results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'waw-palette-empty';
+      empty.textContent = 'No matching commands';
+      list.appendChild(empty);
+      return;
+    }
+
+    results.forEach((command, index) => {
+      const item = document.createElement('li');
+      item.className = `waw-palette-item${index === activeIndex ? ' is-active' : ''}`;
+      item.setAttribute('role', 'option');
+
+      const icon = document.createElement('span');
+      icon.className = 'waw-palette-icon';
+      icon.textContent = command.icon || '';
+
+      const label = document.createElement('span');
+      label.className = 'waw-palette-label';
+      label.textContent = command.label;
+
+      const hint = document.createElement('span');
+      hint.className = 'waw-palette-hint';
+      hint.textContent = command.hint || command.group;
+
+      item.append(icon, label, hint);
+      item.addEventListener('mousemove', () => {
+        if (activeIndex === index) return;
+        activeIndex = index;
+        render();
+      });
+      item.addEventListener('click', () => runCommand(command));
+      list.appendChild(item);
+    });
+
+    const active = list.children[activeIndex];
+    if (active) active.scrollIntoView({ block: 'nearest' });
+  }
+
+  function runCommand(command) {
+    close();
+    try {
+      command.run();
+    } catch (e) {
+      console.error('[WAW] Command failed:', command.label, e);
+    }
+  }
+
+  function onInputKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (results.length) activeIndex = (activeIndex + 1) % results.length;
+        render();
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (results.length) activeIndex = (activeIndex - 1 + results.length) % results.length;
+        render();
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (results[activeIndex]) runCommand(results[activeIndex]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        close();
+        break;
+    }
+    // Keep the page's own shortcuts out of the search box
+    e.stopPropagation();
+  }
+
+  // ============================================
+  // Keyboard
+  // ============================================
+
+  function setupShortcut() {
+    document.addEventListener('keydown', (e) => {
+      if (!settings.keyboardShortcuts || !window.AzureShortcuts) return;
+
+      const shortcut = window.AzureShortcuts.eventToShortcut(e);
+      const bindings = window.AzureShortcuts.getShortcutBindings(settings.keyboardBindings);
+      if (!shortcut || !bindings.palette.includes(shortcut)) return;
+
+      // Plain-key bindings shouldn't fire while typing in a field
+      const typing = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable;
+      if (typing && !/^(Ctrl|Alt|Meta)\+/.test(shortcut) && !overlay) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      if (overlay) {
+        close();
+      } else {
+        open();
+      }
+    }, true);
+  }
+
+  async function loadSettings() {
+    if (!window.AzureStorage) return;
+
+    try {
+      settings = await window.AzureStorage.getSettings(['keyboardShortcuts', 'keyboardBindings']);
+    } catch (e) {
+      console.error('[WAW] Failed to load palette settings:', e);
+    }
+
+    window.AzureStorage.onSettingsChanged((changes, areaName) => {
+      if (areaName !== 'sync') return;
+      if (changes.keyboardShortcuts) settings.keyboardShortcuts = changes.keyboardShortcuts.newValue !== false;
+      if (changes.keyboardBindings) settings.keyboardBindings = changes.keyboardBindings.newValue || {};
+    });
+  }
+
+  // ============================================
+  // Styles
+  // ============================================
+
+  function injectStyles() {
+    if (!window.AzureDOMHooks) return;
+
+    window.AzureDOMHooks.injectStyles(`
+      #waw-command-palette {
+        position: fixed;
+        inset: 0;
+        z-index: 1000003;
+        display: flex;
+        justify-content: center;
+        align-items: flex-start;
+        padding-top: 12vh;
+        background: rgba(0, 0, 0, 0.35);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+
+      .waw-palette-box {
+        width: min(640px, 92vw);
+        background: white;
+        border-radius: 12px;
+        box-shadow: 0 12px 48px rgba(0, 0, 0, 0.35);
+        overflow: hidden;
+      }
+
+      .waw-palette-input {
+        width: 100%;
+        padding: 16px 20px;
+        border: none;
+        border-bottom: 1px solid #e9ecef;
+        font-size: 16px;
+        outline: none;
+        box-sizing: border-box;
+      }
+
+      .waw-palette-results {
+        max-height: 420px;
+        margin: 0;
+        padding: 6px;
+        list-style: none;
+        overflow-y: auto;
+      }
+
+      .waw-palette-item {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 8px 12px;
+        border-radius: 8px;
+        cursor: pointer;
+        color: #333;
+        font-size: 14px;
+      }
+
+      .waw-palette-item.is-active {
+        background: linear-gradient(135deg, rgba(102, 126, 234, 0.15), rgba(118, 75, 162, 0.15));
+      }
+
+      .waw-palette-icon {
+        width: 20px;
+        text-align: center;
+      }
+
+      .waw-palette-label {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .waw-palette-hint {
+        color: #888;
+        font-size: 12px;
+        white-space: nowrap;
+      }
+
+      .waw-palette-empty {
+        padding: 12px;
+        color: #888;
+        font-size: 14px;
+      }
+
+      .azure-dark .waw-palette-box,
+      .azure-dark .waw-palette-input {
+        background: #1e1e1e;
+        color: #eee;
+      }
+
+      .azure-dark .waw-palette-item {
+        color: #ddd;
+      }
+    `, 'waw-palette-styles');
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  async function initialize() {
+    console.log('[WAW] Initializing Command Palette...');
+
+    await loadSettings();
+    injectStyles();
+    setupShortcut();
+
+    console.log('[WAW] Command Palette ready!');
+  }
+
+  // Start
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    initialize();
+  } else {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  // Export
+  window.AzureCommandPalette = {
+    open,
+    close
+  };
+
+})();
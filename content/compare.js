@@ -0,0 +1,231 @@
+/**
+ * Posting Comparison for WaterlooActuallyWorks
+ * A compare toggle on each row of the postings table and a toolbar entry that
+ * opens up to four picked postings side by side on the comparison page.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Compare loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  let compareJobs = [];
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  async function loadCompareJobs() {
+    if (!window.AzureStorage) return;
+
+    try {
+      compareJobs = await window.AzureStorage.getCompareJobs();
+    } catch (e) {
+      console.error('[WAW] Failed to load comparison:', e);
+    }
+
+    // Picks made in another tab or cleared from the comparison page
+    window.AzureStorage.onCompareJobsChanged((newValue) => {
+      compareJobs = newValue;
+      refreshRows();
+    });
+  }
+
+  function isCompared(jobId) {
+    return compareJobs.some(job => job.id === String(jobId));
+  }
+
+  async function toggleCompare(jobId) {
+    if (!window.AzureStorage || !window.WAWNavigator) return;
+
+    const selected = !isCompared(jobId);
+    const updated = await window.AzureStorage.setCompareJob(window.WAWNavigator.captureJob(jobId), selected);
+
+    if (!updated) {
+      window.WAWNavigator.showNotification(`You can compare up to ${window.AzureStorage.MAX_COMPARE_JOBS} postings`, 'error');
+      return;
+    }
+
+    compareJobs = updated;
+    refreshRows();
+  }
+
+  function openComparison() {
+    const ids = compareJobs.map(job => job.id).join(',');
+    const url = chrome.runtime.getURL(`compare/compare.html?ids=${ids}`);
+    chrome.runtime.sendMessage({ action: 'openTab', url });
+  }
+
+  async function clearComparison() {
+    if (!window.AzureStorage) return;
+
+    await window.AzureStorage.clearCompareJobs();
+    compareJobs = [];
+    refreshRows();
+  }
+
+  // ============================================
+  // Table Rows
+  // ============================================
+
+  function decorateRow(row, jobId) {
+    const existing = row.querySelector('.waw-compare-toggle');
+    if (existing) existing.remove();
+
+    const titleCell = window.WAWNavigator && window.WAWNavigator.getRowTitleCell(row);
+    if (!titleCell) return;
+
+    const selected = isCompared(jobId);
+    const toggle = document.createElement('span');
+    toggle.className = `waw-row-indicator waw-compare-toggle${selected ? ' is-selected' : ''}`;
+    toggle.textContent = '⇄';
+    toggle.title = selected ? 'Remove from comparison' : 'Add to comparison';
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleCompare(jobId);
+    });
+    titleCell.appendChild(toggle);
+  }
+
+  function refreshRows() {
+    if (window.WAWNavigator) window.WAWNavigator.forEachJobRow(decorateRow);
+    updateSummary();
+  }
+
+  // ============================================
+  // Toolbar
+  // ============================================
+
+  function updateSummary() {
+    const toolbar = window.WAWNavigator ? window.WAWNavigator.getTableToolbar() : null;
+    let bar = document.getElementById('waw-compare-bar');
+
+    if (compareJobs.length === 0 || !toolbar) {
+      if (bar) bar.remove();
+      return;
+    }
+
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = 'waw-compare-bar';
+      bar.className = 'azure-injected';
+      bar.innerHTML = `
+        <span class="waw-compare-count"></span>
+        <button type="button" class="waw-compare-open">Compare</button>
+        <button type="button" class="waw-compare-clear">Clear</button>
+      `;
+      bar.querySelector('.waw-compare-open').addEventListener('click', openComparison);
+      bar.querySelector('.waw-compare-clear').addEventListener('click', clearComparison);
+    }
+
+    if (bar.parentNode !== toolbar) toolbar.appendChild(bar);
+
+    const max = window.AzureStorage.MAX_COMPARE_JOBS;
+    bar.querySelector('.waw-compare-count').textContent = `${compareJobs.length} of ${max} picked to compare`;
+    bar.querySelector('.waw-compare-count').title = compareJobs.map(job => job.title || job.id).join('\n');
+    bar.querySelector('.waw-compare-open').disabled = compareJobs.length < 2;
+  }
+
+  // ============================================
+  // Styles
+  // ============================================
+
+  function injectStyles() {
+    if (!window.AzureDOMHooks) return;
+
+    window.AzureDOMHooks.injectStyles(`
+      .waw-compare-toggle {
+        display: inline-block;
+        margin-left: 6px;
+        padding: 0 5px;
+        border: 1px solid #ccc;
+        border-radius: 4px;
+        color: #999;
+        font-size: 12px;
+        font-weight: 700;
+        line-height: 16px;
+        cursor: pointer;
+        vertical-align: middle;
+      }
+
+      .waw-compare-toggle:hover {
+        border-color: #667eea;
+        color: #667eea;
+      }
+
+      .waw-compare-toggle.is-selected {
+        border-color: #667eea;
+        background: #667eea;
+        color: white;
+      }
+
+      #waw-compare-bar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 13px;
+        color: #555;
+      }
+
+      #waw-compare-bar button {
+        padding: 2px 10px;
+        border: 1px solid #667eea;
+        border-radius: 6px;
+        background: white;
+        color: #667eea;
+        font-size: 12px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      #waw-compare-bar .waw-compare-open {
+        background: #667eea;
+        color: white;
+      }
+
+      #waw-compare-bar button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+    `, 'waw-compare-styles');
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  async function initialize() {
+    console.log('[WAW] Initializing Compare...');
+
+    await loadCompareJobs();
+    injectStyles();
+    refreshRows();
+
+    console.log('[WAW] Compare ready!');
+  }
+
+  // Start
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    initialize();
+  } else {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  // Export
+  window.AzureCompare = {
+    decorateRow,
+    updateSummary,
+    toggleCompare,
+    openComparison
+  };
+
+})();
@@ -0,0 +1,219 @@
+/**
+ * Targeted Degrees Check for WaterlooActuallyWorks
+ * Compares a posting's Targeted Degrees and Disciplines with the user's own
+ * program and level, for the Key Information box and a badge on each row.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Degree Check loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  let program = '';
+  let level = 'undergraduate';
+  let dimNonTargeted = false;
+  let parsedPostings = {};
+
+  const DegreeStatuses = {
+    targeted: { label: 'Your program is targeted', badge: '🎓 Targeted', color: '#27ae60' },
+    not_listed: { label: 'Not listed', badge: 'Not targeted', color: '#95a5a6' },
+    open: { label: 'Open to all', badge: '🎓 Open to all', color: '#3498db' }
+  };
+
+  const LEVEL_PATTERNS = {
+    undergraduate: /\b(undergrad|undergraduate|bachelor'?s?|b\.?a\.?sc|bmath|bcs|bsc|bes|bkin)\b/,
+    masters: /\b(master'?s?|masc|mmath|mba|meng|msc)\b/,
+    phd: /\b(phd|ph\.d|doctoral|doctorate)\b/
+  };
+
+  const OPEN_PATTERN = /\b(all|any) (degrees?|programs?|disciplines?|majors?|faculties|students)\b|\bopen to all\b/;
+
+  // ============================================
+  // Settings
+  // ============================================
+
+  async function loadState() {
+    if (!window.AzureStorage) return;
+
+    try {
+      const settings = await window.AzureStorage.getSettings(['degreeProgram', 'degreeLevel', 'dimNonTargeted']);
+      applySettings(settings);
+      parsedPostings = await window.AzureStorage.getParsedPostings();
+    } catch (e) {
+      console.error('[WAW] Failed to load degree check settings:', e);
+    }
+
+    window.AzureStorage.onParsedPostingsChanged((newValue) => {
+      parsedPostings = newValue;
+      refreshRows();
+    });
+
+    window.AzureStorage.onSettingsChanged((changes, areaName) => {
+      if (areaName !== 'sync') return;
+      if (!changes.degreeProgram && !changes.degreeLevel && !changes.dimNonTargeted) return;
+
+      const updated = {};
+      for (const [key, { newValue }] of Object.entries(changes)) updated[key] = newValue;
+      applySettings({ degreeProgram: program, degreeLevel: level, dimNonTargeted, ...updated });
+      refreshRows();
+    });
+  }
+
+  function applySettings(settings) {
+    program = settings.degreeProgram || '';
+    level = settings.degreeLevel || 'undergraduate';
+    dimNonTargeted = settings.dimNonTargeted === true;
+  }
+
+  // ============================================
+  // Matching
+  // ============================================
+
+  function normalize(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9'.\s-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // "Computer Engineering" is often listed as "Engineering - Computer"
+  function getProgramForms(name) {
+    const words = normalize(name).split(' ').filter(Boolean);
+    if (words.length === 0) return [];
+
+    const forms = [words.join(' ')];
+    if (words.length > 1) {
+      const last = words[words.length - 1];
+      const rest = words.slice(0, -1).join(' ');
+      forms.push(`${last} - ${rest}`, `${last}-${rest}`, `${last} ${rest}`);
+    }
+    return forms;
+  }
+
+  /**
+   * Check a posting's targeted degrees against the user's program and level
+   * @param {string} text - Targeted Degrees and Disciplines text
+   * @returns {string|null} Key of DegreeStatuses, or null with no program set
+   */
+  function checkDegrees(text) {
+    if (!program.trim() || !text) return null;
+
+    const normalized = normalize(text);
+
+    // A list that names levels, none of them ours, rules us out whatever the program
+    const mentionedLevels = Object.keys(LEVEL_PATTERNS).filter(key => LEVEL_PATTERNS[key].test(normalized));
+    if (mentionedLevels.length > 0 && !mentionedLevels.includes(level)) return 'not_listed';
+
+    if (OPEN_PATTERN.test(normalized)) return 'open';
+
+    // Several names for the same program can be given, comma separated
+    const names = program.split(',').map(name => name.trim()).filter(Boolean);
+    const targeted = names.some(name => getProgramForms(name).some(form => containsWords(normalized, form)));
+    return targeted ? 'targeted' : 'not_listed';
+  }
+
+  // Whole words only, so "CS" doesn't match inside "Physics"
+  function containsWords(text, form) {
+    const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`).test(text);
+  }
+
+  function getJobStatus(jobId) {
+    const parsed = parsedPostings[String(jobId)];
+    return parsed ? checkDegrees(parsed.targeted_degrees) : null;
+  }
+
+  // ============================================
+  // Table Rows
+  // ============================================
+
+  function decorateRow(row, jobId) {
+    const existing = row.querySelector('.waw-degree-badge');
+    if (existing) existing.remove();
+
+    const status = getJobStatus(jobId);
+    row.classList.toggle('waw-degree-dim', dimNonTargeted && status === 'not_listed');
+    if (!status) return;
+
+    const titleCell = window.WAWNavigator && window.WAWNavigator.getRowTitleCell(row);
+    if (!titleCell) return;
+
+    const badge = document.createElement('span');
+    badge.className = `waw-row-indicator waw-degree-badge waw-degree-${status}`;
+    badge.textContent = DegreeStatuses[status].badge;
+    badge.title = `Targeted degrees: ${DegreeStatuses[status].label.toLowerCase()}`;
+    badge.style.color = DegreeStatuses[status].color;
+    badge.style.borderColor = DegreeStatuses[status].color;
+    titleCell.appendChild(badge);
+  }
+
+  function refreshRows() {
+    if (window.WAWNavigator) window.WAWNavigator.forEachJobRow(decorateRow);
+  }
+
+  // ============================================
+  // Styles
+  // ============================================
+
+  function injectStyles() {
+    if (!window.AzureDOMHooks) return;
+
+    window.AzureDOMHooks.injectStyles(`
+      .waw-degree-badge {
+        display: inline-block;
+        margin-left: 6px;
+        padding: 0 6px;
+        border: 1px solid;
+        border-radius: 10px;
+        font-size: 11px;
+        font-weight: 600;
+        line-height: 16px;
+        white-space: nowrap;
+        vertical-align: middle;
+      }
+
+      tr.waw-degree-dim {
+        opacity: 0.45;
+      }
+
+      tr.waw-degree-dim:hover {
+        opacity: 0.8;
+      }
+    `, 'waw-degree-styles');
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  async function initialize() {
+    console.log('[WAW] Initializing Degree Check...');
+
+    await loadState();
+    injectStyles();
+    refreshRows();
+
+    console.log('[WAW] Degree Check ready!');
+  }
+
+  // Start
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    initialize();
+  } else {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  // Export
+  window.AzureDegreeCheck = {
+    DegreeStatuses,
+    checkDegrees,
+    decorateRow,
+    getJobStatus
+  };
+
+})();
@@ -219,8 +219,25 @@ const Azure = {
       }
     }
 
+    // Navigator settings changed: reload so they apply without a page refresh
+    if (changes.newJobDaysThreshold || changes.highlightNew || changes.shortlistFolderSync || changes.shortlistFolderName ||
+        changes.skipSeenJobs || changes.keyboardShortcuts || changes.keyboardBindings || changes.archiveMode) {
+      if (window.WAWNavigator && window.WAWNavigator.reloadSettings) {
+        window.WAWNavigator.reloadSettings();
+      }
+    }
+
+    // Table column settings changed: rebuild the injected columns
+    if (changes.tableColumns) {
+      if (window.AzureTableColumns && window.AzureTableColumns.reloadSettings) {
+        window.AzureTableColumns.reloadSettings();
+      }
+    }
+
     // Job rearranger settings changed: re-initialize to pick up new settings
-    if (changes.jobRearrangerEnabled || changes.jobRearrangerPriorityKeys || changes.jobRearrangerStandardOrder) {
+    if (changes.jobRearrangerEnabled || changes.jobRearrangerPriorityKeys || changes.jobRearrangerStandardOrder ||
+        changes.jobRearrangerCustomFields || changes.profileSkills || changes.profileLanguages ||
+        changes.profileFrameworks || changes.profileTargetRoles) {
       if (window.AzureJobInfoRearranger && window.AzureJobInfoRearranger.init) {
         window.AzureJobInfoRearranger.init();
       }
@@ -358,8 +375,125 @@ const Azure = {
   enhanceInterviews() {
     window.AzureFeatureFlags.withFeature('layout', () => {
       console.log('[Azure] Enhancing interviews');
-      // Interviews enhancements will go here
+      this.addInterviewCalendarLinks();
+    });
+  },
+
+  /**
+   * Add an "add to calendar" button to each booked interview, and one for all
+   * of them above the table
+   */
+  addInterviewCalendarLinks() {
+    if (!window.AzureCalendar) return;
+
+    const { Selectors, querySelector, querySelectorAll } = window.AzureSelectors;
+    const table = querySelector(Selectors.interviews.table);
+    if (!table) return;
+
+    const headers = Array.from(table.querySelectorAll('thead th')).map(th => th.textContent.trim());
+    const interviews = [];
+
+    querySelectorAll(Selectors.interviews.row, table).forEach(row => {
+      const interview = this.getInterviewFromRow(row, headers);
+      if (!interview) return;
+      interviews.push(interview);
+
+      if (row.querySelector('.azure-calendar-btn')) return;
+      const button = this.createCalendarButton('📅', 'Add this interview to your calendar (.ics)', () => {
+        window.AzureCalendar.downloadCalendar([window.AzureCalendar.createInterviewEvent(interview)],
+          `waterlooworks-interview-${interview.id || interview.start}`);
+      });
+      (row.lastElementChild || row).appendChild(button);
+    });
+
+    document.getElementById('azure-interviews-calendar')?.remove();
+    if (interviews.length === 0) return;
+
+    const exportAll = this.createCalendarButton(`📅 Add ${interviews.length} interview${interviews.length === 1 ? '' : 's'} to calendar`,
+      'Download every interview on this page as a calendar file (.ics)', () => {
+        window.AzureCalendar.downloadCalendar(interviews.map(window.AzureCalendar.createInterviewEvent), 'waterlooworks-interviews');
+      });
+    exportAll.id = 'azure-interviews-calendar';
+    table.parentNode.insertBefore(exportAll, table);
+  },
+
+  /**
+   * Read a booked interview from its table row
+   * @param {Element} row - Interview table row
+   * @param {string[]} headers - Column headers
+   * @returns {object|null} Interview, or null if the row is an open slot or
+   *   has no date and time
+   */
+  getInterviewFromRow(row, headers) {
+    const { Selectors, querySelector } = window.AzureSelectors;
+
+    // Slots still up for booking have a book button
+    if (querySelector(Selectors.interviews.bookBtn, row)) return null;
+
+    const cells = Array.from(row.children);
+    const cellText = (pattern) => cells
+      .filter((cell, index) => pattern.test(headers[index] || ''))
+      .map(cell => cell.textContent.trim().replace(/\s+/g, ' '))
+      .join(' ');
+
+    const slot = querySelector(Selectors.interviews.timeSlot, row);
+    const when = slot ? slot.textContent.trim() : cellText(/date|time|when|slot/i);
+
+    // Times in a range ("9:00 AM - 9:30 AM") share the date
+    const times = when.match(/\d{1,2}:\d{2}\s*(?:am|pm)?/gi);
+    if (!times) return null;
+
+    const start = window.AzureDeadlines.parseDeadlineDate(when);
+    if (!start) return null;
+    const end = times[1] ? window.AzureDeadlines.parseDeadlineDate(when.replace(times[0], times[1])) : null;
+
+    const place = querySelector(Selectors.interviews.location, row);
+    const posting = this.getInterviewPosting(row);
+
+    return {
+      id: posting.id,
+      url: posting.url,
+      title: cellText(/job|position|title/i),
+      employer: cellText(/organization|employer|company/i),
+      type: cellText(/type|method|format/i),
+      location: place ? place.textContent.trim() : cellText(/location|room|where/i),
+      start,
+      end: end && end > start ? end : null
+    };
+  },
+
+  /**
+   * Job ID and link of the posting an interview row links to
+   * @param {Element} row - Interview table row
+   * @returns {{id: string|null, url: string|null}}
+   */
+  getInterviewPosting(row) {
+    const { Selectors, querySelector } = window.AzureSelectors;
+    const link = querySelector(Selectors.interviews.postingLink, row);
+    if (!link) return { id: null, url: null };
+
+    const url = new URL(link.href, window.location.href);
+    const idMatch = (url.searchParams.get('postingId') || link.textContent).match(/\b\d{6}\b/);
+
+    return { id: idMatch ? idMatch[0] : null, url: url.toString() };
+  },
+
+  /**
+   * Small button for calendar downloads
+   * @returns {HTMLButtonElement}
+   */
+  createCalendarButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'azure-calendar-btn azure-injected';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
     });
+    return button;
   },
 
   /**
@@ -0,0 +1,298 @@
+/**
+ * Job Hiding for WaterlooActuallyWorks
+ * Hide individual postings or every posting from a blocked employer, with a
+ * counter above the postings table and a toggle to show hidden rows again.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Job Hiding loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  let hiddenJobs = {};
+  let blockedEmployers = [];
+  let showHidden = false;
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  async function loadState() {
+    if (!window.AzureStorage) return;
+
+    try {
+      hiddenJobs = await window.AzureStorage.getHiddenJobs();
+      const settings = await window.AzureStorage.getSettings([window.AzureStorage.StorageKeys.BLOCKED_EMPLOYERS]);
+      blockedEmployers = settings.blockedEmployers || [];
+      console.log(`[WAW] ${Object.keys(hiddenJobs).length} hidden jobs, ${blockedEmployers.length} blocked employers`);
+    } catch (e) {
+      console.error('[WAW] Failed to load hidden jobs:', e);
+    }
+
+    // Changes from another tab or the options page
+    window.AzureStorage.onHiddenJobsChanged((newValue) => {
+      hiddenJobs = newValue;
+      refreshRows();
+    });
+
+    window.AzureStorage.onSettingsChanged((changes, areaName) => {
+      if (areaName === 'sync' && changes.blockedEmployers) {
+        blockedEmployers = changes.blockedEmployers.newValue || [];
+        refreshRows();
+      }
+    });
+  }
+
+  function normalizeEmployer(name) {
+    return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  function isEmployerBlocked(employer) {
+    const normalized = normalizeEmployer(employer);
+    return !!normalized && blockedEmployers.some(name => normalizeEmployer(name) === normalized);
+  }
+
+  async function hideJob(jobId, hidden = true) {
+    if (!window.AzureStorage) return;
+
+    try {
+      hiddenJobs = await window.AzureStorage.setJobHidden(jobId, hidden);
+      refreshRows();
+    } catch (e) {
+      console.error('[WAW] Failed to update hidden job:', e);
+    }
+  }
+
+  async function blockEmployer(employer, blocked = true) {
+    if (!window.AzureStorage || !normalizeEmployer(employer)) return;
+
+    const normalized = normalizeEmployer(employer);
+    const others = blockedEmployers.filter(name => normalizeEmployer(name) !== normalized);
+    blockedEmployers = blocked ? [...others, employer.trim()] : others;
+
+    try {
+      await window.AzureStorage.saveSettings({ blockedEmployers });
+      refreshRows();
+    } catch (e) {
+      console.error('[WAW] Failed to update blocked employers:', e);
+    }
+  }
+
+  // ============================================
+  // Table Rows
+  // ============================================
+
+  function getHiddenReason(jobId, employer) {
+    if (hiddenJobs[String(jobId)]) return 'job';
+    if (isEmployerBlocked(employer)) return 'employer';
+    return null;
+  }
+
+  function decorateRow(row, jobId, job = {}) {
+    const existing = row.querySelector('.waw-hide-indicator');
+    if (existing) existing.remove();
+
+    // Remember the employer so the row can be re-checked without the navigator
+    if (job.employer) row.dataset.wawEmployer = job.employer;
+    const employer = row.dataset.wawEmployer || '';
+
+    const reason = getHiddenReason(jobId, employer);
+    row.classList.toggle('waw-hidden-row', !!reason);
+    if (reason) {
+      row.dataset.wawHiddenReason = reason;
+    } else {
+      delete row.dataset.wawHiddenReason;
+    }
+
+    const titleCell = window.WAWNavigator && window.WAWNavigator.getRowTitleCell(row);
+    if (!titleCell) return;
+
+    const button = document.createElement('span');
+    button.className = 'waw-row-indicator waw-hide-indicator';
+    button.textContent = '⊘';
+    button.title = 'Hide this job or employer';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      showHideMenu(button, jobId, employer);
+    });
+
+    titleCell.style.position = 'relative';
+    titleCell.appendChild(button);
+  }
+
+  function showHideMenu(anchor, jobId, employer) {
+    if (!window.WAWNavigator) return;
+
+    const items = [
+      hiddenJobs[String(jobId)]
+        ? { label: 'Unhide this job', onSelect: () => hideJob(jobId, false) }
+        : { label: 'Hide this job', onSelect: () => hideJob(jobId) }
+    ];
+
+    if (employer) {
+      items.push(isEmployerBlocked(employer)
+        ? { label: `Unblock ${employer}`, onSelect: () => blockEmployer(employer, false) }
+        : { label: `Never show ${employer}`, color: '#e74c3c', onSelect: () => blockEmployer(employer) });
+    }
+
+    window.WAWNavigator.showPopupMenu(anchor, items);
+  }
+
+  function isRowHidden(row) {
+    return !!row && row.classList.contains('waw-hidden-row');
+  }
+
+  function refreshRows() {
+    if (window.WAWNavigator) window.WAWNavigator.forEachJobRow(decorateRow);
+    updateSummary();
+  }
+
+  // ============================================
+  // Hidden Counter
+  // ============================================
+
+  function updateSummary() {
+    const rows = Array.from(document.querySelectorAll('tr.waw-hidden-row'));
+    const toolbar = window.WAWNavigator ? window.WAWNavigator.getTableToolbar() : null;
+    let bar = document.getElementById('waw-hidden-bar');
+
+    if (rows.length === 0 || !toolbar) {
+      if (bar) bar.remove();
+      return;
+    }
+
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = 'waw-hidden-bar';
+      bar.className = 'azure-injected';
+      bar.innerHTML = `
+        <span class="waw-hidden-count"></span>
+        <button type="button" class="waw-hidden-toggle"></button>
+      `;
+      bar.querySelector('.waw-hidden-toggle').addEventListener('click', toggleShowHidden);
+    }
+
+    if (bar.parentNode !== toolbar) toolbar.appendChild(bar);
+
+    const byEmployer = rows.filter(row => row.dataset.wawHiddenReason === 'employer').length;
+    bar.querySelector('.waw-hidden-count').textContent =
+      `${rows.length} hidden on this page` + (byEmployer ? ` (${byEmployer} from blocked employers)` : '');
+    bar.querySelector('.waw-hidden-toggle').textContent = showHidden ? 'Collapse hidden' : 'Show hidden';
+  }
+
+  function toggleShowHidden() {
+    showHidden = !showHidden;
+    document.body.classList.toggle('waw-show-hidden', showHidden);
+    updateSummary();
+  }
+
+  // ============================================
+  // Styles
+  // ============================================
+
+  function injectStyles() {
+    if (!window.AzureDOMHooks) return;
+
+    window.AzureDOMHooks.injectStyles(`
+      tr.waw-hidden-row {
+        display: none !important;
+      }
+
+      .waw-show-hidden tr.waw-hidden-row {
+        display: table-row !important;
+        opacity: 0.45;
+      }
+
+      .waw-hide-indicator {
+        position: absolute;
+        right: 36px;
+        top: 50%;
+        transform: translateY(-50%);
+        font-size: 16px;
+        color: #aaa;
+        cursor: pointer;
+        opacity: 0;
+        transition: opacity 0.15s ease, color 0.15s ease;
+      }
+
+      tr:hover .waw-hide-indicator,
+      tr.waw-hidden-row .waw-hide-indicator {
+        opacity: 1;
+      }
+
+      .waw-hide-indicator:hover {
+        color: #e74c3c;
+      }
+
+      #waw-hidden-bar {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 4px 12px;
+        border-radius: 8px;
+        background: #f1f3f5;
+        color: #555;
+        font-size: 13px;
+      }
+
+      .waw-hidden-toggle {
+        padding: 2px 10px;
+        border: 1px solid #667eea;
+        border-radius: 6px;
+        background: white;
+        color: #667eea;
+        font-size: 12px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      .azure-dark #waw-hidden-bar {
+        background: #2a2a2a;
+        color: #ccc;
+      }
+    `, 'waw-hiding-styles');
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  async function initialize() {
+    console.log('[WAW] Initializing Job Hiding...');
+
+    await loadState();
+    injectStyles();
+    refreshRows();
+
+    console.log('[WAW] Job Hiding ready!');
+  }
+
+  // Start
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    initialize();
+  } else {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  // Export
+  window.AzureJobHiding = {
+    decorateRow,
+    updateSummary,
+    hideJob,
+    blockEmployer,
+    isRowHidden,
+    toggleShowHidden,
+    isJobHidden: (jobId) => !!hiddenJobs[String(jobId)],
+    isEmployerBlocked
+  };
+
+})();
@@ -3,6 +3,8 @@
  * Based on the working WaterlooWorks Job Navigator extension
  * Reorders job posting info in the modal: key info at top (highlighted),
  * then job description, responsibilities, skills, targeted degrees, then the rest.
+ * The key info box stays on top of every tab; the Application tab also gets a
+ * document checklist and the Company tab a summary card.
  */
 
 (function() {
@@ -19,14 +21,34 @@
   let modalObserver = null;
   let isEnhancing = false;
   let settings = null;
+  // Key of the posting and tab last enhanced, and whether it got a box
+  let enhancedState = null;
+  // Key Information box built on OVERVIEW, reused on the other tabs
+  let cachedBox = null;
+  let tabChangeTimeout = null;
 
   // Default settings
   const DEFAULT_SETTINGS = {
     jobRearrangerEnabled: true,
     jobRearrangerPriorityKeys: ['duration', 'location', 'compensation', 'deadline', 'method'],
-    jobRearrangerStandardOrder: ['job_description', 'responsibilities', 'required_skills', 'targeted_degrees']
+    jobRearrangerStandardOrder: ['job_description', 'responsibilities', 'required_skills', 'targeted_degrees'],
+    jobRearrangerCustomFields: [],
+    profileSkills: [],
+    profileLanguages: [],
+    profileFrameworks: [],
+    profileTargetRoles: []
   };
 
+  // Application tab fields that become checklist items
+  const APPLICATION_DOCUMENT_PATTERN = /documents?/;
+  const APPLICATION_INSTRUCTION_PATTERN = /instructions?|additional application information|application procedure/;
+
+  // Company tab values longer than this go into the summary rather than the details
+  const COMPANY_DETAIL_MAX_LENGTH = 150;
+
+  // Sections whose text is matched against the skills profile
+  const SKILL_MATCH_KEYS = ['required_skills', 'responsibilities'];
+
   // Label to key mapping (matches actual WaterlooWorks labels)
   const LABEL_TO_KEY = {
     'work term duration': 'duration',
@@ -42,12 +64,17 @@
     'application deadline': 'deadline',
     'application delivery': 'method',
     'if by website, go to': 'external_url',
+    'organization': 'organization',
     'job summary': 'job_description',
     'job responsibilities': 'responsibilities',
     'required skills': 'required_skills',
     'targeted degrees and disciplines': 'targeted_degrees'
   };
 
+  // Labels too common to match as part of another ("Organization Website",
+  // "Division / Organization") or to stand in for one
+  const EXACT_LABELS = ['organization'];
+
   // Load settings from storage
   async function loadSettings() {
     try {
@@ -55,12 +82,22 @@
         const loaded = await window.AzureStorage.getSettings([
           'jobRearrangerEnabled',
           'jobRearrangerPriorityKeys',
-          'jobRearrangerStandardOrder'
+          'jobRearrangerStandardOrder',
+          'jobRearrangerCustomFields',
+          'profileSkills',
+          'profileLanguages',
+          'profileFrameworks',
+          'profileTargetRoles'
         ]);
         settings = {
           jobRearrangerEnabled: loaded.jobRearrangerEnabled !== false,
           jobRearrangerPriorityKeys: loaded.jobRearrangerPriorityKeys || DEFAULT_SETTINGS.jobRearrangerPriorityKeys,
-          jobRearrangerStandardOrder: loaded.jobRearrangerStandardOrder || DEFAULT_SETTINGS.jobRearrangerStandardOrder
+          jobRearrangerStandardOrder: loaded.jobRearrangerStandardOrder || DEFAULT_SETTINGS.jobRearrangerStandardOrder,
+          jobRearrangerCustomFields: loaded.jobRearrangerCustomFields || [],
+          profileSkills: loaded.profileSkills || [],
+          profileLanguages: loaded.profileLanguages || [],
+          profileFrameworks: loaded.profileFrameworks || [],
+          profileTargetRoles: loaded.profileTargetRoles || []
         };
       } else {
         settings = DEFAULT_SETTINGS;
@@ -84,6 +121,7 @@
     
     // Partial match
     for (const [pattern, key] of Object.entries(LABEL_TO_KEY)) {
+      if (EXACT_LABELS.includes(pattern)) continue;
       if (lower.includes(pattern) || pattern.includes(lower)) {
         return key;
       }
@@ -91,10 +129,17 @@
     return null;
   }
 
+  // Normalize label text for comparing with custom field labels
+  function normalizeLabel(labelText) {
+    return labelText.trim().toLowerCase().replace(/:$/, '').replace(/\s+/g, ' ');
+  }
+
   // Parse all fields from the modal
   function parseFieldsFromModal(modalContainer) {
     const fields = {};
     const fieldElements = {};
+    // Every labelled field, known or not, by normalized label
+    const labeledFields = {};
     
     // Find all .tag__key-value-list elements
     const keyValueLists = modalContainer.querySelectorAll('.tag__key-value-list');
@@ -123,6 +168,20 @@
         }
       }
       
+      const labeledField = {
+        label: labelText,
+        value: value,
+        // Line breaks survive in innerText, for fields rendered as lists
+        text: valueElement ? (valueElement.innerText || value).trim() : value,
+        element: parentDiv,
+        container: kvList,
+        labelElement: labelElement
+      };
+      labeledFields[normalizeLabel(labelText)] = labeledField;
+
+      // Keep the text while it's shown, before the Key Information box hides it
+      if (kvList.getClientRects().length > 0) shownSectionText.set(kvList, getSectionText(labeledField));
+
       const key = getLabelKey(labelText);
       if (key) {
         fields[key] = { label: labelText, value: value, element: parentDiv };
@@ -131,7 +190,16 @@
       }
     });
     
-    return { fields, fieldElements };
+    return { fields, fieldElements, labeledFields };
+  }
+
+  // Find the modal field for a custom field's label
+  function findLabeledField(labeledFields, label) {
+    const normalized = normalizeLabel(label);
+    if (labeledFields[normalized]) return labeledFields[normalized];
+
+    const partial = Object.keys(labeledFields).find(key => key.includes(normalized));
+    return partial ? labeledFields[partial] : null;
   }
 
   // Build location from city + province
@@ -147,8 +215,102 @@
     return null;
   }
 
+  // Flatten parsed fields into plain values, with location built from city + province
+  function getFieldValues(modalContainer) {
+    const { fields } = parseFieldsFromModal(modalContainer);
+    const values = {};
+    for (const [key, field] of Object.entries(fields)) {
+      values[key] = field.value;
+    }
+    const location = buildLocation(fields);
+    if (location) values.location = location;
+    return values;
+  }
+
+  // Every labelled field's full text in page order, for exports. A value can run
+  // over several paragraphs or lists, so take the whole field minus its label
+  function getSections(modalContainer) {
+    const { labeledFields } = parseFieldsFromModal(modalContainer);
+
+    return Object.values(labeledFields).map(field => {
+      const text = getSectionText(field);
+      return { label: field.label, key: getLabelKey(field.label), text: text || field.text };
+    }).filter(section => section.text);
+  }
+
+  // A field's text with its line breaks, as it read before the Key Information
+  // box hid it. innerText of a hidden element loses them, so it's kept from
+  // the last time the field was parsed while still shown.
+  const shownSectionText = new WeakMap();
+
+  function getSectionText(field) {
+    if (field.container.getClientRects().length === 0 && shownSectionText.has(field.container)) {
+      return shownSectionText.get(field.container);
+    }
+
+    const labelText = (field.labelElement.innerText || field.labelElement.textContent).trim();
+    let text = (field.container.innerText || '').replace(/📌/g, '').trim();
+    if (text.startsWith(labelText)) text = text.slice(labelText.length).trim();
+    return text;
+  }
+
+  // Skills, languages and frameworks from the profile, without duplicates
+  function getProfileTerms() {
+    const terms = [...settings.profileSkills, ...settings.profileLanguages, ...settings.profileFrameworks];
+    return terms.filter((term, i) =>
+      terms.findIndex(other => other.toLowerCase() === term.toLowerCase()) === i
+    );
+  }
+
+  // Compare the posting against the skills profile
+  function getSkillMatch(modalContainer, fields) {
+    if (!window.AzureSkills) return null;
+
+    const terms = getProfileTerms();
+    const roles = settings.profileTargetRoles;
+    if (terms.length === 0 && roles.length === 0) return null;
+
+    const text = SKILL_MATCH_KEYS
+      .map(key => fields[key] ? fields[key].element.textContent : '')
+      .join('\n');
+    const header = modalContainer.querySelector('.dashboard-header--mini');
+    const title = header && header.querySelector('h1, h2, h3');
+
+    return {
+      terms,
+      matched: window.AzureSkills.findSkillMatches(text, terms),
+      roles: window.AzureSkills.findSkillMatches(title ? title.textContent : '', roles)
+    };
+  }
+
+  // Mark profile keywords inside the matched sections
+  function highlightSkillMatches(fieldElements) {
+    const terms = getProfileTerms();
+    if (!window.AzureSkills || terms.length === 0) return;
+
+    for (const key of SKILL_MATCH_KEYS) {
+      if (fieldElements[key]) window.AzureSkills.highlightSkills(fieldElements[key], terms);
+    }
+
+    if (window.AzureDOMHooks) {
+      window.AzureDOMHooks.injectStyles(`
+        mark.azure-skill-match {
+          background: #fdebd0;
+          color: inherit;
+          padding: 0 2px;
+          border-radius: 3px;
+          box-shadow: inset 0 -2px 0 #f5b041;
+        }
+
+        .azure-dark mark.azure-skill-match {
+          background: rgba(245, 176, 65, 0.25);
+        }
+      `, 'azure-skill-match-styles');
+    }
+  }
+
   // Create the priority info box
-  function createPriorityBox(fields) {
+  function createPriorityBox(fields, skillMatch = null, labeledFields = {}) {
     if (!settings.jobRearrangerEnabled) return null;
     
     const priorityKeys = settings.jobRearrangerPriorityKeys || [];
@@ -177,10 +339,15 @@
     
     // Compensation
     if (priorityKeys.includes('compensation') && fields.compensation) {
+      const pay = window.AzureCompensation
+        ? window.AzureCompensation.parseCompensation(fields.compensation.value)
+        : null;
       priorityItems.push({
         label: 'Compensation & Benefits',
         value: fields.compensation.value,
-        key: 'compensation'
+        key: 'compensation',
+        // Normalized pay under the raw text, e.g. "$25.00/hr · $16,000/term"
+        detail: pay ? window.AzureCompensation.formatPay(pay) : null
       });
     }
     
@@ -217,6 +384,50 @@
       }
     }
     
+    // User-defined fields, found by their WaterlooWorks label
+    for (const custom of settings.jobRearrangerCustomFields || []) {
+      const field = findLabeledField(labeledFields, custom.label);
+      if (!field || !field.value) continue;
+
+      priorityItems.push({
+        label: custom.name || field.label,
+        value: field.value,
+        text: field.text,
+        key: 'custom',
+        render: custom.render || 'text',
+        isLink: custom.render === 'link'
+      });
+    }
+
+    // Targeted degrees against the user's program, whenever one is set
+    const degreeStatus = window.AzureDegreeCheck && fields.targeted_degrees
+      ? window.AzureDegreeCheck.checkDegrees(fields.targeted_degrees.value)
+      : null;
+    if (degreeStatus) {
+      priorityItems.push({
+        label: 'Targeted Degrees',
+        value: window.AzureDegreeCheck.DegreeStatuses[degreeStatus].label,
+        key: 'degrees',
+        status: degreeStatus
+      });
+    }
+
+    // Skills profile match, whenever a profile is set up (a roles-only profile shows on a role match)
+    if (skillMatch && (skillMatch.terms.length > 0 || skillMatch.roles.length > 0)) {
+      const details = [];
+      if (skillMatch.matched.length > 0) details.push(skillMatch.matched.join(', '));
+      if (skillMatch.roles.length > 0) details.push(`Target role: ${skillMatch.roles.join(', ')}`);
+
+      priorityItems.push({
+        label: 'Skills Match',
+        value: skillMatch.terms.length > 0
+          ? `Matches ${skillMatch.matched.length}/${skillMatch.terms.length} of your skills`
+          : 'Matches your target role',
+        key: 'skills',
+        detail: details.join(' · ') || null
+      });
+    }
+
     if (priorityItems.length === 0) return null;
     
     // Create the box
@@ -292,6 +503,30 @@
         link.textContent = item.value.length > 50 ? item.value.substring(0, 50) + '...' : item.value;
         link.style.cssText = 'color: #85c1e9; text-decoration: underline;';
         valueSpan.appendChild(link);
+      } else if (item.render === 'list') {
+        const list = document.createElement('ul');
+        list.style.cssText = 'margin: 0; padding-left: 18px;';
+        splitFieldText(item.text, false).forEach(line => {
+          const li = document.createElement('li');
+          li.textContent = line;
+          list.appendChild(li);
+        });
+        valueSpan.appendChild(list);
+      } else if (item.render === 'badges') {
+        valueSpan.style.display = 'flex';
+        valueSpan.style.flexWrap = 'wrap';
+        valueSpan.style.gap = '4px';
+        splitFieldText(item.text, true).forEach(part => {
+          const badge = document.createElement('span');
+          badge.textContent = part;
+          badge.style.cssText = `
+            padding: 1px 8px;
+            border-radius: 10px;
+            background: rgba(255, 255, 255, 0.15);
+            font-size: 12px;
+          `;
+          valueSpan.appendChild(badge);
+        });
       } else {
         valueSpan.textContent = item.value;
       }
@@ -302,9 +537,23 @@
       if (item.key === 'compensation') valueSpan.style.color = '#58d68d';
       if (item.key === 'deadline') valueSpan.style.color = '#f1948a';
       if (item.key === 'method') valueSpan.style.color = '#f8c471';
+      if (item.key === 'skills') valueSpan.style.color = '#f5b041';
+      if (item.key === 'degrees') valueSpan.style.color = item.status === 'not_listed' ? '#f1948a' : '#82e0aa';
       
       itemDiv.appendChild(labelSpan);
       itemDiv.appendChild(valueSpan);
+
+      if (item.detail) {
+        const detailSpan = document.createElement('span');
+        detailSpan.className = 'azure-priority-detail';
+        detailSpan.textContent = item.detail;
+        detailSpan.style.cssText = `
+          font-size: 12px;
+          font-weight: 600;
+          color: rgba(255, 255, 255, 0.85);
+        `;
+        itemDiv.appendChild(detailSpan);
+      }
       content.appendChild(itemDiv);
     });
     
@@ -312,6 +561,118 @@
     return box;
   }
 
+  // Split a field's text into list entries (and on commas, for badges)
+  function splitFieldText(text, splitCommas) {
+    const separator = splitCommas ? /\n|;|•|,/ : /\n|;|•/;
+    return text.split(separator).map(part => part.trim()).filter(Boolean);
+  }
+
+  // Offer a pin button next to each field the Key Information box doesn't know about
+  function addPinButtons(labeledFields) {
+    const pinned = (settings.jobRearrangerCustomFields || []).map(custom => normalizeLabel(custom.label));
+
+    for (const [normalized, field] of Object.entries(labeledFields)) {
+      const existing = field.element.querySelector('.azure-pin-field');
+      if (existing) existing.remove();
+      if (!field.value || getLabelKey(field.label) || pinned.includes(normalized)) continue;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'azure-pin-field';
+      button.textContent = '📌';
+      button.title = `Pin "${field.label}" to Key Information`;
+      button.style.cssText = `
+        margin-left: 6px;
+        padding: 0;
+        border: none;
+        background: none;
+        font-size: 12px;
+        cursor: pointer;
+        opacity: 0.5;
+      `;
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        pinField(field.label);
+      });
+
+      // After the label rather than inside it, so the label text stays parseable
+      field.labelElement.after(button);
+    }
+  }
+
+  // Add a field to the Key Information box and rebuild it
+  async function pinField(label) {
+    let customFields = settings.jobRearrangerCustomFields || [];
+
+    // Start from the stored list, as options or another tab may have changed it
+    if (window.AzureStorage) {
+      try {
+        const stored = await window.AzureStorage.getSettings(['jobRearrangerCustomFields']);
+        if (Array.isArray(stored.jobRearrangerCustomFields)) customFields = stored.jobRearrangerCustomFields;
+      } catch (e) {
+        console.error('[Azure] Failed to load custom fields:', e);
+      }
+    }
+
+    if (!customFields.some(field => normalizeLabel(field.label) === normalizeLabel(label))) {
+      customFields = [...customFields, { label, name: label, render: 'text' }];
+    }
+    settings.jobRearrangerCustomFields = customFields;
+
+    if (window.AzureStorage) {
+      try {
+        await window.AzureStorage.saveSettings({ jobRearrangerCustomFields: customFields });
+      } catch (e) {
+        console.error('[Azure] Failed to save pinned field:', e);
+      }
+    }
+
+    // The box kept from OVERVIEW doesn't have the new field
+    cachedBox = null;
+    enhancedState = null;
+    enhanceModal();
+  }
+
+  // Move the standard-order sections, in setting order, directly under the priority box
+  // (or the panel heading when there is no box); everything else keeps its original order
+  function reorderSections(container, fieldElements, anchor) {
+    const order = settings.jobRearrangerStandardOrder || [];
+
+    for (const key of order) {
+      const section = fieldElements[key];
+      if (!section || section === anchor) continue;
+
+      if (anchor) {
+        anchor.after(section);
+      } else {
+        container.insertBefore(section, container.firstChild);
+      }
+      anchor = section;
+    }
+  }
+
+  // Name of the modal's active tab, upper-cased; postings open on OVERVIEW
+  function getActiveTabName(modalContainer) {
+    const activeTab = modalContainer.querySelector('[role="tab"][aria-selected="true"], .tab-item .items.active');
+    return activeTab ? activeTab.textContent.trim().toUpperCase() : 'OVERVIEW';
+  }
+
+  // Identify the posting shown, so tab switches within one posting reuse its box
+  function getJobKey(modalContainer) {
+    const jobId = window.WAWNavigator && window.WAWNavigator.getCurrentModalJobId();
+    if (jobId) return String(jobId);
+
+    const header = modalContainer.querySelector('.dashboard-header--mini');
+    const title = header && header.querySelector('h1, h2, h3');
+    return title ? title.textContent.trim() : '';
+  }
+
+  function getActiveTabPanel(modalContainer) {
+    const tabPanels = Array.from(modalContainer.querySelectorAll('[role="tabpanel"]'));
+    return tabPanels.find(panel => !panel.hidden && panel.offsetParent !== null) || tabPanels[0] || null;
+  }
+
   // Main enhancement function
   function enhanceModal() {
     if (!settings || !settings.jobRearrangerEnabled) {
@@ -319,8 +680,6 @@
       return;
     }
     
-    console.log('[Azure] Starting modal enhancement...');
-    
     if (isEnhancing) {
       console.log('[Azure] Already enhancing, skipping');
       return;
@@ -332,99 +691,337 @@
       return;
     }
     
-    // Check if already enhanced
-    if (modalContainer.dataset.azureEnhanced === 'true') {
-      console.log('[Azure] Modal already enhanced');
+    // Check if this posting and tab are already enhanced (and WaterlooWorks hasn't re-rendered it since)
+    const tabName = getActiveTabName(modalContainer);
+    const jobKey = getJobKey(modalContainer);
+    const enhancedKey = `${jobKey}|${tabName}`;
+    if (enhancedState && enhancedState.key === enhancedKey &&
+        (!enhancedState.hadBox || modalContainer.querySelector('.azure-priority-box'))) {
       return;
     }
     
-    // Only enhance OVERVIEW tab
-    const activeTab = modalContainer.querySelector('[role="tab"][aria-selected="true"], .tab-item .items.active');
-    if (activeTab) {
-      const tabText = activeTab.textContent.trim().toUpperCase();
-      if (!tabText.includes('OVERVIEW')) {
-        console.log(`[Azure] Not on OVERVIEW tab (current: ${tabText}), skipping`);
-        return;
+    console.log(`[Azure] Starting modal enhancement (${tabName})...`);
+    isEnhancing = true;
+    
+    try {
+      const priorityBox = tabName.includes('OVERVIEW')
+        ? enhanceOverviewTab(modalContainer, jobKey)
+        : enhanceOtherTab(modalContainer, tabName, jobKey);
+
+      // undefined means the tab's content isn't there yet; try again on the next mutation
+      if (priorityBox !== undefined) {
+        enhancedState = { key: enhancedKey, hadBox: !!priorityBox };
+        console.log('[Azure] Modal enhancement complete');
       }
+    } catch (e) {
+      console.error('[Azure] Enhancement error:', e);
     }
     
-    isEnhancing = true;
+    isEnhancing = false;
+  }
+
+  // OVERVIEW: build the Key Information box, reorder sections and hide what the box shows
+  function enhanceOverviewTab(modalContainer, jobKey) {
+    // Parse all fields
+    const { fields, fieldElements, labeledFields } = parseFieldsFromModal(modalContainer);
+    console.log('[Azure] Parsed fields:', Object.keys(fields));
     
-    try {
-      // Parse all fields
-      const { fields, fieldElements } = parseFieldsFromModal(modalContainer);
-      console.log('[Azure] Parsed fields:', Object.keys(fields));
-      
-      if (Object.keys(fields).length === 0) {
-        console.log('[Azure] No fields found');
-        isEnhancing = false;
-        return;
+    if (Object.keys(fields).length === 0) {
+      console.log('[Azure] No fields found');
+      return undefined;
+    }
+    
+    // Find the Job Posting Information panel
+    const panels = modalContainer.querySelectorAll('div[id^="panel_"]');
+    let jobInfoPanel = null;
+    
+    for (const panel of panels) {
+      const h4 = panel.querySelector('h4');
+      if (h4 && h4.textContent.includes('Job Posting Information')) {
+        jobInfoPanel = panel;
+        break;
       }
-      
-      // Find the Job Posting Information panel
-      const panels = modalContainer.querySelectorAll('div[id^="panel_"]');
-      let jobInfoPanel = null;
-      
-      for (const panel of panels) {
-        const h4 = panel.querySelector('h4');
-        if (h4 && h4.textContent.includes('Job Posting Information')) {
-          jobInfoPanel = panel;
-          break;
-        }
+    }
+    
+    if (!jobInfoPanel) {
+      console.log('[Azure] Job Posting Information panel not found');
+      return undefined;
+    }
+    
+    // Create and insert the priority box
+    const existingBox = modalContainer.querySelector('.azure-priority-box');
+    if (existingBox) existingBox.remove();
+    
+    const priorityBox = createPriorityBox(fields, getSkillMatch(modalContainer, fields), labeledFields);
+    cachedBox = { jobKey, box: priorityBox };
+    if (priorityBox) {
+      // Insert at the top of the Job Posting Information panel
+      const h4 = jobInfoPanel.querySelector('h4');
+      if (h4 && h4.nextSibling) {
+        jobInfoPanel.insertBefore(priorityBox, h4.nextSibling);
+      } else {
+        jobInfoPanel.insertBefore(priorityBox, jobInfoPanel.firstChild);
       }
-      
-      if (!jobInfoPanel) {
-        console.log('[Azure] Job Posting Information panel not found');
-        isEnhancing = false;
-        return;
+      console.log('[Azure] Priority box inserted');
+    }
+
+    reorderSections(jobInfoPanel, fieldElements, priorityBox || jobInfoPanel.querySelector('h4'));
+    highlightSkillMatches(fieldElements);
+
+    // Hide the original priority fields (they're shown in the box)
+    const priorityKeys = settings.jobRearrangerPriorityKeys || [];
+    const locationKeys = ['city', 'province', 'country', 'address', 'postal'];
+    
+    for (const key of priorityKeys) {
+      if (key === 'location') {
+        // Hide all location-related fields
+        locationKeys.forEach(lk => {
+          if (fieldElements[lk]) {
+            fieldElements[lk].style.display = 'none';
+          }
+        });
+      } else if (fieldElements[key]) {
+        fieldElements[key].style.display = 'none';
       }
-      
-      // Create and insert the priority box
-      const existingBox = modalContainer.querySelector('.azure-priority-box');
-      if (existingBox) existingBox.remove();
-      
-      const priorityBox = createPriorityBox(fields);
+    }
+    
+    // Also hide deadline and method from their original locations (in Application Information panel)
+    if (fieldElements.deadline) fieldElements.deadline.style.display = 'none';
+    if (fieldElements.method) fieldElements.method.style.display = 'none';
+    if (fieldElements.external_url) fieldElements.external_url.style.display = 'none';
+
+    hidePinnedFields(labeledFields);
+    addPinButtons(labeledFields);
+    return priorityBox;
+  }
+
+  // Custom fields shown in the box are hidden from where they were
+  function hidePinnedFields(labeledFields) {
+    for (const custom of settings.jobRearrangerCustomFields || []) {
+      const field = findLabeledField(labeledFields, custom.label);
+      if (field && field.value) field.element.style.display = 'none';
+    }
+  }
+
+  // Other tabs: keep the Key Information box on top, then the tab's own enhancement
+  function enhanceOtherTab(modalContainer, tabName, jobKey) {
+    const tabPanel = getActiveTabPanel(modalContainer);
+    if (!tabPanel || !tabPanel.querySelector('.tag__key-value-list')) return undefined;
+
+    const { fields, fieldElements, labeledFields } = parseFieldsFromModal(modalContainer);
+
+    // Reuse the box built on OVERVIEW; only a posting opened on another tab builds its own
+    let priorityBox = cachedBox && cachedBox.jobKey === jobKey ? cachedBox.box : undefined;
+    if (priorityBox === undefined) {
+      priorityBox = createPriorityBox(fields, getSkillMatch(modalContainer, fields), labeledFields);
+    }
+
+    tabPanel.querySelectorAll('.azure-tab-card').forEach(card => card.remove());
+    if (priorityBox) tabPanel.insertBefore(priorityBox, tabPanel.firstChild);
+
+    let card = null;
+    if (tabName.includes('APPLICATION')) {
+      card = createApplicationChecklist(labeledFields, jobKey);
+    } else if (tabName.includes('COMPANY') || tabName.includes('ORGANIZATION')) {
+      card = createCompanyCard(fields, labeledFields);
+    }
+
+    if (card) {
       if (priorityBox) {
-        // Insert at the top of the Job Posting Information panel
-        const h4 = jobInfoPanel.querySelector('h4');
-        if (h4 && h4.nextSibling) {
-          jobInfoPanel.insertBefore(priorityBox, h4.nextSibling);
-        } else {
-          jobInfoPanel.insertBefore(priorityBox, jobInfoPanel.firstChild);
-        }
-        console.log('[Azure] Priority box inserted');
+        priorityBox.after(card);
+      } else {
+        tabPanel.insertBefore(card, tabPanel.firstChild);
       }
-      
-      // Hide the original priority fields (they're shown in the box)
-      const priorityKeys = settings.jobRearrangerPriorityKeys || [];
-      const locationKeys = ['city', 'province', 'country', 'address', 'postal'];
-      
-      for (const key of priorityKeys) {
-        if (key === 'location') {
-          // Hide all location-related fields
-          locationKeys.forEach(lk => {
-            if (fieldElements[lk]) {
-              fieldElements[lk].style.display = 'none';
-            }
-          });
-        } else if (fieldElements[key]) {
-          fieldElements[key].style.display = 'none';
+    }
+
+    // The standard order applies to whichever of its sections this tab shows
+    const tabSections = {};
+    for (const [key, element] of Object.entries(fieldElements)) {
+      if (tabPanel.contains(element)) tabSections[key] = element;
+    }
+    reorderSections(tabPanel, tabSections, card || priorityBox || null);
+
+    // Fields on this tab can be pinned too
+    const tabFields = {};
+    for (const [normalized, field] of Object.entries(labeledFields)) {
+      if (tabPanel.contains(field.element)) tabFields[normalized] = field;
+    }
+    if (priorityBox) hidePinnedFields(tabFields);
+    addPinButtons(tabFields);
+
+    return priorityBox;
+  }
+
+  // Card with the same look as the Key Information box, for the other tabs
+  function createTabCard(title, className) {
+    const card = document.createElement('div');
+    card.className = `azure-tab-card ${className}`;
+    card.style.cssText = `
+      background: linear-gradient(135deg, #1a5276 0%, #2471a3 100%);
+      border-radius: 12px;
+      margin: 0 0 24px 0;
+      overflow: hidden;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+      color: #fff;
+    `;
+
+    const header = document.createElement('div');
+    header.className = 'azure-tab-card-header';
+    header.textContent = title;
+    header.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      background: rgba(0, 0, 0, 0.2);
+      font-size: 16px;
+      font-weight: 600;
+      padding: 12px 20px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+    `;
+
+    const body = document.createElement('div');
+    body.className = 'azure-tab-card-body';
+    body.style.cssText = 'padding: 12px 20px; font-size: 14px; line-height: 1.5;';
+
+    card.append(header, body);
+    return { card, header, body };
+  }
+
+  // Application tab: required documents and instructions as a checklist, ticked per posting
+  function createApplicationChecklist(labeledFields, jobKey) {
+    const items = [];
+
+    for (const field of Object.values(labeledFields)) {
+      const label = normalizeLabel(field.label);
+      if (!field.text) continue;
+
+      if (APPLICATION_DOCUMENT_PATTERN.test(label)) {
+        items.push(...splitFieldText(field.text, true));
+      } else if (APPLICATION_INSTRUCTION_PATTERN.test(label)) {
+        // One long paragraph becomes one item per sentence
+        const lines = splitFieldText(field.text, false);
+        items.push(...(lines.length > 1 ? lines : field.text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean)));
+      }
+    }
+
+    const uniqueItems = items.filter((item, i) => items.indexOf(item) === i);
+    if (uniqueItems.length === 0) return null;
+
+    const { card, header, body } = createTabCard('Application Checklist', 'azure-application-checklist');
+    const progress = document.createElement('span');
+    progress.style.cssText = 'font-size: 13px; font-weight: 500; opacity: 0.8;';
+    header.appendChild(progress);
+
+    let checked = {};
+    const updateProgress = () => {
+      const done = uniqueItems.filter(item => checked[item]).length;
+      progress.textContent = `${done}/${uniqueItems.length} done`;
+    };
+
+    const checkboxes = uniqueItems.map(item => {
+      const row = document.createElement('label');
+      row.style.cssText = 'display: flex; gap: 10px; align-items: flex-start; padding: 4px 0; cursor: pointer;';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.style.cssText = 'margin-top: 4px; flex-shrink: 0;';
+      checkbox.addEventListener('change', async () => {
+        checked[item] = checkbox.checked;
+        updateProgress();
+        if (window.AzureStorage && jobKey) {
+          try {
+            await window.AzureStorage.setChecklistItem(jobKey, item, checkbox.checked);
+          } catch (e) {
+            console.error('[Azure] Failed to save checklist item:', e);
+          }
         }
+      });
+
+      const text = document.createElement('span');
+      text.textContent = item;
+
+      row.append(checkbox, text);
+      body.appendChild(row);
+      return checkbox;
+    });
+
+    updateProgress();
+
+    // Restore ticks from earlier visits to this posting
+    if (window.AzureStorage && jobKey) {
+      window.AzureStorage.getChecklist(jobKey).then(saved => {
+        checked = saved;
+        uniqueItems.forEach((item, i) => { checkboxes[i].checked = !!saved[item]; });
+        updateProgress();
+      }).catch(e => console.error('[Azure] Failed to load checklist:', e));
+    }
+
+    return card;
+  }
+
+  // Company tab: the short key details in one card, with a two-sentence summary of any long description
+  function createCompanyCard(fields, labeledFields) {
+    const { card, body } = createTabCard(
+      fields.organization && fields.organization.value ? fields.organization.value : 'Company Summary',
+      'azure-company-card'
+    );
+
+    const details = document.createElement('div');
+    details.style.cssText = 'display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px;';
+
+    let about = null;
+    for (const field of Object.values(labeledFields)) {
+      if (!field.value || getLabelKey(field.label) === 'organization') continue;
+
+      if (field.value.length > COMPANY_DETAIL_MAX_LENGTH) {
+        if (!about || field.value.length > about.length) about = field.value;
+        continue;
       }
-      
-      // Also hide deadline and method from their original locations (in Application Information panel)
-      if (fieldElements.deadline) fieldElements.deadline.style.display = 'none';
-      if (fieldElements.method) fieldElements.method.style.display = 'none';
-      if (fieldElements.external_url) fieldElements.external_url.style.display = 'none';
-      
-      modalContainer.dataset.azureEnhanced = 'true';
-      console.log('[Azure] Modal enhancement complete');
-      
-    } catch (e) {
-      console.error('[Azure] Enhancement error:', e);
+
+      const label = document.createElement('span');
+      label.textContent = field.label;
+      label.style.cssText = 'font-size: 11px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; color: rgba(255, 255, 255, 0.7); padding-top: 2px;';
+
+      const value = document.createElement('span');
+      value.style.cssText = 'font-weight: 600; word-break: break-word;';
+      if (/^(https?:\/\/|www\.)\S+$/i.test(field.value)) {
+        const link = document.createElement('a');
+        link.href = field.value.startsWith('http') ? field.value : `https://${field.value}`;
+        link.target = '_blank';
+        link.textContent = field.value;
+        link.style.cssText = 'color: #85c1e9; text-decoration: underline;';
+        value.appendChild(link);
+      } else {
+        value.textContent = field.value;
+      }
+
+      details.append(label, value);
     }
-    
-    isEnhancing = false;
+
+    if (details.children.length === 0 && !about) return null;
+    if (details.children.length > 0) body.appendChild(details);
+
+    if (about) {
+      const summary = document.createElement('p');
+      summary.style.cssText = `margin: ${details.children.length > 0 ? '12px' : '0'} 0 0; opacity: 0.9;`;
+      summary.textContent = about.split(/(?<=[.!?])\s+/).slice(0, 2).join(' ');
+      body.appendChild(summary);
+    }
+
+    return card;
+  }
+
+  // Nodes the rearranger and the other modules add to the modal
+  const OWN_NODE_SELECTOR = '[class*="azure-"], [class*="waw-"]';
+
+  // A change WaterlooWorks made inside the modal, rather than one of ours
+  function isModalContentMutation(mutation) {
+    const target = mutation.target;
+    if (target.nodeType !== 1 || !target.closest('div[data-v-70e7ded6-s]') || target.closest(OWN_NODE_SELECTOR)) {
+      return false;
+    }
+
+    return [...mutation.addedNodes, ...mutation.removedNodes]
+      .some(node => node.nodeType === 3 || (node.nodeType === 1 && !node.matches(OWN_NODE_SELECTOR)));
   }
 
   // Setup MutationObserver for modal detection
@@ -432,6 +1029,9 @@
     if (modalObserver) return;
     
     modalObserver = new MutationObserver((mutations) => {
+      // The observer outlives the rearranger being turned off in options
+      if (!settings || !settings.jobRearrangerEnabled) return;
+
       for (const mutation of mutations) {
         // Check for added nodes (modal opened)
         for (const node of mutation.addedNodes) {
@@ -456,13 +1056,21 @@
           }
         }
         
-        // Check for removed nodes (modal closed) - reset enhanced flag
+        // Check for removed nodes (modal closed) - reset enhanced state
         for (const node of mutation.removedNodes) {
           if (node.nodeType === 1 && node.matches && node.matches('div[data-v-70e7ded6-s]')) {
             console.log('[Azure] Modal closed');
+            enhancedState = null;
+            cachedBox = null;
           }
         }
       }
+
+      // Tab switches and in-place re-renders: enhanceModal returns early when nothing changed
+      if (isModalOpen() && mutations.some(isModalContentMutation)) {
+        clearTimeout(tabChangeTimeout);
+        tabChangeTimeout = setTimeout(enhanceModal, 150);
+      }
     });
     
     modalObserver.observe(document.body, {
@@ -506,7 +1114,11 @@
   window.AzureJobInfoRearranger = {
     init: initialize,
     enhance: enhanceModal,
-    isModalOpen: isModalOpen
+    isModalOpen: isModalOpen,
+    parseFields: parseFieldsFromModal,
+    getFieldValues: getFieldValues,
+    getSections: getSections,
+    labelToKey: LABEL_TO_KEY
   };
 
 })();
@@ -0,0 +1,330 @@
+/**
+ * Job Notes for WaterlooActuallyWorks
+ * Private, autosaved notes per job: an editor in the posting modal under the
+ * Key Information box, and a note marker on the job's row in the postings table.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Job Notes loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  let notes = {};
+  let pendingSave = null;
+  let saveTimeout = null;
+
+  const MODAL_SELECTOR = 'div[data-v-70e7ded6-s]';
+  const AUTOSAVE_DELAY = 600;
+  const PREVIEW_LENGTH = 200;
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  async function loadNotes() {
+    if (!window.AzureStorage) return;
+
+    try {
+      notes = await window.AzureStorage.getNotes();
+      console.log(`[WAW] Loaded ${Object.keys(notes).length} job notes`);
+    } catch (e) {
+      console.error('[WAW] Failed to load notes:', e);
+    }
+
+    // Edits from another tab or the shortlist page
+    window.AzureStorage.onNotesChanged((changes) => {
+      for (const [jobId, { newValue }] of Object.entries(changes)) {
+        if (newValue) {
+          notes[jobId] = newValue;
+        } else {
+          delete notes[jobId];
+        }
+        refreshRow(jobId);
+        refreshPanel(jobId);
+      }
+    });
+  }
+
+  function scheduleSave(jobId, text, statusEl) {
+    // Named while the modal still shows the job, for the shortlist page's search
+    const job = window.WAWNavigator ? window.WAWNavigator.captureJob(jobId) : {};
+    pendingSave = { jobId, text, statusEl, job: { title: job.title, employer: job.employer } };
+    statusEl.textContent = 'Saving...';
+
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(flushSave, AUTOSAVE_DELAY);
+  }
+
+  async function flushSave() {
+    clearTimeout(saveTimeout);
+    if (!pendingSave || !window.AzureStorage) return;
+
+    const { jobId, text, statusEl, job } = pendingSave;
+    pendingSave = null;
+
+    try {
+      const note = await window.AzureStorage.saveNote(jobId, text, job);
+      if (note) {
+        notes[jobId] = note;
+      } else {
+        delete notes[jobId];
+      }
+      statusEl.textContent = note ? 'Saved' : '';
+      refreshRow(jobId);
+    } catch (e) {
+      console.error('[WAW] Failed to save note:', e);
+      statusEl.textContent = 'Not saved';
+    }
+  }
+
+  // ============================================
+  // Modal Panel
+  // ============================================
+
+  function getModalJobId() {
+    return window.WAWNavigator ? window.WAWNavigator.getCurrentModalJobId() : null;
+  }
+
+  function findPanelAnchor(modal) {
+    // Directly under the Key Information box when the rearranger has added it
+    const priorityBox = modal.querySelector('.azure-priority-box');
+    if (priorityBox) {
+      return { parent: priorityBox.parentNode, before: priorityBox.nextSibling };
+    }
+
+    for (const panel of modal.querySelectorAll('div[id^="panel_"]')) {
+      const h4 = panel.querySelector('h4');
+      if (h4 && h4.textContent.includes('Job Posting Information')) {
+        return { parent: panel, before: h4.nextSibling };
+      }
+    }
+
+    return null;
+  }
+
+  function ensureNotesPanel() {
+    const modal = document.querySelector(MODAL_SELECTOR);
+    if (!modal) return;
+
+    const jobId = getModalJobId();
+    if (!jobId) return;
+
+    const existing = modal.querySelector('.waw-notes-panel');
+    if (existing && existing.dataset.jobId === String(jobId)) return;
+
+    // The modal now shows a different job: save the old note before swapping
+    if (existing) {
+      flushSave();
+      existing.remove();
+    }
+
+    const anchor = findPanelAnchor(modal);
+    if (!anchor) return;
+
+    anchor.parent.insertBefore(createNotesPanel(jobId), anchor.before);
+  }
+
+  function createNotesPanel(jobId) {
+    const note = notes[jobId];
+
+    const panel = document.createElement('div');
+    panel.className = 'waw-notes-panel azure-injected';
+    panel.dataset.jobId = jobId;
+    panel.classList.toggle('is-collapsed', !note);
+
+    const header = document.createElement('button');
+    header.type = 'button';
+    header.className = 'waw-notes-header';
+    header.innerHTML = `
+      <span class="waw-notes-title">📝 My Notes</span>
+      <span class="waw-notes-status"></span>
+      <span class="waw-notes-chevron">▾</span>
+    `;
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'waw-notes-text';
+    textarea.rows = 4;
+    textarea.placeholder = 'Why this job looks good, who referred you, questions to ask... Only you can see this. Saved automatically.';
+    textarea.value = note ? note.text : '';
+
+    const statusEl = header.querySelector('.waw-notes-status');
+
+    header.addEventListener('click', () => {
+      panel.classList.toggle('is-collapsed');
+      if (!panel.classList.contains('is-collapsed')) textarea.focus();
+    });
+    textarea.addEventListener('input', () => scheduleSave(jobId, textarea.value, statusEl));
+    textarea.addEventListener('blur', flushSave);
+
+    panel.appendChild(header);
+    panel.appendChild(textarea);
+    return panel;
+  }
+
+  function refreshPanel(jobId) {
+    const panel = document.querySelector(`.waw-notes-panel[data-job-id="${jobId}"]`);
+    if (!panel) return;
+
+    // Never clobber text the user is typing
+    const textarea = panel.querySelector('.waw-notes-text');
+    if (document.activeElement === textarea) return;
+
+    textarea.value = notes[jobId] ? notes[jobId].text : '';
+  }
+
+  // ============================================
+  // Table Rows
+  // ============================================
+
+  function decorateRow(row, jobId) {
+    const existing = row.querySelector('.waw-note-indicator');
+    if (existing) existing.remove();
+
+    const note = notes[jobId];
+    if (!note) return;
+
+    const titleCell = window.WAWNavigator && window.WAWNavigator.getRowTitleCell(row);
+    if (!titleCell) return;
+
+    const indicator = document.createElement('span');
+    indicator.className = 'waw-row-indicator waw-note-indicator';
+    indicator.textContent = '📝';
+    indicator.title = note.text.length > PREVIEW_LENGTH
+      ? `${note.text.slice(0, PREVIEW_LENGTH)}...`
+      : note.text;
+    titleCell.appendChild(indicator);
+  }
+
+  function refreshRow(jobId) {
+    const row = document.querySelector(`tr[data-waw-job-id="${jobId}"]`);
+    if (row) decorateRow(row, jobId);
+  }
+
+  // ============================================
+  // Styles
+  // ============================================
+
+  function injectStyles() {
+    if (!window.AzureDOMHooks) return;
+
+    window.AzureDOMHooks.injectStyles(`
+      .waw-notes-panel {
+        margin: 0 0 24px 0;
+        border: 1px solid #f5d76e;
+        border-radius: 12px;
+        background: #fffbea;
+        overflow: hidden;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08);
+      }
+
+      .waw-notes-header {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        width: 100%;
+        padding: 10px 20px;
+        border: none;
+        background: rgba(245, 215, 110, 0.35);
+        color: #7d6608;
+        font-size: 14px;
+        font-weight: 600;
+        text-align: left;
+        cursor: pointer;
+      }
+
+      .waw-notes-status {
+        margin-left: auto;
+        font-size: 12px;
+        font-weight: 400;
+        opacity: 0.8;
+      }
+
+      .waw-notes-chevron {
+        transition: transform 0.2s ease;
+      }
+
+      .waw-notes-panel.is-collapsed .waw-notes-chevron {
+        transform: rotate(-90deg);
+      }
+
+      .waw-notes-panel.is-collapsed .waw-notes-text {
+        display: none;
+      }
+
+      .waw-notes-text {
+        display: block;
+        width: 100%;
+        min-height: 90px;
+        padding: 12px 20px;
+        border: none;
+        background: transparent;
+        color: #333;
+        font-family: inherit;
+        font-size: 14px;
+        line-height: 1.5;
+        resize: vertical;
+        box-sizing: border-box;
+      }
+
+      .waw-notes-text:focus {
+        outline: none;
+        background: #fffdf3;
+      }
+
+      .waw-note-indicator {
+        margin-left: 6px;
+        font-size: 13px;
+        cursor: help;
+      }
+
+      .azure-dark .waw-notes-panel {
+        background: #3a3520;
+        border-color: #7d6608;
+      }
+
+      .azure-dark .waw-notes-header,
+      .azure-dark .waw-notes-text {
+        color: #f5e6a8;
+      }
+    `, 'waw-notes-styles');
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  async function initialize() {
+    console.log('[WAW] Initializing Job Notes...');
+
+    await loadNotes();
+    injectStyles();
+    // The navigator's modal observer also reports the modal being
+    // re-rendered in place when moving between jobs
+    if (window.WAWNavigator) window.WAWNavigator.onModalChange(ensureNotesPanel);
+    ensureNotesPanel();
+
+    console.log('[WAW] Job Notes ready!');
+  }
+
+  // Start
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    initialize();
+  } else {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  // Export
+  window.AzureJobNotes = {
+    decorateRow,
+    getNote: (jobId) => notes[jobId] || null
+  };
+
+})();
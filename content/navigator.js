@@ -19,13 +19,56 @@
   let jobLinks = [];
   let currentJobIndex = -1;
   let shortlistedJobs = new Set();
+  let shortlistRecords = {};
+  let viewedJobs = {};
+  let seenPostings = {};
+  let postingsVisit = null;
+  let postingsVisitPromise = null;
+  let lastVisitTouchAt = 0;
   let settings = null;
   let modalObserver = null;
+  let modalChangeListeners = [];
+  let modalChangeTimeout = null;
+  let tableObserver = null;
+  let tableContainer = null;
+  let tableRefreshTimeout = null;
   let isClosingModal = false;
+  let folderSyncQueue = Promise.resolve();
+  let isApplyingFolderQueue = false;
+
+  const LEGACY_SHORTLIST_KEY = 'waw-shortlisted-jobs';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const PAGE_LOAD_TIMEOUT = 15000;
+  const MAX_PAGE_STEPS = 50;
+  const MODAL_CHANGE_DELAY = 150;
+
+  // At most one postings visit update per table refresh this often
+  const VISIT_TOUCH_INTERVAL = 60 * 1000;
+
+  // Postings table header text -> shortlist record field
+  const ROW_COLUMN_PATTERNS = {
+    employer: /organization|employer|company/i,
+    location: /city|location|region/i,
+    deadline: /deadline/i,
+    term: /^(work )?term$/i
+  };
+
+  // How often to retry reading a posting whose fields haven't loaded yet
+  const MODAL_READ_RETRIES = 3;
+  const MODAL_READ_RETRY_DELAY = 1000;
+
+  // Material icon names used by the WaterlooWorks folder button
+  const FOLDER_ICONS = ['folder', 'folder_open', 'create_new_folder', 'drive_file_move'];
 
   const DEFAULT_SETTINGS = {
     newJobDaysThreshold: 7,
-    shortlistFolderName: 'shortlist'
+    highlightNew: true,
+    shortlistFolderSync: true,
+    shortlistFolderName: 'shortlist',
+    skipSeenJobs: false,
+    keyboardShortcuts: true,
+    keyboardBindings: {},
+    archiveMode: 'opened'
   };
 
   // ============================================
@@ -37,11 +80,23 @@
       if (window.AzureStorage) {
         const loaded = await window.AzureStorage.getSettings([
           'newJobDaysThreshold',
-          'shortlistFolderName'
+          'highlightNew',
+          'shortlistFolderSync',
+          'shortlistFolderName',
+          'skipSeenJobs',
+          'keyboardShortcuts',
+          'keyboardBindings',
+          'archiveMode'
         ]);
         settings = {
           newJobDaysThreshold: loaded.newJobDaysThreshold || DEFAULT_SETTINGS.newJobDaysThreshold,
-          shortlistFolderName: loaded.shortlistFolderName || DEFAULT_SETTINGS.shortlistFolderName
+          highlightNew: loaded.highlightNew !== false,
+          shortlistFolderSync: loaded.shortlistFolderSync !== false,
+          shortlistFolderName: loaded.shortlistFolderName || DEFAULT_SETTINGS.shortlistFolderName,
+          skipSeenJobs: loaded.skipSeenJobs === true,
+          keyboardShortcuts: loaded.keyboardShortcuts !== false,
+          keyboardBindings: loaded.keyboardBindings || {},
+          archiveMode: loaded.archiveMode || DEFAULT_SETTINGS.archiveMode
         };
       } else {
         settings = DEFAULT_SETTINGS;
@@ -49,25 +104,69 @@
     } catch (e) {
       settings = DEFAULT_SETTINGS;
     }
+  }
+
+  async function loadShortlist() {
+    if (!window.AzureStorage) return;
 
-    // Load shortlisted jobs from localStorage
     try {
-      const saved = localStorage.getItem('waw-shortlisted-jobs');
-      if (saved) {
-        shortlistedJobs = new Set(JSON.parse(saved).map(String));
-        console.log(`[WAW] Loaded ${shortlistedJobs.size} shortlisted jobs`);
-      }
+      await migrateLegacyShortlist();
+      shortlistRecords = await window.AzureStorage.getShortlist();
+
+      // Mutate in place so the exported Set stays current
+      shortlistedJobs.clear();
+      Object.keys(shortlistRecords).forEach(id => shortlistedJobs.add(id));
+      console.log(`[WAW] Loaded ${shortlistedJobs.size} shortlisted jobs`);
     } catch (e) {
       console.error('[WAW] Failed to load shortlist:', e);
     }
+
+    // Keep in step with toggles from other tabs and extension pages
+    window.AzureStorage.onShortlistChanged((changes) => {
+      for (const [jobId, { newValue }] of Object.entries(changes)) {
+        if (newValue) {
+          shortlistRecords[jobId] = newValue;
+          shortlistedJobs.add(jobId);
+        } else {
+          delete shortlistRecords[jobId];
+          shortlistedJobs.delete(jobId);
+        }
+        updateShortlistIndicators(jobId);
+      }
+      if (window.AzureTableColumns) window.AzureTableColumns.apply();
+      if (window.AzureTableFilter) window.AzureTableFilter.apply();
+
+      // Removals from the shortlist page queue their folder changes
+      applyQueuedFolderChanges();
+    });
   }
 
-  function saveShortlist() {
+  async function loadViewedJobs() {
+    if (!window.AzureStorage) return;
+
     try {
-      localStorage.setItem('waw-shortlisted-jobs', JSON.stringify(Array.from(shortlistedJobs)));
+      viewedJobs = await window.AzureStorage.getViewedJobs();
+      console.log(`[WAW] Loaded ${Object.keys(viewedJobs).length} viewed jobs`);
     } catch (e) {
-      console.error('[WAW] Failed to save shortlist:', e);
+      console.error('[WAW] Failed to load viewed jobs:', e);
     }
+
+    // Jobs opened in other tabs
+    window.AzureStorage.onViewedJobsChanged((newValue) => {
+      viewedJobs = newValue;
+      forEachJobRow(applyRowSeen);
+      if (window.AzureTableFilter) window.AzureTableFilter.apply();
+    });
+  }
+
+  async function migrateLegacyShortlist() {
+    // The shortlist used to live in page localStorage as a bare list of IDs
+    const saved = localStorage.getItem(LEGACY_SHORTLIST_KEY);
+    if (!saved) return;
+
+    const imported = await window.AzureStorage.migrateLegacyShortlist(JSON.parse(saved));
+    localStorage.removeItem(LEGACY_SHORTLIST_KEY);
+    console.log(`[WAW] Migrated ${imported} shortlisted jobs from localStorage`);
   }
 
   // ============================================
@@ -124,11 +223,161 @@
     return null;
   }
 
+  function getPostingUrl(jobId) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('wawJob', jobId);
+    return url.toString();
+  }
+
+  function getRowCellText(row, pattern) {
+    const table = row.closest('table');
+    if (!table) return '';
+
+    const headers = Array.from(table.querySelectorAll('thead th'));
+    const index = headers.findIndex(th => pattern.test(th.textContent.trim()));
+    const cell = index >= 0 ? row.children[index] : null;
+    return cell ? cell.textContent.trim().replace(/\s+/g, ' ') : '';
+  }
+
+  function captureJobFromRow(row, jobId) {
+    const link = row.querySelector('td a');
+    const record = {
+      id: String(jobId),
+      title: link ? link.textContent.trim() : '',
+      url: getPostingUrl(jobId)
+    };
+
+    for (const [field, pattern] of Object.entries(ROW_COLUMN_PATTERNS)) {
+      record[field] = getRowCellText(row, pattern);
+    }
+
+    return record;
+  }
+
+  function captureJobFromModal(jobId) {
+    const record = { id: String(jobId), url: getPostingUrl(jobId) };
+    const modal = document.querySelector('div[data-v-70e7ded6-s]');
+    if (!modal) return record;
+
+    const header = modal.querySelector('.dashboard-header--mini');
+    const title = header && header.querySelector('h1, h2, h3');
+    if (title) record.title = title.textContent.trim();
+
+    if (window.AzureJobInfoRearranger && window.AzureJobInfoRearranger.getFieldValues) {
+      const values = window.AzureJobInfoRearranger.getFieldValues(modal);
+      record.employer = values.organization;
+      record.location = values.location;
+      record.deadline = values.deadline;
+      record.term = values.work_term;
+      record.duration = values.duration;
+      record.compensation = values.compensation;
+      if (values.compensation !== undefined && window.AzureCompensation) {
+        record.pay = window.AzureCompensation.parseCompensation(values.compensation);
+      }
+    }
+
+    return record;
+  }
+
+  function captureJob(jobId) {
+    // Row details first, then anything richer the open modal shows
+    const row = document.querySelector(`tr[data-waw-job-id="${jobId}"]`);
+    const record = row ? captureJobFromRow(row, jobId) : { id: String(jobId), url: getPostingUrl(jobId) };
+
+    if (isModalOpen() && String(getCurrentModalJobId()) === String(jobId)) {
+      for (const [field, value] of Object.entries(captureJobFromModal(jobId))) {
+        if (value) record[field] = value;
+      }
+    }
+
+    return record;
+  }
+
+  // Keep the modal's parsed fields so the table can show them for every job opened
+  async function cacheModalFields(jobId, attempt = 0) {
+    const modal = document.querySelector('div[data-v-70e7ded6-s]');
+    if (!window.AzureStorage || !modal || !window.AzureJobInfoRearranger) return;
+    if (String(getCurrentModalJobId()) !== String(jobId)) return;
+
+    // The overview can still be rendering just after the modal opens
+    const values = window.AzureJobInfoRearranger.getFieldValues(modal);
+    if (Object.keys(values).length === 0) {
+      if (attempt < MODAL_READ_RETRIES) setTimeout(() => cacheModalFields(jobId, attempt + 1), MODAL_READ_RETRY_DELAY);
+      return;
+    }
+
+    try {
+      await window.AzureStorage.saveParsedPosting(jobId, values);
+    } catch (e) {
+      console.error('[WAW] Failed to cache posting fields:', e);
+    }
+  }
+
+  // The modal's posting once its sections have loaded, or null if they don't
+  // or another posting is shown by then
+  async function readModalPosting(jobId) {
+    for (let attempt = 0; ; attempt++) {
+      if (!isModalOpen() || String(getCurrentModalJobId()) !== String(jobId)) return null;
+
+      const posting = await getModalPosting(jobId);
+      if (posting.sections.length > 0) {
+        delete posting.note;
+        return posting;
+      }
+
+      // Sections can still be loading just after the modal opens
+      if (attempt >= MODAL_READ_RETRIES) return null;
+      await new Promise(resolve => setTimeout(resolve, MODAL_READ_RETRY_DELAY));
+    }
+  }
+
+  // Diff the posting against the last time it was opened, whatever the
+  // archive setting, then archive it if the setting says to
+  async function checkModalPosting(jobId) {
+    const posting = await readModalPosting(jobId);
+    if (!posting) return;
+
+    if (window.AzurePostingChanges) {
+      await window.AzurePostingChanges.checkPosting(posting);
+    }
+    await archiveModalPosting(jobId, posting);
+  }
+
+  // Keep a copy of the posting that outlives it on WaterlooWorks. The service
+  // worker writes it, as this page's IndexedDB isn't the extension's
+  async function archiveModalPosting(jobId, posting = null) {
+    const mode = settings ? settings.archiveMode : DEFAULT_SETTINGS.archiveMode;
+    if (mode === 'off' || (mode === 'shortlisted' && !shortlistedJobs.has(String(jobId)))) return;
+
+    const captured = posting || await readModalPosting(jobId);
+    if (!captured) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'archivePosting', posting: captured });
+      if (response && response.error) throw new Error(response.error);
+    } catch (e) {
+      console.error('[WAW] Failed to archive posting:', e);
+      showNotification(`Posting not saved to the archive: ${e.message}`, 'error');
+    }
+  }
+
+  async function refreshShortlistRecord(jobId) {
+    if (!window.AzureStorage || !shortlistedJobs.has(String(jobId))) return;
+
+    try {
+      shortlistRecords[jobId] = await window.AzureStorage.saveShortlistRecord(captureJob(jobId));
+    } catch (e) {
+      console.error('[WAW] Failed to update shortlist record:', e);
+    }
+  }
+
   function enhanceJobTable() {
     getAllJobLinks();
     
     // Clear existing enhancements
     document.querySelectorAll('.waw-row-indicator').forEach(el => el.remove());
+
+    const rowJobIds = [];
     
     jobLinks.forEach((link, index) => {
       const row = link.closest('tr');
@@ -137,32 +386,132 @@
       const jobId = getJobIdFromRow(row);
       if (!jobId) return;
 
-      // Add shortlist indicator
+      // Add shortlist indicator and pipeline status styling
       addShortlistIndicator(row, jobId);
+      applyRowStatus(row, jobId);
+      applyRowSeen(row, jobId);
       
       // Check if job is new and highlight
-      checkAndHighlightNewJob(row);
+      checkAndHighlightNewJob(row, jobId);
+      rowJobIds.push(jobId);
       
       // Store index on row for navigation
       row.dataset.wawIndex = index;
       row.dataset.wawJobId = jobId;
+
+      // Note marker
+      if (window.AzureJobNotes) {
+        window.AzureJobNotes.decorateRow(row, jobId);
+      }
+
+      // Targeted degrees badge
+      if (window.AzureDegreeCheck) {
+        window.AzureDegreeCheck.decorateRow(row, jobId);
+      }
+
+      // Compare toggle
+      if (window.AzureCompare) {
+        window.AzureCompare.decorateRow(row, jobId);
+      }
+
+      // Changed since last viewed
+      if (window.AzurePostingChanges) {
+        window.AzurePostingChanges.decorateRow(row, jobId);
+      }
+
+      // Hidden jobs and blocked employers
+      if (window.AzureJobHiding) {
+        window.AzureJobHiding.decorateRow(row, jobId, captureJobFromRow(row, jobId));
+      }
+
+      // Fill in records migrated as bare IDs once their row is visible
+      const record = shortlistRecords[jobId];
+      if (record && !record.title) {
+        refreshShortlistRecord(jobId);
+      }
     });
+
+    if (window.AzureJobHiding) {
+      window.AzureJobHiding.updateSummary();
+    }
+
+    if (window.AzureCompare) {
+      window.AzureCompare.updateSummary();
+    }
+
+    // Computed columns, then the filter bar, for rows the SPA just rendered
+    if (window.AzureTableColumns) {
+      window.AzureTableColumns.apply();
+    }
+    if (window.AzureTableFilter) {
+      window.AzureTableFilter.apply();
+    }
+
+    trackSeenPostings(rowJobIds);
+
+    // The search index keeps the page's own order, not a column sort's
+    if (window.AzureSearchIndex) {
+      const pageJobIds = window.AzureTableColumns ? window.AzureTableColumns.getPageJobIds() : [];
+      window.AzureSearchIndex.recordPage(pageJobIds.length > 0 ? pageJobIds : rowJobIds);
+    }
+
+    applyQueuedFolderChanges();
+  }
+
+  // ============================================
+  // Job Rows, shared with the modules that decorate them
+  // ============================================
+
+  // The postings table, once its rows are tagged with their job IDs
+  function findPostingsTable() {
+    const { Selectors, querySelectorAll } = window.AzureSelectors || {};
+    const table = Selectors && querySelectorAll(Selectors.postings.table)
+      .find(el => el.querySelector('tr[data-waw-job-id]'));
+    return table || document.querySelector('tr[data-waw-job-id]')?.closest('table') || null;
+  }
+
+  function getJobRows() {
+    const table = findPostingsTable();
+    return table ? Array.from(table.querySelectorAll('tbody tr[data-waw-job-id]')) : [];
+  }
+
+  function forEachJobRow(callback) {
+    getJobRows().forEach(row => callback(row, row.dataset.wawJobId));
+  }
+
+  // Where row indicators go: the title cell, or whichever holds the posting link
+  function getRowTitleCell(row) {
+    return row.querySelector('td:nth-child(2)') || row.querySelector('td a')?.closest('td') || null;
+  }
+
+  function getTableToolbar() {
+    const table = findPostingsTable();
+    if (!table) return null;
+
+    let toolbar = document.getElementById('waw-table-toolbar');
+    if (!toolbar) {
+      toolbar = document.createElement('div');
+      toolbar.id = 'waw-table-toolbar';
+      toolbar.className = 'azure-injected';
+    }
+
+    // The SPA re-renders the table on pagination, so re-attach when needed
+    if (toolbar.nextElementSibling !== table) {
+      table.parentNode.insertBefore(toolbar, table);
+    }
+    return toolbar;
   }
 
   function addShortlistIndicator(row, jobId) {
-    const titleCell = row.querySelector('td:nth-child(2)') || row.querySelector('td a')?.closest('td');
+    const titleCell = getRowTitleCell(row);
     if (!titleCell) return;
 
     // Check if indicator already exists
     if (row.querySelector('.waw-shortlist-indicator')) return;
 
-    const isShortlisted = shortlistedJobs.has(String(jobId));
-
     const indicator = document.createElement('span');
     indicator.className = 'waw-row-indicator waw-shortlist-indicator';
     indicator.dataset.jobId = jobId;
-    indicator.innerHTML = isShortlisted ? '★' : '☆';
-    indicator.title = isShortlisted ? 'Remove from shortlist' : 'Add to shortlist';
     indicator.style.cssText = `
       position: absolute;
       right: 10px;
@@ -170,15 +519,20 @@
       transform: translateY(-50%);
       font-size: 20px;
       cursor: pointer;
-      color: ${isShortlisted ? '#f39c12' : '#999'};
       z-index: 10;
       transition: all 0.2s ease;
     `;
+    renderShortlistIndicator(indicator, jobId);
 
     indicator.addEventListener('click', async (e) => {
       e.preventDefault();
       e.stopPropagation();
-      await toggleShortlistJob(jobId, indicator);
+      // First click stars the job; after that the star picks a pipeline status
+      if (shortlistedJobs.has(String(jobId))) {
+        showStatusMenu(indicator, jobId);
+      } else {
+        await toggleShortlistJob(jobId, indicator);
+      }
     });
 
     indicator.addEventListener('mouseenter', () => {
@@ -188,73 +542,574 @@
 
     indicator.addEventListener('mouseleave', () => {
       indicator.style.transform = 'translateY(-50%)';
-      indicator.style.color = shortlistedJobs.has(String(jobId)) ? '#f39c12' : '#999';
+      renderShortlistIndicator(indicator, jobId);
     });
 
     // Make cell relative positioned
     titleCell.style.position = 'relative';
-    titleCell.style.paddingRight = '40px';
+    titleCell.style.paddingRight = '64px';
     titleCell.appendChild(indicator);
   }
 
-  function checkAndHighlightNewJob(row) {
-    // Look for NEW badge or deadline text
-    const hasNewBadge = row.querySelector('.badge-new') || 
-                        Array.from(row.querySelectorAll('span')).some(span => span.textContent.trim() === 'NEW');
-    const deadlineText = row.textContent.match(/Deadline in (\d+) day/);
-    
-    if (hasNewBadge || (deadlineText && parseInt(deadlineText[1]) > (settings?.newJobDaysThreshold || 7) - 7)) {
-      row.classList.add('waw-new-job');
+  function checkAndHighlightNewJob(row, jobId) {
+    if (settings && settings.highlightNew === false) {
+      row.classList.remove('waw-new-job');
+      return;
+    }
+
+    row.classList.toggle('waw-new-job', isRowNew(row, jobId));
+  }
+
+  function isRowNew(row, jobId) {
+    // WaterlooWorks' own NEW badge, or first seen by us recently
+    const hasNewBadge = row.querySelector('.badge-new') || 
+                        Array.from(row.querySelectorAll('span')).some(span => span.textContent.trim() === 'NEW');
+
+    return !!hasNewBadge || isNewPosting(jobId);
+  }
+
+  // ============================================
+  // New Posting Detection
+  // ============================================
+
+  function isNewPosting(jobId) {
+    const firstSeenAt = seenPostings[String(jobId)];
+    // Unknown yet, or already listed when tracking started
+    if (!firstSeenAt || !postingsVisit) return false;
+
+    if (postingsVisit.previousActiveAt && firstSeenAt >= postingsVisit.startedAt) return true;
+    return Date.now() - firstSeenAt <= (settings?.newJobDaysThreshold || 7) * DAY_MS;
+  }
+
+  // Keep the visit's last activity current while the page stays open. Table
+  // refreshes are throttled; leaving the page always counts.
+  function touchPostingsVisit(force = false) {
+    if (!window.AzureStorage || !postingsVisit) return;
+
+    const now = Date.now();
+    if (!force && now - lastVisitTouchAt < VISIT_TOUCH_INTERVAL) return;
+    lastVisitTouchAt = now;
+
+    window.AzureStorage.touchPostingsVisit().catch(e => {
+      console.error('[WAW] Failed to update postings visit:', e);
+    });
+  }
+
+  function setupVisitTracking() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') touchPostingsVisit(true);
+    });
+    window.addEventListener('pagehide', () => touchPostingsVisit(true));
+  }
+
+  async function trackSeenPostings(jobIds) {
+    if (!window.AzureStorage || jobIds.length === 0) return;
+
+    try {
+      // One visit per page load, started the first time the table shows up
+      if (!postingsVisitPromise) {
+        postingsVisitPromise = Promise.all([
+          window.AzureStorage.startPostingsVisit(),
+          window.AzureStorage.getSeenPostings()
+        ]).then(([visit, seen]) => {
+          postingsVisit = visit;
+          seenPostings = seen;
+          lastVisitTouchAt = visit.lastActiveAt;
+        });
+      }
+      await postingsVisitPromise;
+      touchPostingsVisit();
+
+      if (jobIds.some(id => seenPostings[String(id)] === undefined)) {
+        // Everything listed on the very first visit is the baseline, not "new"
+        const firstSeenAt = postingsVisit.previousActiveAt ? Date.now() : 0;
+        seenPostings = await window.AzureStorage.addSeenPostings(jobIds, firstSeenAt);
+      }
+    } catch (e) {
+      console.error('[WAW] Failed to track seen postings:', e);
+      postingsVisitPromise = null;
+      return;
+    }
+
+    jobIds.forEach(jobId => {
+      const row = document.querySelector(`tr[data-waw-job-id="${jobId}"]`);
+      if (row) checkAndHighlightNewJob(row, jobId);
+    });
+    updateNewPostingsSummary();
+  }
+
+  function formatVisitDay(timestamp) {
+    const startOfToday = new Date().setHours(0, 0, 0, 0);
+    const days = Math.ceil((startOfToday - timestamp) / DAY_MS);
+
+    if (days <= 0) return 'earlier today';
+    if (days === 1) return 'yesterday';
+    if (days < 7) return new Date(timestamp).toLocaleDateString(undefined, { weekday: 'long' });
+    return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+
+  function updateNewPostingsSummary() {
+    let summary = document.getElementById('waw-new-summary');
+
+    if (!postingsVisit || !postingsVisit.previousActiveAt || settings.highlightNew === false) {
+      if (summary) summary.remove();
+      return;
+    }
+
+    const toolbar = getTableToolbar();
+    if (!toolbar) return;
+
+    if (!summary) {
+      summary = document.createElement('span');
+      summary.id = 'waw-new-summary';
+    }
+    if (summary.parentNode !== toolbar) toolbar.prepend(summary);
+
+    // Only counts pages browsed so far this visit
+    const count = Object.values(seenPostings).filter(time => time >= postingsVisit.startedAt).length;
+    const since = formatVisitDay(postingsVisit.previousActiveAt);
+    summary.textContent = count > 0 ? `${count} new since ${since}` : `No new postings since ${since}`;
+    summary.title = `Postings first seen since your last visit (${new Date(postingsVisit.previousActiveAt).toLocaleString()})`;
+    summary.classList.toggle('has-new', count > 0);
+  }
+
+  async function openJobFromUrl() {
+    // Links from the shortlist page carry ?wawJob=<id>
+    const jobId = new URLSearchParams(window.location.search).get('wawJob');
+    if (!jobId) return;
+
+    const row = document.querySelector(`tr[data-waw-job-id="${jobId}"]`);
+    const link = row && row.querySelector('td a');
+    if (link) {
+      row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      link.click();
+      return;
+    }
+
+    // On a later page: find it through the search index
+    if (!window.AzureSearchIndex) {
+      showNotification(`Job ${jobId} is not on this page`, 'info');
+      return;
+    }
+
+    showNotification(`Looking for job ${jobId} in your search results...`, 'info');
+    const page = await window.AzureSearchIndex.findJobPage(jobId);
+    if (page) {
+      await openJobOnPage(jobId, page, 1);
+    } else {
+      showNotification(`Job ${jobId} is not in these search results`, 'info');
+    }
+  }
+
+  // ============================================
+  // Shortlist Functions
+  // ============================================
+
+  async function toggleShortlistJob(jobId, indicatorElement = null) {
+    if (!window.AzureStorage) return;
+
+    const jobIdStr = String(jobId);
+    const wasShortlisted = shortlistedJobs.has(jobIdStr);
+    const previousRecord = shortlistRecords[jobIdStr];
+
+    try {
+      if (wasShortlisted) {
+        shortlistedJobs.delete(jobIdStr);
+        delete shortlistRecords[jobIdStr];
+        await window.AzureStorage.removeShortlistRecord(jobIdStr);
+        showNotification('Removed from shortlist', 'remove');
+      } else {
+        shortlistedJobs.add(jobIdStr);
+        shortlistRecords[jobIdStr] = await window.AzureStorage.saveShortlistRecord(captureJob(jobIdStr));
+        showNotification('Added to shortlist!', 'add');
+        archiveModalPosting(jobIdStr);
+      }
+    } catch (e) {
+      console.error('[WAW] Failed to save shortlist:', e);
+      showNotification('Could not save shortlist', 'error');
+      rollbackShortlist(jobIdStr, wasShortlisted, previousRecord);
+      return;
+    }
+
+    updateShortlistIndicators(jobIdStr);
+
+    // Mirror the change into the WaterlooWorks folder, only once it's stored
+    await updateWaterlooWorksFolder(jobIdStr, !wasShortlisted);
+  }
+
+  // Put a job back the way it was before a shortlist write that failed
+  function rollbackShortlist(jobId, wasShortlisted, previousRecord) {
+    if (wasShortlisted) {
+      shortlistedJobs.add(jobId);
+      if (previousRecord) shortlistRecords[jobId] = previousRecord;
+    } else {
+      shortlistedJobs.delete(jobId);
+      delete shortlistRecords[jobId];
+    }
+    updateShortlistIndicators(jobId);
+  }
+
+  function updateShortlistIndicators(jobId) {
+    // Update all indicators for this job
+    document.querySelectorAll(`.waw-shortlist-indicator[data-job-id="${jobId}"]`).forEach(el => {
+      renderShortlistIndicator(el, jobId);
+    });
+
+    const row = document.querySelector(`tr[data-waw-job-id="${jobId}"]`);
+    if (row) applyRowStatus(row, jobId);
+
+    // Update modal indicator if open
+    updateModalShortlistIndicator();
+  }
+
+  function renderShortlistIndicator(indicator, jobId) {
+    const status = getJobStatus(jobId);
+    indicator.innerHTML = status ? '★' : '☆';
+    indicator.title = status ? `${status.label} (click to change status)` : 'Add to shortlist';
+    indicator.style.color = status ? status.color : '#999';
+  }
+
+  // ============================================
+  // Pipeline Status
+  // ============================================
+
+  function getJobStatus(jobId) {
+    if (!shortlistedJobs.has(String(jobId)) || !window.AzureStorage) return null;
+    return window.AzureStorage.getJobStatus(shortlistRecords[jobId]);
+  }
+
+  async function setJobStatus(jobId, statusId) {
+    const jobIdStr = String(jobId);
+    const wasShortlisted = shortlistedJobs.has(jobIdStr);
+
+    // Clearing the status takes the job off the shortlist
+    if (!statusId) {
+      if (wasShortlisted) await toggleShortlistJob(jobIdStr);
+      return;
+    }
+
+    if (!window.AzureStorage) return;
+    const status = window.AzureStorage.JobStatuses.find(s => s.id === statusId);
+    if (!status) return;
+
+    try {
+      shortlistRecords[jobIdStr] = await window.AzureStorage.setJobStatus(captureJob(jobIdStr), statusId);
+      shortlistedJobs.add(jobIdStr);
+      showNotification(`Marked as ${status.label}`, 'info');
+    } catch (e) {
+      console.error('[WAW] Failed to save job status:', e);
+      showNotification('Could not save status', 'error');
+      return;
+    }
+
+    updateShortlistIndicators(jobIdStr);
+
+    if (!wasShortlisted) {
+      archiveModalPosting(jobIdStr);
+      await updateWaterlooWorksFolder(jobIdStr, true);
+    }
+  }
+
+  function applyRowStatus(row, jobId) {
+    Array.from(row.classList)
+      .filter(cls => cls.startsWith('waw-status-'))
+      .forEach(cls => row.classList.remove(cls));
+
+    const status = getJobStatus(jobId);
+    row.classList.toggle('waw-shortlisted-row', !!status);
+    if (status) row.classList.add(`waw-status-${status.id}`);
+  }
+
+  // ============================================
+  // Viewed Jobs
+  // ============================================
+
+  async function recordJobView(jobId) {
+    if (!window.AzureStorage) return;
+
+    try {
+      viewedJobs[String(jobId)] = await window.AzureStorage.markJobViewed(jobId);
+    } catch (e) {
+      console.error('[WAW] Failed to record job view:', e);
+      return;
+    }
+
+    const row = document.querySelector(`tr[data-waw-job-id="${jobId}"]`);
+    if (row) applyRowSeen(row, jobId);
+  }
+
+  function isJobSeen(jobId) {
+    return !!viewedJobs[String(jobId)];
+  }
+
+  function formatViewedAgo(timestamp) {
+    // Calendar days, so a job opened late last night reads as "yesterday"
+    const startOfToday = new Date().setHours(0, 0, 0, 0);
+    const days = Math.ceil((startOfToday - timestamp) / DAY_MS);
+
+    if (days <= 0) return 'today';
+    if (days === 1) return 'yesterday';
+    return `${days} days ago`;
+  }
+
+  function applyRowSeen(row, jobId) {
+    const existing = row.querySelector('.waw-seen-hint');
+    if (existing) existing.remove();
+
+    const view = viewedJobs[String(jobId)];
+    row.classList.toggle('waw-seen-row', !!view);
+    if (!view) return;
+
+    const titleCell = getRowTitleCell(row);
+    if (!titleCell) return;
+
+    const hint = document.createElement('span');
+    hint.className = 'waw-row-indicator waw-seen-hint';
+    hint.textContent = `Viewed ${formatViewedAgo(view.lastViewedAt)}`;
+    hint.title = `Opened ${view.count} time${view.count === 1 ? '' : 's'}, first on ${new Date(view.firstViewedAt).toLocaleDateString()}`;
+    titleCell.appendChild(hint);
+  }
+
+  async function toggleSkipSeen() {
+    settings.skipSeenJobs = !settings.skipSeenJobs;
+    updateSkipSeenButton();
+    showNotification(settings.skipSeenJobs ? 'Skipping jobs you have already seen' : 'Showing every job', 'info');
+
+    if (window.AzureStorage) {
+      await window.AzureStorage.saveSettings({ skipSeenJobs: settings.skipSeenJobs });
+    }
+  }
+
+  function updateSkipSeenButton() {
+    const btn = document.getElementById('waw-nav-skip-seen');
+    if (!btn) return;
+
+    btn.classList.toggle('is-active', settings.skipSeenJobs);
+    btn.title = settings.skipSeenJobs
+      ? 'Skipping already-seen jobs (click to show every job)'
+      : 'Skip already-seen jobs';
+  }
+
+  function showStatusMenu(anchor, jobId) {
+    if (!window.AzureStorage) return;
+
+    const current = getJobStatus(jobId);
+    const items = window.AzureStorage.JobStatuses.map((status, index) => ({
+      label: `${index + 1}. ${status.label}`,
+      color: status.color,
+      isCurrent: current && current.id === status.id,
+      onSelect: () => setJobStatus(jobId, status.id)
+    }));
+    items.push({ label: 'Remove from shortlist', onSelect: () => setJobStatus(jobId, null) });
+
+    showPopupMenu(anchor, items);
+  }
+
+  // ============================================
+  // Popup Menu
+  // ============================================
+
+  function showPopupMenu(anchor, items) {
+    closePopupMenu();
+
+    const menu = document.createElement('div');
+    menu.id = 'waw-popup-menu';
+
+    items.forEach(({ label, color, isCurrent, onSelect }) => {
+      const item = document.createElement('button');
+      item.className = `waw-popup-menu-item${isCurrent ? ' is-current' : ''}`;
+      if (color) {
+        item.innerHTML = `<span class="waw-status-dot" style="background: ${color};"></span>`;
+      }
+      item.appendChild(document.createTextNode(label));
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        closePopupMenu();
+        onSelect();
+      });
+      menu.appendChild(item);
+    });
+
+    const rect = anchor.getBoundingClientRect();
+    menu.style.top = `${rect.bottom + 4}px`;
+    menu.style.left = `${Math.max(8, rect.right - 220)}px`;
+    document.body.appendChild(menu);
+
+    // Close on the next click anywhere else
+    setTimeout(() => document.addEventListener('click', closePopupMenu, { once: true }), 0);
+  }
+
+  function closePopupMenu() {
+    const menu = document.getElementById('waw-popup-menu');
+    if (menu) menu.remove();
+  }
+
+  // ============================================
+  // WaterlooWorks Folder Sync
+  // ============================================
+
+  function updateWaterlooWorksFolder(jobId, inFolder) {
+    if (!settings || !settings.shortlistFolderSync || !window.AzureSelectors) {
+      return Promise.resolve();
+    }
+
+    // Drive the folder menu one job at a time
+    folderSyncQueue = folderSyncQueue.then(async () => {
+      const folderName = settings.shortlistFolderName;
+      try {
+        await syncWaterlooWorksFolder(jobId, folderName, inFolder);
+        console.log(`[WAW] Job ${jobId} ${inFolder ? 'added to' : 'removed from'} folder "${folderName}"`);
+      } catch (e) {
+        console.error('[WAW] Folder sync failed:', e);
+        showNotification(`Folder "${folderName}" not updated: ${e.message}`, 'error');
+      }
+    });
+
+    return folderSyncQueue;
+  }
+
+  // Make the folder changes queued by shortlist changes outside this tab, for
+  // the jobs this page shows. Jobs on other pages stay queued.
+  async function applyQueuedFolderChanges() {
+    if (isApplyingFolderQueue || !window.AzureStorage || !window.AzureSelectors) return;
+    if (!settings || !settings.shortlistFolderSync) return;
+
+    isApplyingFolderQueue = true;
+    try {
+      const queue = await window.AzureStorage.getFolderQueue();
+      const ready = Object.keys(queue).filter(jobId => findFolderButton(jobId));
+      if (ready.length === 0) return;
+
+      // Take them off first, so another postings tab doesn't make them too
+      await window.AzureStorage.removeFromFolderQueue(ready);
+      for (const jobId of ready) {
+        // Starred or unstarred again since, which this tab's toggle already filed
+        if (queue[jobId] !== shortlistedJobs.has(jobId)) continue;
+        await updateWaterlooWorksFolder(jobId, queue[jobId]);
+      }
+    } catch (e) {
+      console.error('[WAW] Failed to apply queued folder changes:', e);
+    } finally {
+      isApplyingFolderQueue = false;
+    }
+  }
+
+  async function syncWaterlooWorksFolder(jobId, folderName, inFolder) {
+    const button = findFolderButton(jobId);
+    if (!button) throw new Error('folder button not found');
+
+    button.click();
+    const menu = await waitForCondition(findOpenFolderMenu, 'folder menu did not open');
+
+    let option = findFolderOption(menu, folderName);
+    if (!option) {
+      if (!inFolder) {
+        // Nothing to remove
+        closeFolderMenu(menu, button);
+        return;
+      }
+      await createWaterlooWorksFolder(menu, folderName);
+      option = await waitForCondition(() => findFolderOption(menu, folderName), 'folder could not be created');
+    }
+
+    if (isFolderOptionChecked(option) !== inFolder) {
+      const { Selectors, querySelector } = window.AzureSelectors;
+      (querySelector(Selectors.folders.optionCheckbox, option) || option).click();
     }
+
+    closeFolderMenu(menu, button);
   }
 
-  // ============================================
-  // Shortlist Functions
-  // ============================================
+  async function createWaterlooWorksFolder(menu, folderName) {
+    const { Selectors, querySelector } = window.AzureSelectors;
 
-  async function toggleShortlistJob(jobId, indicatorElement = null) {
-    const jobIdStr = String(jobId);
-    const wasShortlisted = shortlistedJobs.has(jobIdStr);
+    let input = querySelector(Selectors.folders.newFolderInput, menu);
+    if (!input) {
+      const newFolderBtn = findMenuButton(menu, /new folder|create/i);
+      if (!newFolderBtn) throw new Error('no way to create a folder');
+      newFolderBtn.click();
+      input = await waitForCondition(() => querySelector(Selectors.folders.newFolderInput, menu), 'new folder field did not appear');
+    }
 
-    if (wasShortlisted) {
-      shortlistedJobs.delete(jobIdStr);
-      showNotification('Removed from shortlist', 'remove');
+    input.value = folderName;
+    // WaterlooWorks binds the field through Vue, which listens for input events
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+
+    const createBtn = findMenuButton(menu, /^(create|add|save)/i);
+    if (createBtn) {
+      createBtn.click();
     } else {
-      shortlistedJobs.add(jobIdStr);
-      showNotification('Added to shortlist!', 'add');
-      
-      // Try to add to WaterlooWorks folder
-      await addToWaterlooWorksFolder(jobId);
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
     }
+  }
 
-    saveShortlist();
-    
-    // Update all indicators for this job
-    document.querySelectorAll(`.waw-shortlist-indicator[data-job-id="${jobId}"]`).forEach(el => {
-      const isNowShortlisted = shortlistedJobs.has(jobIdStr);
-      el.innerHTML = isNowShortlisted ? '★' : '☆';
-      el.title = isNowShortlisted ? 'Remove from shortlist' : 'Add to shortlist';
-      el.style.color = isNowShortlisted ? '#f39c12' : '#999';
-    });
+  function findFolderButton(jobId) {
+    const { Selectors, querySelectorAll } = window.AzureSelectors;
+    const row = document.querySelector(`tr[data-waw-job-id="${jobId}"]`);
+    const modal = document.querySelector('div[data-v-70e7ded6-s]');
+    const scopes = [row, modal && modal.querySelector('.dashboard-header--mini')].filter(Boolean);
 
-    // Update modal indicator if open
-    updateModalShortlistIndicator();
+    for (const scope of scopes) {
+      const icon = querySelectorAll(Selectors.folders.buttonIcon, scope)
+        .find(el => FOLDER_ICONS.includes(el.textContent.trim()));
+      if (icon) return icon.closest('button');
+    }
+
+    return null;
   }
 
-  async function addToWaterlooWorksFolder(jobId) {
-    // Find the row for this job and click the folder button
-    const row = document.querySelector(`tr[data-waw-job-id="${jobId}"]`);
-    if (!row) return;
+  function findOpenFolderMenu() {
+    const { Selectors, querySelectorAll } = window.AzureSelectors;
+    const menus = querySelectorAll(Selectors.folders.menu).filter(el => el.offsetParent !== null);
+    return menus[menus.length - 1] || null;
+  }
+
+  function findFolderOption(menu, folderName) {
+    const { Selectors, querySelectorAll } = window.AzureSelectors;
+    const target = folderName.trim().toLowerCase();
+    return querySelectorAll(Selectors.folders.option, menu)
+      .find(el => el.textContent.trim().toLowerCase() === target) || null;
+  }
 
-    // Find folder button in the row
-    const folderButton = row.querySelector('button i.material-icons');
-    if (folderButton && (folderButton.textContent.includes('folder') || folderButton.textContent.includes('create_new_folder'))) {
-      // This would trigger WaterlooWorks' folder system
-      // For now, we just track locally
-      console.log(`[WAW] Would add job ${jobId} to folder`);
+  function isFolderOptionChecked(option) {
+    const { Selectors, querySelector } = window.AzureSelectors;
+    const checkbox = querySelector(Selectors.folders.optionCheckbox, option);
+    if (checkbox) return checkbox.checked;
+    return option.getAttribute('aria-checked') === 'true';
+  }
+
+  function findMenuButton(menu, pattern) {
+    return Array.from(menu.querySelectorAll('button')).find(btn => pattern.test(btn.textContent.trim())) || null;
+  }
+
+  function closeFolderMenu(menu, button) {
+    const doneBtn = findMenuButton(menu, /^(save|done|apply|close)$/i);
+    if (doneBtn) {
+      doneBtn.click();
+    } else if (menu.offsetParent !== null) {
+      // Toggle the menu shut with the button that opened it
+      button.click();
     }
   }
 
+  function waitForCondition(check, errorMessage, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      const poll = () => {
+        const result = check();
+        if (result) {
+          resolve(result);
+        } else if (Date.now() - start >= timeout) {
+          reject(new Error(errorMessage));
+        } else {
+          setTimeout(poll, 100);
+        }
+      };
+      poll();
+    });
+  }
+
   // ============================================
   // Modal Navigation
   // ============================================
@@ -299,6 +1154,7 @@
 
     const jobId = getCurrentModalJobId();
     const isShortlisted = jobId ? shortlistedJobs.has(String(jobId)) : false;
+    const statuses = window.AzureStorage ? window.AzureStorage.JobStatuses : [];
 
     const navUI = document.createElement('div');
     navUI.id = 'waw-modal-nav';
@@ -311,10 +1167,19 @@
     `;
 
     navUI.innerHTML = `
-      <button class="waw-nav-btn" id="waw-nav-prev" title="Previous job (← or A)">←</button>
+      <span class="waw-nav-position" id="waw-nav-position"></span>
+      <button class="waw-nav-btn" id="waw-nav-prev" title="Previous job${getShortcutHint('previous')}">←</button>
       <button class="waw-nav-btn waw-shortlist-btn ${isShortlisted ? 'is-shortlisted' : ''}" 
-              id="waw-nav-shortlist" title="Shortlist (W/S)" data-job-id="${jobId || ''}">${isShortlisted ? '★' : '☆'}</button>
-      <button class="waw-nav-btn" id="waw-nav-next" title="Next job (→ or D)">→</button>
+              id="waw-nav-shortlist" title="Shortlist${getShortcutHint('shortlist')}" data-job-id="${jobId || ''}">${isShortlisted ? '★' : '☆'}</button>
+      <select class="waw-nav-status" id="waw-nav-status" title="Pipeline status">
+        <option value="">Not tracked</option>
+        ${statuses.map(s => `<option value="${s.id}">${s.label}</option>`).join('')}
+      </select>
+      <button class="waw-nav-btn waw-hide-btn" id="waw-nav-hide" title="Hide this job${getShortcutHint('hide')}">⊘</button>
+      <button class="waw-nav-btn waw-hide-btn" id="waw-nav-block" title="Never show this employer">🚫</button>
+      <button class="waw-nav-btn waw-skip-seen-btn" id="waw-nav-skip-seen">👁</button>
+      <button class="waw-nav-btn waw-export-btn" id="waw-nav-export" title="Export this posting">⤓</button>
+      <button class="waw-nav-btn" id="waw-nav-next" title="Next job${getShortcutHint('next')}">→</button>
     `;
 
     // Add styles (only once)
@@ -354,6 +1219,38 @@
         #waw-modal-nav .waw-shortlist-btn.is-shortlisted {
           background: linear-gradient(135deg, #27ae60, #2ecc71);
         }
+        #waw-modal-nav .waw-skip-seen-btn {
+          background: #ccc;
+          font-size: 14px;
+        }
+        #waw-modal-nav .waw-skip-seen-btn.is-active {
+          background: linear-gradient(135deg, #667eea, #764ba2);
+        }
+        #waw-modal-nav .waw-hide-btn {
+          background: linear-gradient(135deg, #95a5a6, #7f8c8d);
+        }
+        #waw-modal-nav .waw-export-btn {
+          background: linear-gradient(135deg, #3498db, #2980b9);
+        }
+        #waw-modal-nav .waw-nav-position {
+          margin-right: 6px;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          font-size: 13px;
+          font-weight: 600;
+          color: #666;
+          white-space: nowrap;
+        }
+        #waw-modal-nav .waw-nav-status {
+          height: 32px;
+          padding: 0 8px;
+          border: 2px solid #ccc;
+          border-radius: 6px;
+          background: white;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+        }
       `;
       document.head.appendChild(style);
     }
@@ -368,6 +1265,20 @@
       const jid = getCurrentModalJobId();
       if (jid) toggleShortlistJob(jid);
     });
+    document.getElementById('waw-nav-status').addEventListener('change', (e) => {
+      const jid = getCurrentModalJobId();
+      if (jid) setJobStatus(jid, e.target.value);
+    });
+    document.getElementById('waw-nav-hide').addEventListener('click', hideModalJob);
+    document.getElementById('waw-nav-block').addEventListener('click', blockModalEmployer);
+    document.getElementById('waw-nav-skip-seen').addEventListener('click', toggleSkipSeen);
+    document.getElementById('waw-nav-export').addEventListener('click', (e) => {
+      e.stopPropagation();
+      showExportMenu(e.currentTarget);
+    });
+
+    updateSkipSeenButton();
+    updateModalPosition();
 
     // Update shortlist button state
     updateModalShortlistIndicator();
@@ -383,6 +1294,137 @@
     const isShortlisted = shortlistedJobs.has(String(jobId));
     btn.textContent = isShortlisted ? '★' : '☆';
     btn.classList.toggle('is-shortlisted', isShortlisted);
+
+    const select = document.getElementById('waw-nav-status');
+    if (select) {
+      const status = getJobStatus(jobId);
+      select.value = status ? status.id : '';
+      select.style.borderColor = status ? status.color : '#ccc';
+      select.style.color = status ? status.color : '';
+    }
+  }
+
+  async function hideModalJob() {
+    const jobId = getCurrentModalJobId();
+    if (!jobId || !window.AzureJobHiding) return;
+
+    await window.AzureJobHiding.hideJob(jobId);
+    showNotification('Job hidden', 'remove');
+    navigateJob(1);
+  }
+
+  async function blockModalEmployer() {
+    const jobId = getCurrentModalJobId();
+    if (!jobId || !window.AzureJobHiding) return;
+
+    const employer = captureJob(jobId).employer;
+    if (!employer) {
+      showNotification('Could not find the employer for this job', 'error');
+      return;
+    }
+    if (!confirm(`Hide every posting from ${employer}? You can unblock them in Settings.`)) return;
+
+    await window.AzureJobHiding.blockEmployer(employer);
+    showNotification(`Blocked ${employer}`, 'remove');
+    navigateJob(1);
+  }
+
+  // ============================================
+  // Posting Export
+  // ============================================
+
+  async function getModalPosting(jobId) {
+    const modal = document.querySelector('div[data-v-70e7ded6-s]');
+    const record = captureJob(jobId);
+    const rearranger = window.AzureJobInfoRearranger;
+
+    const posting = {
+      id: String(jobId),
+      title: record.title,
+      employer: record.employer,
+      url: record.url,
+      fields: modal && rearranger ? rearranger.getFieldValues(modal) : {},
+      sections: modal && rearranger ? rearranger.getSections(modal) : [],
+      pay: record.pay
+    };
+
+    if (window.AzureStorage) {
+      const notes = await window.AzureStorage.getNotes();
+      if (notes[jobId]) posting.note = notes[jobId].text;
+    }
+
+    return posting;
+  }
+
+  function showExportMenu(anchor) {
+    const jobId = getCurrentModalJobId();
+    if (!jobId || !window.AzureExport) return;
+
+    const items = window.AzureExport.ExportFormats.map(format => ({
+      label: `Download ${format.label}`,
+      onSelect: async () => window.AzureExport.exportPostings(await getModalPosting(jobId), format.id)
+    }));
+    items.push({ label: 'Copy as Markdown', onSelect: () => copyModalMarkdown(jobId) });
+    if (window.AzureCalendar) {
+      items.push({ label: 'Add deadline to calendar (.ics)', onSelect: () => exportModalDeadline(jobId) });
+    }
+
+    showPopupMenu(anchor, items);
+  }
+
+  async function exportModalDeadline(jobId) {
+    const posting = await getModalPosting(jobId);
+    const event = window.AzureCalendar.createDeadlineEvent({ ...posting, deadline: posting.fields.deadline });
+    if (!event) {
+      showNotification('Could not read the deadline for this job', 'error');
+      return;
+    }
+    window.AzureCalendar.downloadCalendar([event], `waterlooworks-${jobId}-deadline`);
+  }
+
+  async function copyModalMarkdown(jobId) {
+    try {
+      const markdown = window.AzureExport.buildPostingMarkdown(await getModalPosting(jobId));
+      await navigator.clipboard.writeText(markdown);
+      showNotification('Posting copied as Markdown', 'info');
+    } catch (e) {
+      console.error('[WAW] Failed to copy posting:', e);
+      showNotification('Could not copy the posting', 'error');
+    }
+  }
+
+  function shouldSkipJobLink(index) {
+    const row = jobLinks[index] && jobLinks[index].closest('tr');
+    if (!row) return false;
+
+    if (window.AzureJobHiding && window.AzureJobHiding.isRowHidden(row)) return true;
+    if (window.AzureTableFilter && window.AzureTableFilter.isRowFiltered(row)) return true;
+    return settings.skipSeenJobs && isJobSeen(getJobIdFromRow(row));
+  }
+
+  function findVisibleIndex(index, delta) {
+    // Step over hidden (and, if enabled, seen) rows; may land outside the
+    // list to trigger pagination
+    while (index >= 0 && index < jobLinks.length && shouldSkipJobLink(index)) {
+      index += delta;
+    }
+    return index;
+  }
+
+  function updateModalPosition() {
+    const label = document.getElementById('waw-nav-position');
+    if (!label) return;
+
+    const jobId = getCurrentModalJobId();
+    const position = jobId && window.AzureSearchIndex ? window.AzureSearchIndex.getPosition(jobId) : null;
+
+    if (!position) {
+      label.textContent = '';
+      return;
+    }
+
+    label.textContent = `Job ${position.position} of ${position.isComplete ? '' : '~'}${position.total}`;
+    label.title = position.isComplete ? 'Position in your search results' : 'Still indexing the rest of your search results';
   }
 
   function navigateJob(delta) {
@@ -434,75 +1476,49 @@
     
     console.log('[WAW] currentJobIndex (after detection):', currentJobIndex);
 
-    // Calculate new index
-    let newIndex = currentJobIndex + delta;
+    // Calculate new index, skipping hidden jobs
+    let newIndex = findVisibleIndex(currentJobIndex + delta, delta);
     console.log('[WAW] newIndex:', newIndex);
     console.log('[WAW] Check: newIndex >= jobLinks.length?', newIndex, '>=', jobLinks.length, '=', newIndex >= jobLinks.length);
     console.log('[WAW] Check: newIndex < 0?', newIndex, '< 0 =', newIndex < 0);
 
-    // Handle wrapping / pagination
-    if (newIndex < 0) {
-      console.log('[WAW] ENTERING: Previous page block');
-      // Try to go to previous page
-      const prevPageBtn = document.querySelector('a[aria-label="Go to previous page"]');
-      console.log('[WAW] prevPageBtn:', prevPageBtn);
-      if (prevPageBtn) {
-        // Close modal first, then wait for it to close before pagination
-        closeModal();
-        setTimeout(() => {
-          waitForTableUpdateThenNavigate('last');
-          prevPageBtn.click();
-        }, 200);
-        return;
-      }
-      newIndex = 0;
-      showNotification('First job (no previous page)', 'info');
-    } else if (newIndex >= jobLinks.length) {
-      console.log('[WAW] ENTERING: Next page block');
-      // Try to go to next page
-      const nextPageBtn = document.querySelector('a[aria-label="Go to next page"]');
-      console.log('[WAW] nextPageBtn:', nextPageBtn);
-      if (nextPageBtn) {
-        // Close modal first, then wait for it to close before pagination
-        closeModal();
-        setTimeout(() => {
-          waitForTableUpdateThenNavigate('first');
-          nextPageBtn.click();
-        }, 200);
-        return;
+    // Past either end of this page: carry on through the rest of the search
+    if (newIndex < 0 || newIndex >= jobLinks.length) {
+      console.log('[WAW] Leaving page, delta:', delta);
+      if (navigateAcrossPages(modalJobId, delta)) return;
+
+      if (newIndex < 0) {
+        newIndex = 0;
+        showNotification('First job (no previous page)', 'info');
+      } else {
+        newIndex = jobLinks.length - 1;
+        showNotification('Last job (no next page)', 'info');
       }
-      newIndex = jobLinks.length - 1;
-      showNotification('Last job (no next page)', 'info');
     } else {
       console.log('[WAW] NORMAL: Staying on same page, going to index', newIndex);
     }
 
     currentJobIndex = newIndex;
+    openJobLink(jobLinks[currentJobIndex]);
+  }
 
-    // Click the job link to open it
-    if (jobLinks[currentJobIndex]) {
-      const link = jobLinks[currentJobIndex];
-      
-      // Close current modal first
-      closeModal();
+  function openJobLink(link) {
+    if (!link) return;
+
+    // Close current modal first
+    closeModal();
+    
+    // Wait a bit then click the new job
+    setTimeout(() => {
+      link.click();
       
-      // Wait a bit then click the new job
+      // Trigger job info rearranger after modal content loads (it tracks which posting it enhanced)
       setTimeout(() => {
-        link.click();
-        
-        // Trigger job info rearranger after modal content loads
-        setTimeout(() => {
-          if (window.AzureJobInfoRearranger) {
-            // Reset the enhanced flag so rearranger can process the new content
-            const modal = document.querySelector('div[data-v-70e7ded6-s]');
-            if (modal) {
-              modal.dataset.azureEnhanced = 'false';
-            }
-            window.AzureJobInfoRearranger.enhance();
-          }
-        }, 300);
-      }, 100);
-    }
+        if (window.AzureJobInfoRearranger) {
+          window.AzureJobInfoRearranger.enhance();
+        }
+      }, 300);
+    }, 100);
   }
 
   function closeModal() {
@@ -525,78 +1541,184 @@
   // Pagination Navigation (SPA-aware)
   // ============================================
 
-  function waitForTableUpdateThenNavigate(position) {
-    // Store current job IDs to detect when table content changes
-    const currentJobIds = new Set(jobLinks.map(link => {
-      const row = link.closest('tr');
-      return row ? String(getJobIdFromRow(row)) : null;
-    }).filter(Boolean));
+  function isJobIdSkipped(jobId) {
+    // For jobs on other pages, where only the ID is known
+    if (window.AzureJobHiding && window.AzureJobHiding.isJobHidden(jobId)) return true;
+    return settings.skipSeenJobs && isJobSeen(jobId);
+  }
 
-    console.log(`[WAW] Watching for table update, will navigate to ${position} job. Current jobs: ${currentJobIds.size}`);
+  function findPageButton(page) {
+    return document.querySelector(`a[aria-label="Go to page ${page}"], button[aria-label="Go to page ${page}"]`);
+  }
 
-    let attempts = 0;
-    const maxAttempts = 30; // 3 seconds at 100ms intervals
+  function navigateAcrossPages(jobId, delta) {
+    const searchIndex = window.AzureSearchIndex;
+    if (!searchIndex) return false;
+
+    // The search index knows which page the next job is on, even several
+    // pages away when every job in between is skipped. It's in page order,
+    // so with a column sort the next page is started from its sorted end.
+    const isSorted = window.AzureTableColumns && window.AzureTableColumns.isSorted();
+    const target = jobId && !isSorted ? searchIndex.getNeighbor(jobId, delta, isJobIdSkipped) : null;
+    if (target) {
+      openJobOnPage(target.jobId, target.page, delta);
+      return true;
+    }
 
-    const checkForUpdate = () => {
-      attempts++;
-      
-      // Refresh job links
-      getAllJobLinks();
-      
-      const newJobIds = new Set(jobLinks.map(link => {
-        const row = link.closest('tr');
-        return row ? String(getJobIdFromRow(row)) : null;
-      }).filter(Boolean));
-
-      // Check if job IDs have changed (new page loaded)
-      const hasChanged = newJobIds.size > 0 && 
-                         ![...newJobIds].every(id => currentJobIds.has(id));
-
-      if (hasChanged) {
-        console.log('[WAW] Table content changed, navigating to ' + position);
-        
-        // Wait for table to stabilize, then navigate
-        setTimeout(() => {
-          enhanceJobTable();
-          
-          if (position === 'first') {
-            currentJobIndex = 0;
-          } else {
-            currentJobIndex = jobLinks.length - 1;
-          }
+    // Nothing further in the search, or the next page isn't indexed yet and
+    // whatever it starts (or ends) with will do
+    if (searchIndex.isComplete() && !isSorted) return false;
+    const page = searchIndex.getCurrentPage() + delta;
+    if (page < 1 || !document.querySelector(`a[aria-label="Go to ${delta > 0 ? 'next' : 'previous'} page"]`)) {
+      return false;
+    }
 
-          if (jobLinks[currentJobIndex]) {
-            console.log(`[WAW] Clicking job at index ${currentJobIndex}`);
-            jobLinks[currentJobIndex].click();
-            
-            // Trigger job info rearranger after modal loads
-            setTimeout(() => {
-              if (window.AzureJobInfoRearranger) {
-                const modal = document.querySelector('div[data-v-70e7ded6-s]');
-                if (modal) modal.dataset.azureEnhanced = 'false';
-                window.AzureJobInfoRearranger.enhance();
-              }
-            }, 300);
-          } else {
-            console.log('[WAW] No job link found at index ' + currentJobIndex);
-          }
-        }, 300);
-      } else if (attempts < maxAttempts) {
-        // Keep polling
-        setTimeout(checkForUpdate, 100);
-      } else {
-        console.log('[WAW] Pagination watch timed out after 3 seconds');
+    openJobOnPage(null, page, delta);
+    return true;
+  }
+
+  function getPageJobIds() {
+    return jobLinks
+      .map(link => link.closest('tr'))
+      .filter(Boolean)
+      .map(row => String(getJobIdFromRow(row)));
+  }
+
+  function getTableJobIds() {
+    return Array.from(document.querySelectorAll('tbody tr'))
+      .filter(row => row.querySelector('td a') && !row.closest('div[data-v-70e7ded6-s]'))
+      .map(row => String(getJobIdFromRow(row)));
+  }
+
+  function waitForTableChange(previousIds) {
+    // Settles on the SPA's own re-render rather than polling for it
+    return new Promise((resolve, reject) => {
+      const hasChanged = () => {
+        const ids = getTableJobIds();
+        return ids.length > 0 && ids.some(id => !previousIds.includes(id));
+      };
+
+      const observer = new MutationObserver(() => {
+        if (!hasChanged()) return;
+        finish();
+        resolve();
+      });
+      const timeout = setTimeout(() => {
+        finish();
+        reject(new Error('The next page of results did not load'));
+      }, PAGE_LOAD_TIMEOUT);
+
+      function finish() {
+        observer.disconnect();
+        clearTimeout(timeout);
       }
-    };
 
-    // Start polling after a short delay
-    setTimeout(checkForUpdate, 100);
+      if (hasChanged()) {
+        finish();
+        resolve();
+        return;
+      }
+
+      // Only for this one page change, so the whole page can be watched
+      observer.observe(document.body, { childList: true, subtree: true });
+    });
+  }
+
+  async function showResultsPage(page) {
+    for (let step = 0; step < MAX_PAGE_STEPS; step++) {
+      const current = window.AzureSearchIndex.getCurrentPage();
+      if (current === page) return;
+
+      // Elided page numbers are reached through the nearest one listed
+      const button = findPageButton(page) ||
+        document.querySelector(`a[aria-label="Go to ${page > current ? 'next' : 'previous'} page"]`);
+      if (!button) throw new Error(`Page ${page} of the results is not available`);
+
+      const previousIds = getTableJobIds();
+      // WaterlooWorks re-renders its rows from the order it left them in
+      if (window.AzureTableColumns) window.AzureTableColumns.restorePageOrder();
+      button.click();
+      await waitForTableChange(previousIds);
+    }
+
+    throw new Error(`Page ${page} of the results is too far away`);
+  }
+
+  /**
+   * Open a job that's on another page of the search. The table changes page
+   * hidden, behind the modal, so it never visibly flips.
+   * @param {string|null} jobId - Job to open, or null for the page's first
+   *   (or, going back, last) job to show
+   * @param {number} page - Page of the search the job is on
+   * @param {number} delta - Direction of travel
+   */
+  async function openJobOnPage(jobId, page, delta) {
+    document.documentElement.classList.add('waw-switching-page');
+
+    try {
+      await showResultsPage(page);
+      getAllJobLinks();
+      enhanceJobTable();
+
+      const targetIndex = jobId ? getPageJobIds().indexOf(String(jobId)) : -1;
+      if (jobId && targetIndex < 0) throw new Error(`Job ${jobId} is no longer in these results`);
+
+      const start = targetIndex >= 0 ? targetIndex : (delta > 0 ? 0 : jobLinks.length - 1);
+      const index = jobId ? targetIndex : findVisibleIndex(start, delta);
+      currentJobIndex = index >= 0 && index < jobLinks.length ? index : start;
+
+      console.log(`[WAW] Page ${page} loaded, opening job at index ${currentJobIndex}`);
+      jobLinks[currentJobIndex].closest('tr').scrollIntoView({ block: 'center' });
+      openJobLink(jobLinks[currentJobIndex]);
+
+      // Shown again once the new modal covers the table
+      setTimeout(() => document.documentElement.classList.remove('waw-switching-page'), 500);
+    } catch (e) {
+      console.warn('[WAW]', e.message);
+      showNotification(e.message, 'error');
+      document.documentElement.classList.remove('waw-switching-page');
+    }
   }
 
   // ============================================
   // Keyboard Navigation
   // ============================================
 
+  // What each shortcut command (utils/shortcuts.js) does in each scope
+  const COMMAND_ACTIONS = {
+    previous: { modal: () => navigateJob(-1), list: () => selectAndOpenJob(-1) },
+    next: { modal: () => navigateJob(1), list: () => selectAndOpenJob(1) },
+    shortlist: { modal: () => withModalJob(toggleShortlistJob) },
+    close: { modal: () => closeModal() },
+    hide: { modal: () => hideModalJob() },
+    skipSeen: { modal: () => toggleSkipSeen() },
+    clearStatus: { modal: () => withModalJob(jobId => setJobStatus(jobId, null)) }
+  };
+
+  function withModalJob(action) {
+    const jobId = getCurrentModalJobId();
+    if (jobId) action(jobId);
+  }
+
+  function getCommandAction(commandId, scope) {
+    const statusMatch = commandId.match(/^status(\d)$/);
+    if (statusMatch) {
+      const status = window.AzureStorage ? window.AzureStorage.JobStatuses[statusMatch[1] - 1] : null;
+      return status && scope === 'modal' ? () => withModalJob(jobId => setJobStatus(jobId, status.id)) : null;
+    }
+    return COMMAND_ACTIONS[commandId] ? COMMAND_ACTIONS[commandId][scope] : null;
+  }
+
+  function getShortcutBindings() {
+    return window.AzureShortcuts ? window.AzureShortcuts.getShortcutBindings(settings.keyboardBindings) : {};
+  }
+
+  function getShortcutHint(commandId) {
+    const shortcuts = getShortcutBindings()[commandId] || [];
+    if (!settings.keyboardShortcuts || shortcuts.length === 0) return '';
+    return ` (${shortcuts.map(window.AzureShortcuts.formatShortcut).join(' or ')})`;
+  }
+
   function setupKeyboardNav() {
     document.addEventListener('keydown', (e) => {
       // Don't intercept in inputs
@@ -604,56 +1726,35 @@
         return;
       }
 
-      // Modal navigation
-      if (isModalOpen()) {
-        switch (e.key) {
-          case 'ArrowLeft':
-          case 'a':
-          case 'A':
-            e.preventDefault();
-            navigateJob(-1);
-            break;
-          case 'ArrowRight':
-          case 'd':
-          case 'D':
-            e.preventDefault();
-            navigateJob(1);
-            break;
-          case 'ArrowUp':
-          case 'w':
-          case 'W':
-          case 's':
-          case 'S':
-            e.preventDefault();
-            const jid = getCurrentModalJobId();
-            if (jid) toggleShortlistJob(jid);
-            break;
-          case 'Escape':
-            // Only handle real user events, not synthetic ones (prevents recursion)
-            if (!e.isTrusted) return;
-            e.preventDefault();
-            closeModal();
-            break;
-        }
+      // Escape dismisses an open popup menu before anything else
+      if (e.key === 'Escape' && document.getElementById('waw-popup-menu')) {
+        e.preventDefault();
+        closePopupMenu();
         return;
       }
 
-      // Job list navigation
-      if (jobLinks.length === 0) return;
+      if (!settings.keyboardShortcuts || !window.AzureShortcuts) return;
 
-      switch (e.key) {
-        case 'ArrowRight':
-        case 'd':
-        case 'D':
-          e.preventDefault();
-          selectAndOpenJob(1);
-          break;
-        case 'ArrowLeft':
-        case 'a':
-        case 'A':
-          e.preventDefault();
-          selectAndOpenJob(-1);
-          break;
+      const shortcut = window.AzureShortcuts.eventToShortcut(e);
+      if (!shortcut) return;
+
+      // Job list navigation needs jobs on the page
+      const scope = isModalOpen() ? 'modal' : 'list';
+      if (scope === 'list' && jobLinks.length === 0) return;
+
+      const bindings = getShortcutBindings();
+      for (const commandId of Object.keys(bindings)) {
+        if (!bindings[commandId].includes(shortcut)) continue;
+
+        const action = getCommandAction(commandId, scope);
+        if (!action) continue;
+
+        // Only handle real user events, not synthetic ones (prevents recursion)
+        if (commandId === 'close' && !e.isTrusted) return;
+
+        e.preventDefault();
+        action();
+        return;
       }
     });
   }
@@ -668,16 +1769,18 @@
     document.querySelectorAll('.waw-selected').forEach(el => el.classList.remove('waw-selected'));
 
     // Calculate new index
-    if (currentJobIndex < 0) {
-      currentJobIndex = delta > 0 ? 0 : jobLinks.length - 1;
-    } else {
-      currentJobIndex += delta;
+    const start = currentJobIndex < 0
+      ? (delta > 0 ? 0 : jobLinks.length - 1)
+      : currentJobIndex + delta;
+    const next = findVisibleIndex(start, delta);
+
+    // Stay put rather than land on a hidden job at either end
+    if (next >= 0 && next < jobLinks.length) {
+      currentJobIndex = next;
+    } else if (currentJobIndex < 0) {
+      return;
     }
 
-    // Clamp
-    if (currentJobIndex < 0) currentJobIndex = 0;
-    if (currentJobIndex >= jobLinks.length) currentJobIndex = jobLinks.length - 1;
-
     // Select and open
     const row = jobLinks[currentJobIndex].closest('tr');
     if (row) {
@@ -730,7 +1833,13 @@
       gap: 10px;
       animation: wawFadeIn 0.3s ease;
     `;
-    notification.innerHTML = `<span style="font-size: 20px;">${icons[type] || icons.info}</span> ${message}`;
+    // Messages carry employer and folder names from the page, so never parse them as HTML
+    const icon = document.createElement('span');
+    icon.style.fontSize = '20px';
+    icon.textContent = icons[type] || icons.info;
+    const text = document.createElement('span');
+    text.textContent = message;
+    notification.append(icon, text);
 
     document.body.appendChild(notification);
 
@@ -749,6 +1858,18 @@
     if (modalObserver) return;
 
     modalObserver = new MutationObserver((mutations) => {
+      // Pagination that replaces the whole table container leaves the table
+      // observer watching a detached node
+      if (tableContainer && !tableContainer.isConnected) {
+        tableContainer = null;
+        setupTableObserver();
+      }
+
+      const openModal = modalChangeListeners.length > 0 && document.querySelector('div[data-v-70e7ded6-s]');
+      if (openModal && mutations.some(mutation => isModalMutation(openModal, mutation))) {
+        scheduleModalChange();
+      }
+
       for (const mutation of mutations) {
         for (const node of mutation.addedNodes) {
           if (node.nodeType === 1) {
@@ -759,6 +1880,15 @@
               console.log('[WAW] Modal opened');
               setTimeout(() => {
                 addModalNavigationUI();
+
+                // Pick up deadline, location, etc. for an already-shortlisted job
+                const jid = getCurrentModalJobId();
+                if (jid) {
+                  refreshShortlistRecord(jid);
+                  recordJobView(jid);
+                  cacheModalFields(jid);
+                  checkModalPosting(jid);
+                }
               }, 300);
             }
           }
@@ -777,25 +1907,83 @@
     modalObserver.observe(document.body, { childList: true, subtree: true });
   }
 
+  // The modal being added, or its content changing
+  function isModalMutation(modal, mutation) {
+    if (modal.contains(mutation.target)) return true;
+    return [...mutation.addedNodes].some(node => node === modal || (node.nodeType === 1 && node.contains(modal)));
+  }
+
+  // Debounced, as moving between jobs re-renders the modal over several mutations
+  function scheduleModalChange() {
+    clearTimeout(modalChangeTimeout);
+    modalChangeTimeout = setTimeout(() => {
+      modalChangeListeners.forEach(callback => callback());
+    }, MODAL_CHANGE_DELAY);
+  }
+
+  /**
+   * Call back whenever the posting modal opens or its content changes, so
+   * modules decorating it don't each need to watch the whole page
+   * @param {function} callback - Called with no arguments
+   * @returns {function} Stops the callbacks
+   */
+  function onModalChange(callback) {
+    modalChangeListeners.push(callback);
+    return () => {
+      modalChangeListeners = modalChangeListeners.filter(listener => listener !== callback);
+    };
+  }
+
   function setupTableObserver() {
-    const tableContainer = document.querySelector('tbody[data-v-612a1958]') || 
-                          document.querySelector('table tbody');
-    
-    if (!tableContainer) {
+    const tbody = document.querySelector('tbody[data-v-612a1958]') ||
+                  document.querySelector('table tbody');
+    const table = tbody && tbody.closest('table');
+
+    if (!table || !table.parentElement) {
       setTimeout(setupTableObserver, 500);
       return;
     }
 
-    const observer = new MutationObserver(() => {
-      // Debounce
-      clearTimeout(observer._timeout);
-      observer._timeout = setTimeout(() => {
-        console.log('[WAW] Table updated, refreshing...');
-        enhanceJobTable();
-      }, 200);
+    // Watch the table's container rather than the table, as pagination can
+    // swap out the table itself; the modal observer re-attaches this one if
+    // the container goes too
+    const isReattaching = !!tableObserver;
+    if (tableObserver) tableObserver.disconnect();
+    tableContainer = table.parentElement;
+
+    tableObserver = new MutationObserver((mutations) => {
+      if (mutations.some(isTableMutation)) scheduleTableRefresh();
     });
+    tableObserver.observe(tableContainer, { childList: true, subtree: true });
+
+    if (isReattaching) scheduleTableRefresh();
+  }
+
+  // Debounced, as the SPA renders a page of rows over several mutations
+  function scheduleTableRefresh() {
+    clearTimeout(tableRefreshTimeout);
+    tableRefreshTimeout = setTimeout(() => {
+      console.log('[WAW] Table updated, refreshing...');
+      enhanceJobTable();
+    }, 200);
+  }
+
+  function isInjectedNode(node) {
+    return node.nodeType !== 1 ||
+      node.classList.contains('waw-row-indicator') ||
+      node.classList.contains('azure-injected') ||
+      !!node.closest('.azure-injected, #waw-table-toolbar, #waw-popup-menu');
+  }
+
+  function isTableMutation(mutation) {
+    const target = mutation.target;
+    if (target.nodeType !== 1 || target.closest('div[data-v-70e7ded6-s]')) return false;
+
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    if (nodes.length === 0 || nodes.every(isInjectedNode)) return false;
 
-    observer.observe(tableContainer, { childList: true, subtree: true });
+    if (target.closest('table')) return true;
+    return nodes.some(node => node.nodeType === 1 && (node.matches('table, tbody, tr') || node.querySelector('tbody tr')));
   }
 
   // ============================================
@@ -805,6 +1993,14 @@
   function injectStyles() {
     if (document.getElementById('waw-styles')) return;
 
+    // One row tint + edge colour per pipeline status
+    const statuses = window.AzureStorage ? window.AzureStorage.JobStatuses : [];
+    const statusStyles = statuses.map(status => `
+      tr.waw-status-${status.id} {
+        background-color: ${status.color}1f !important;
+        box-shadow: inset 4px 0 0 ${status.color};
+      }`).join('\n');
+
     const style = document.createElement('style');
     style.id = 'waw-styles';
     style.textContent = `
@@ -838,6 +2034,105 @@
         background-color: rgba(243, 156, 18, 0.1) !important;
       }
 
+      /* Results table while it changes page behind the modal */
+      html.waw-switching-page tbody {
+        visibility: hidden;
+      }
+
+      html.waw-switching-page div[data-v-70e7ded6-s] tbody {
+        visibility: visible;
+      }
+
+      /* Summary bar above the postings table */
+      #waw-table-toolbar {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 8px;
+        margin: 8px 0;
+      }
+
+      #waw-table-toolbar:empty {
+        display: none;
+      }
+
+      #waw-new-summary {
+        padding: 4px 12px;
+        border-radius: 999px;
+        background: #f1f3f5;
+        color: #555;
+        font-size: 13px;
+        font-weight: 600;
+      }
+
+      #waw-new-summary.has-new {
+        background: rgba(39, 174, 96, 0.12);
+        color: #1e8449;
+      }
+
+      /* Jobs already opened */
+      tr.waw-seen-row td a {
+        color: #7b5ea7 !important;
+      }
+
+      .waw-seen-hint {
+        display: block;
+        margin-top: 2px;
+        font-size: 11px;
+        font-weight: normal;
+        color: #999;
+      }
+
+      /* Pipeline status rows */
+      ${statusStyles}
+
+      tr.waw-status-rejected,
+      tr.waw-status-withdrawn {
+        opacity: 0.6;
+      }
+
+      #waw-popup-menu {
+        position: fixed;
+        z-index: 1000001;
+        min-width: 180px;
+        max-width: 320px;
+        padding: 6px;
+        background: white;
+        border-radius: 8px;
+        box-shadow: 0 6px 24px rgba(0,0,0,0.25);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+
+      .waw-popup-menu-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        width: 100%;
+        padding: 6px 10px;
+        border: none;
+        border-radius: 4px;
+        background: none;
+        color: #333;
+        font-size: 13px;
+        text-align: left;
+        cursor: pointer;
+      }
+
+      .waw-popup-menu-item:hover {
+        background: #f1f3f5;
+      }
+
+      .waw-popup-menu-item.is-current {
+        font-weight: 700;
+      }
+
+      .waw-status-dot {
+        width: 10px;
+        height: 10px;
+        border-radius: 50%;
+        border: 1px solid rgba(0,0,0,0.15);
+      }
+
       /* Make table cells relative for indicators */
       tbody tr td {
         position: relative;
@@ -855,14 +2150,23 @@
     console.log('[WAW] Initializing Navigator...');
 
     await loadSettings();
+    await loadShortlist();
+    await loadViewedJobs();
     injectStyles();
+
+    // Pages indexed in the background change the job count
+    if (window.AzureSearchIndex) {
+      window.AzureSearchIndex.onChange(updateModalPosition);
+    }
     setupModalObserver();
     setupKeyboardNav();
+    setupVisitTracking();
 
     // Setup table features after delay
     setTimeout(() => {
       enhanceJobTable();
       setupTableObserver();
+      openJobFromUrl();
     }, 1500);
 
     console.log('[WAW] Navigator ready!');
@@ -879,9 +2183,25 @@
   window.WAWNavigator = {
     navigateJob,
     toggleShortlistJob,
+    setJobStatus,
+    toggleSkipSeen,
     getCurrentModalJobId,
     isModalOpen,
-    shortlistedJobs
+    onModalChange,
+    getJobIdFromRow,
+    getJobStatus,
+    isRowNew,
+    isJobSeen,
+    captureJob,
+    findPostingsTable,
+    getJobRows,
+    forEachJobRow,
+    getRowTitleCell,
+    getTableToolbar,
+    showPopupMenu,
+    showNotification,
+    shortlistedJobs,
+    reloadSettings: loadSettings
   };
 
 })();
@@ -0,0 +1,429 @@
+/**
+ * Posting Change Detection for WaterlooActuallyWorks
+ * Compares a posting as it opens with its last snapshot and flags what
+ * the employer edited since: a banner in the modal with a diff of the key
+ * fields and description sections, and a badge on changed shortlisted rows.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Posting Changes loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  let changedPostings = {};
+  let pageObserver = null;
+
+  const MODAL_SELECTOR = 'div[data-v-70e7ded6-s]';
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  async function loadChanges() {
+    if (!window.AzureStorage) return;
+
+    try {
+      changedPostings = await window.AzureStorage.getChangedPostings();
+    } catch (e) {
+      console.error('[WAW] Failed to load posting changes:', e);
+    }
+
+    window.AzureStorage.onChangedPostingsChanged((newValue) => {
+      changedPostings = newValue;
+      refreshRows();
+      ensureBanner();
+    });
+  }
+
+  // ============================================
+  // Comparison
+  // ============================================
+
+  function normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Compare a posting with its last snapshot. A field or section missing
+   * now is left out rather than reported as removed, as it's more often still
+   * loading than deleted.
+   * @param {object} previous - Snapshot from when it was last opened
+   * @param {object} current - Posting as just captured
+   * @returns {object} { fields, sections } that changed
+   */
+  function comparePostings(previous, current) {
+    const { ExportFieldLabels, SummaryFieldKeys } = window.AzureExport;
+
+    const fields = SummaryFieldKeys
+      .map(key => ({
+        key,
+        label: ExportFieldLabels[key],
+        before: (previous.fields || {})[key] || '',
+        after: (current.fields || {})[key] || ''
+      }))
+      .filter(field => field.after && normalize(field.before) !== normalize(field.after));
+
+    const previousSections = {};
+    (previous.sections || []).forEach(section => {
+      previousSections[section.label.toLowerCase()] = section.text;
+    });
+
+    const sections = (current.sections || [])
+      .filter(section => !(section.key && SummaryFieldKeys.includes(section.key)))
+      .map(section => ({
+        label: section.label,
+        before: previousSections[section.label.toLowerCase()] || '',
+        after: section.text
+      }))
+      .filter(section => normalize(section.before) !== normalize(section.after));
+
+    return { fields, sections };
+  }
+
+  /**
+   * Check a freshly captured posting against its last snapshot, then keep
+   * this one to compare against next time, and show any change recorded for it
+   * @param {object} posting - Posting from the modal
+   */
+  async function checkPosting(posting) {
+    if (!window.AzureExport || !window.AzureStorage) return;
+
+    try {
+      const previous = await chrome.runtime.sendMessage({ action: 'getPostingSnapshot', jobId: posting.id });
+      if (previous && previous.id) {
+        const { fields, sections } = comparePostings(previous, posting);
+        if (fields.length > 0 || sections.length > 0) {
+          const change = { detectedAt: Date.now(), since: previous.capturedAt, fields, sections };
+          changedPostings[posting.id] = change;
+          await window.AzureStorage.setPostingChange(posting.id, change);
+          console.log(`[WAW] Posting ${posting.id} changed:`, change);
+        }
+      }
+      await chrome.runtime.sendMessage({ action: 'savePostingSnapshot', posting });
+    } catch (e) {
+      console.error('[WAW] Failed to check posting for changes:', e);
+    }
+
+    ensureBanner();
+  }
+
+  async function dismissChange(jobId) {
+    delete changedPostings[jobId];
+    if (window.AzureStorage) await window.AzureStorage.setPostingChange(jobId, null);
+    ensureBanner();
+    refreshRows();
+  }
+
+  function formatViewedDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+
+  // ============================================
+  // Modal Banner
+  // ============================================
+
+  function getModalJobId() {
+    return window.WAWNavigator ? window.WAWNavigator.getCurrentModalJobId() : null;
+  }
+
+  function findBannerAnchor(modal) {
+    // Right above the Key Information box when the rearranger has added it
+    const priorityBox = modal.querySelector('.azure-priority-box');
+    if (priorityBox) {
+      return { parent: priorityBox.parentNode, before: priorityBox };
+    }
+
+    for (const panel of modal.querySelectorAll('div[id^="panel_"]')) {
+      const h4 = panel.querySelector('h4');
+      if (h4 && h4.textContent.includes('Job Posting Information')) {
+        return { parent: panel, before: h4.nextSibling };
+      }
+    }
+
+    return null;
+  }
+
+  function ensureBanner() {
+    const modal = document.querySelector(MODAL_SELECTOR);
+    if (!modal) return;
+
+    const jobId = getModalJobId();
+    const change = jobId ? changedPostings[jobId] : null;
+    const existing = modal.querySelector('.waw-change-banner');
+
+    if (existing && (!change || existing.dataset.jobId !== String(jobId) ||
+        existing.dataset.detectedAt !== String(change.detectedAt))) {
+      existing.remove();
+    } else if (existing) {
+      return;
+    }
+    if (!change) return;
+
+    const anchor = findBannerAnchor(modal);
+    if (!anchor) return;
+
+    anchor.parent.insertBefore(createBanner(jobId, change), anchor.before);
+  }
+
+  function appendDiff(container, before, after) {
+    for (const part of window.AzureDiff.diffWords(before, after)) {
+      if (part.type === 'same') {
+        container.appendChild(document.createTextNode(part.text));
+      } else {
+        const el = document.createElement(part.type === 'added' ? 'ins' : 'del');
+        el.textContent = part.text;
+        container.appendChild(el);
+      }
+    }
+  }
+
+  function createBanner(jobId, change) {
+    const banner = document.createElement('div');
+    banner.className = 'waw-change-banner azure-injected is-collapsed';
+    banner.dataset.jobId = jobId;
+    banner.dataset.detectedAt = change.detectedAt;
+
+    const count = change.fields.length + change.sections.length;
+    const header = document.createElement('div');
+    header.className = 'waw-change-header';
+    header.innerHTML = `
+      <span class="waw-change-title"></span>
+      <button type="button" class="waw-change-toggle">Show ${count} change${count === 1 ? '' : 's'}</button>
+      <button type="button" class="waw-change-dismiss" title="Mark these changes as seen">Dismiss</button>
+    `;
+    header.querySelector('.waw-change-title').textContent = `✎ Changed since you viewed it on ${formatViewedDate(change.since)}`;
+    header.querySelector('.waw-change-toggle').addEventListener('click', (e) => {
+      const collapsed = banner.classList.toggle('is-collapsed');
+      e.target.textContent = collapsed ? `Show ${count} change${count === 1 ? '' : 's'}` : 'Hide changes';
+    });
+    header.querySelector('.waw-change-dismiss').addEventListener('click', () => dismissChange(jobId));
+    banner.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'waw-change-body';
+
+    if (change.fields.length > 0) {
+      const table = document.createElement('table');
+      table.className = 'waw-change-fields';
+      change.fields.forEach(field => {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.textContent = field.label;
+        const before = document.createElement('td');
+        before.className = 'waw-change-before';
+        before.textContent = field.before || 'Not listed';
+        const after = document.createElement('td');
+        after.className = 'waw-change-after';
+        after.textContent = field.after;
+        tr.append(th, before, after);
+        table.appendChild(tr);
+      });
+      body.appendChild(table);
+    }
+
+    change.sections.forEach(section => {
+      const heading = document.createElement('h5');
+      heading.textContent = section.before ? section.label : `${section.label} (new)`;
+      const text = document.createElement('div');
+      text.className = 'waw-change-text';
+      appendDiff(text, section.before, section.after);
+      body.append(heading, text);
+    });
+
+    banner.appendChild(body);
+    return banner;
+  }
+
+  // ============================================
+  // Table Rows
+  // ============================================
+
+  function decorateRow(row, jobId) {
+    const existing = row.querySelector('.waw-changed-badge');
+    if (existing) existing.remove();
+
+    const change = changedPostings[jobId];
+    const shortlisted = window.WAWNavigator && window.WAWNavigator.shortlistedJobs.has(String(jobId));
+    if (!change || !shortlisted) return;
+
+    const titleCell = window.WAWNavigator && window.WAWNavigator.getRowTitleCell(row);
+    if (!titleCell) return;
+
+    const changedNames = [...change.fields, ...change.sections].map(item => item.label);
+    const badge = document.createElement('span');
+    badge.className = 'waw-row-indicator waw-changed-badge';
+    badge.textContent = '✎ Changed';
+    badge.title = `Changed since ${formatViewedDate(change.since)}: ${changedNames.join(', ')}`;
+    titleCell.appendChild(badge);
+  }
+
+  function refreshRows() {
+    if (window.WAWNavigator) window.WAWNavigator.forEachJobRow(decorateRow);
+  }
+
+  // ============================================
+  // Observer Setup
+  // ============================================
+
+  function setupPageObserver() {
+    if (pageObserver) return;
+
+    // The rearranger rebuilds the modal's layout, so put the banner back after it
+    pageObserver = new MutationObserver(() => {
+      if (!document.querySelector(MODAL_SELECTOR)) return;
+      clearTimeout(pageObserver._timeout);
+      pageObserver._timeout = setTimeout(ensureBanner, 200);
+    });
+
+    pageObserver.observe(document.body, { childList: true, subtree: true });
+  }
+
+  // ============================================
+  // Styles
+  // ============================================
+
+  function injectStyles() {
+    if (!window.AzureDOMHooks) return;
+
+    window.AzureDOMHooks.injectStyles(`
+      .waw-change-banner {
+        margin: 0 0 16px 0;
+        border: 1px solid #f0b429;
+        border-radius: 12px;
+        background: #fff8e6;
+        overflow: hidden;
+      }
+
+      .waw-change-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 10px 16px;
+      }
+
+      .waw-change-title {
+        flex: 1;
+        font-weight: 700;
+        color: #8a5a00;
+      }
+
+      .waw-change-header button {
+        padding: 2px 10px;
+        border: 1px solid #d99a00;
+        border-radius: 6px;
+        background: white;
+        color: #8a5a00;
+        font-size: 12px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      .waw-change-banner.is-collapsed .waw-change-body {
+        display: none;
+      }
+
+      .waw-change-body {
+        padding: 0 16px 12px;
+        font-size: 13px;
+      }
+
+      .waw-change-fields {
+        width: 100%;
+        border-collapse: collapse;
+        margin-bottom: 8px;
+      }
+
+      .waw-change-fields th,
+      .waw-change-fields td {
+        padding: 4px 8px;
+        border-top: 1px solid #f5dfa6;
+        text-align: left;
+        vertical-align: top;
+      }
+
+      .waw-change-before {
+        color: #a94442;
+        text-decoration: line-through;
+      }
+
+      .waw-change-after {
+        color: #1e7e34;
+        font-weight: 600;
+      }
+
+      .waw-change-body h5 {
+        margin: 12px 0 4px;
+        font-size: 13px;
+        font-weight: 700;
+      }
+
+      .waw-change-text {
+        white-space: pre-line;
+        max-height: 240px;
+        overflow-y: auto;
+        padding: 8px;
+        border-radius: 6px;
+        background: white;
+      }
+
+      .waw-change-text ins {
+        background: #d4edda;
+        text-decoration: none;
+      }
+
+      .waw-change-text del {
+        background: #f8d7da;
+      }
+
+      .waw-changed-badge {
+        display: inline-block;
+        margin-left: 6px;
+        padding: 0 6px;
+        border-radius: 10px;
+        background: #f0b429;
+        color: white;
+        font-size: 11px;
+        font-weight: 600;
+        line-height: 16px;
+        vertical-align: middle;
+      }
+    `, 'waw-change-styles');
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  async function initialize() {
+    console.log('[WAW] Initializing Posting Changes...');
+
+    await loadChanges();
+    injectStyles();
+    setupPageObserver();
+    refreshRows();
+
+    console.log('[WAW] Posting Changes ready!');
+  }
+
+  // Start
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    initialize();
+  } else {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  // Export
+  window.AzurePostingChanges = {
+    checkPosting,
+    decorateRow
+  };
+
+})();
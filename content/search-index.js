@@ -0,0 +1,371 @@
+/**
+ * Search Index for WaterlooActuallyWorks
+ * Ordered index of every job ID in the current postings search, across all
+ * pages. Pages are recorded as the table shows them, and the rest are
+ * prefetched in a hidden frame so the navigator knows where each job sits.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Search Index loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  // { key, criteria (result count), pageSize, totalPages, pages: { [pageNumber]: jobIds[] } }
+  let index = null;
+  let prefetchFrame = null;
+  let prefetchTimeout = null;
+  let prefetchStarted = false;
+  let prefetchFinished = false;
+  let listeners = [];
+
+  // Per tab, so two tabs with different searches don't fight over it
+  const SESSION_KEY = 'waw-search-index';
+  const PREFETCH_DELAY = 3000;
+  const PAGE_LOAD_TIMEOUT = 15000;
+  const MAX_PREFETCH_PAGES = 100;
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  function getSearchKey() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('wawJob');
+    return url.pathname + url.search;
+  }
+
+  function loadIndex() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+      index = saved && saved.key === getSearchKey() ? saved : null;
+    } catch (e) {
+      index = null;
+    }
+  }
+
+  function saveIndex() {
+    try {
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify(index));
+    } catch (e) {
+      console.warn('[WAW] Failed to save search index:', e);
+    }
+  }
+
+  function notify() {
+    listeners.forEach(callback => callback());
+  }
+
+  function onChange(callback) {
+    listeners.push(callback);
+    return () => {
+      listeners = listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  // ============================================
+  // Pages
+  // ============================================
+
+  function getPagination(doc = document) {
+    const currentEl = doc.querySelector('[aria-current="page"]');
+    const current = currentEl ? parseInt(currentEl.textContent.trim(), 10) || 1 : 1;
+
+    // The last page number is listed even when the middle pages are elided
+    const pageNumbers = Array.from(doc.querySelectorAll('[aria-label^="Go to page"]'))
+      .map(el => parseInt(el.getAttribute('aria-label').replace(/\D+/g, ''), 10))
+      .filter(n => !Number.isNaN(n));
+
+    return { current, total: Math.max(current, ...pageNumbers) };
+  }
+
+  function getRowJobIds(doc) {
+    if (!window.WAWNavigator) return [];
+
+    return Array.from(doc.querySelectorAll('tbody tr'))
+      .filter(row => row.querySelector('td a'))
+      .map(row => window.WAWNavigator.getJobIdFromRow(row))
+      .filter(Boolean);
+  }
+
+  /**
+   * What tells the search a document shows apart from others. The filters
+   * live in the SPA's memory, out of reach, and only the URL (the index key)
+   * carries them over to the prefetch frame; so the stated result count is
+   * compared too, and a frame that lost the filters shows a different one.
+   * @param {Document} doc - This tab's document or the prefetch frame's
+   * @returns {string}
+   */
+  function getSearchCriteria(doc = document) {
+    return getResultCount(doc);
+  }
+
+  // "412 results" or similar, stated next to the pagination
+  function getResultCount(doc) {
+    const pageLink = doc.querySelector('[aria-current="page"], [aria-label^="Go to page"]');
+    const pagination = pageLink && pageLink.closest('nav, [class*="pagination"]');
+    const summary = pagination && pagination.parentElement;
+    if (!summary) return '';
+
+    const walker = doc.createTreeWalker(summary, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const match = node.textContent.match(/\b(\d[\d,]*)\s+(?:results|postings|jobs)\b/i);
+      if (match && !node.parentElement.closest('.azure-injected, table')) return match[1];
+    }
+    return '';
+  }
+
+  function isDifferentSearch(page, jobIds) {
+    const known = index && index.pages[page];
+    if (!known) return false;
+
+    // A few postings shifting between pages is normal; a different list is not
+    const overlap = jobIds.filter(id => known.includes(id)).length;
+    return overlap < Math.min(jobIds.length, known.length) / 2;
+  }
+
+  function recordPage(jobIds, doc = document) {
+    if (jobIds.length === 0) return;
+
+    const { current, total } = getPagination(doc);
+    const key = getSearchKey();
+
+    // Filters changed in this tab without the URL changing change the count
+    const criteria = doc === document ? getSearchCriteria() : index && index.criteria;
+
+    if (!index || index.key !== key || index.criteria !== criteria || isDifferentSearch(current, jobIds)) {
+      index = { key, criteria, pageSize: 0, totalPages: total, pages: {} };
+      prefetchStarted = false;
+      prefetchFinished = false;
+    }
+
+    index.pages[current] = jobIds.map(String);
+    index.totalPages = Math.max(index.totalPages, total);
+    index.pageSize = Math.max(index.pageSize, jobIds.length);
+    saveIndex();
+    notify();
+
+    if (!prefetchStarted && !isComplete()) schedulePrefetch();
+  }
+
+  function isComplete() {
+    if (!index) return false;
+    for (let page = 1; page <= index.totalPages; page++) {
+      if (!index.pages[page]) return false;
+    }
+    return true;
+  }
+
+  function getEntries() {
+    if (!index) return [];
+
+    return Object.keys(index.pages)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .flatMap(page => index.pages[page].map(jobId => ({ jobId, page })));
+  }
+
+  // ============================================
+  // Lookups
+  // ============================================
+
+  /**
+   * The page of the search a job is on
+   * @returns {number|null}
+   */
+  function getJobPage(jobId) {
+    if (!index) return null;
+
+    const entry = Object.entries(index.pages).find(([, jobIds]) => jobIds.includes(String(jobId)));
+    return entry ? Number(entry[0]) : null;
+  }
+
+  /**
+   * The page of results this tab's table shows
+   * @returns {number}
+   */
+  function getCurrentPage() {
+    return getPagination().current;
+  }
+
+  /**
+   * Find a job's page, prefetching the rest of the search straight away if
+   * it isn't indexed yet
+   * @returns {Promise<number|null>} Null once the whole search is known
+   *   (or can't be) without the job in it
+   */
+  function findJobPage(jobId) {
+    return new Promise(resolve => {
+      let stopListening = null;
+      const check = () => {
+        const page = getJobPage(jobId);
+        if (!page && index && !isComplete() && !prefetchFinished) return false;
+
+        if (stopListening) stopListening();
+        resolve(page);
+        return true;
+      };
+
+      if (check()) return;
+      stopListening = onChange(check);
+
+      clearTimeout(prefetchTimeout);
+      prefetchAllPages();
+    });
+  }
+
+  /**
+   * Where a job sits in the whole search
+   * @returns {{ position: number, total: number, isComplete: boolean }|null}
+   */
+  function getPosition(jobId) {
+    if (!index) return null;
+
+    for (const [page, jobIds] of Object.entries(index.pages)) {
+      const i = jobIds.indexOf(String(jobId));
+      if (i < 0) continue;
+
+      const complete = isComplete();
+      const total = complete
+        ? Object.values(index.pages).reduce((sum, ids) => sum + ids.length, 0)
+        : index.pageSize * index.totalPages;
+
+      return { position: (Number(page) - 1) * index.pageSize + i + 1, total, isComplete: complete };
+    }
+
+    return null;
+  }
+
+  /**
+   * The next job in the search after (delta > 0) or before a job
+   * @param {function} shouldSkip - Optional check(jobId) for jobs to step over
+   * @returns {{ jobId: string, page: number }|null}
+   */
+  function getNeighbor(jobId, delta, shouldSkip = () => false) {
+    const entries = getEntries();
+    const i = entries.findIndex(entry => entry.jobId === String(jobId));
+    if (i < 0) return null;
+
+    // Stop at a page that isn't indexed yet rather than jump past it
+    for (let page = entries[i].page, next = i + delta; next >= 0 && next < entries.length; next += delta) {
+      if (Math.abs(entries[next].page - page) > 1) return null;
+      page = entries[next].page;
+      if (!shouldSkip(entries[next].jobId)) return entries[next];
+    }
+    return null;
+  }
+
+  // ============================================
+  // Prefetch
+  // ============================================
+
+  function schedulePrefetch() {
+    clearTimeout(prefetchTimeout);
+    prefetchTimeout = setTimeout(prefetchAllPages, PREFETCH_DELAY);
+  }
+
+  function waitFor(check, timeout) {
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      const poll = () => {
+        const result = check();
+        if (result) {
+          resolve(result);
+        } else if (Date.now() - start >= timeout) {
+          reject(new Error('Timed out waiting for search results'));
+        } else {
+          setTimeout(poll, 200);
+        }
+      };
+      poll();
+    });
+  }
+
+  async function prefetchAllPages() {
+    if (prefetchStarted || !index || index.totalPages <= 1 || isComplete()) return;
+    prefetchStarted = true;
+
+    const key = index.key;
+    console.log(`[WAW] Prefetching ${index.totalPages} pages of search results...`);
+
+    // Same search in a hidden frame, paged through out of sight
+    prefetchFrame = document.createElement('iframe');
+    prefetchFrame.className = 'azure-injected';
+    prefetchFrame.setAttribute('aria-hidden', 'true');
+    prefetchFrame.tabIndex = -1;
+    prefetchFrame.style.cssText = 'position: fixed; width: 1200px; height: 800px; left: -10000px; top: 0; visibility: hidden;';
+    prefetchFrame.src = window.location.origin + key;
+    const loaded = new Promise(resolve => prefetchFrame.addEventListener('load', resolve, { once: true }));
+    document.body.appendChild(prefetchFrame);
+
+    try {
+      await loaded;
+      const doc = prefetchFrame.contentDocument;
+      const criteria = index && index.criteria;
+      let previousIds = [];
+
+      for (let i = 0; i < MAX_PREFETCH_PAGES; i++) {
+        const jobIds = await waitFor(() => {
+          const ids = getRowJobIds(doc);
+          return ids.length > 0 && ids.join() !== previousIds.join() ? ids : null;
+        }, PAGE_LOAD_TIMEOUT);
+
+        // Give up if the frame doesn't show the same search as this tab,
+        // before any of its pages are indexed
+        const { current } = getPagination(doc);
+        if (!index || index.key !== key || index.criteria !== criteria ||
+            getSearchCriteria(doc) !== criteria || isDifferentSearch(current, jobIds)) {
+          console.warn('[WAW] Prefetched results do not match this search, stopping');
+          break;
+        }
+
+        recordPage(jobIds, doc);
+        if (isComplete()) break;
+
+        const next = doc.querySelector('a[aria-label="Go to next page"]');
+        if (!next) break;
+
+        previousIds = jobIds;
+        next.click();
+      }
+    } catch (e) {
+      console.warn('[WAW] Search prefetch stopped:', e.message);
+    } finally {
+      prefetchFrame.remove();
+      prefetchFrame = null;
+    }
+
+    // Only this search's run counts; a newer one resets the flag
+    if (index && index.key === key) prefetchFinished = true;
+    notify();
+
+    if (index) console.log(`[WAW] Search index has ${getEntries().length} jobs`);
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  loadIndex();
+
+  // Export
+  window.AzureSearchIndex = {
+    recordPage,
+    getPosition,
+    getNeighbor,
+    getJobPage,
+    getCurrentPage,
+    findJobPage,
+    isComplete,
+    onChange
+  };
+
+})();
@@ -0,0 +1,472 @@
+/**
+ * Table Columns for WaterlooActuallyWorks
+ * Extra columns in the postings table worked out from the fields cached when
+ * each posting was opened: normalized pay, city, work term duration, days
+ * until the deadline and pipeline status. They sort client-side by clicking
+ * their header, and which ones show is set in options.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Table Columns loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  const SORT_STATE_KEY = 'wawTableSort';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Shown on rows whose posting hasn't been opened yet
+  const UNKNOWN_VALUE = '—';
+
+  // How long rows stay in page order for WaterlooWorks to re-render them
+  const PAGE_ORDER_HOLD = 3000;
+
+  let visibleColumns = ['pay', 'city', 'duration', 'deadline', 'status'];
+  let parsedPostings = {};
+  let sort = loadSort();
+  let nextRowIndex = 0;
+  let heldRows = null;
+  let holdTimeout = null;
+
+  /**
+   * Computed columns. getValue returns { text, sortValue, title, color } for
+   * a job, with sortValue null when there's nothing to sort by.
+   */
+  const TableColumns = [
+    { id: 'pay', label: 'Pay', getValue: getPayValue },
+    { id: 'city', label: 'City', getValue: getCityValue },
+    { id: 'duration', label: 'Duration', getValue: getDurationValue },
+    { id: 'deadline', label: 'Days Left', getValue: getDeadlineValue },
+    { id: 'status', label: 'Status', getValue: getStatusValue }
+  ];
+
+  // ============================================
+  // Settings & Storage
+  // ============================================
+
+  async function loadSettings() {
+    if (!window.AzureStorage) return;
+
+    try {
+      const settings = await window.AzureStorage.getSettings(['tableColumns']);
+      if (Array.isArray(settings.tableColumns)) visibleColumns = settings.tableColumns;
+    } catch (e) {
+      console.error('[WAW] Failed to load table column settings:', e);
+    }
+  }
+
+  async function loadParsedPostings() {
+    if (!window.AzureStorage) return;
+
+    try {
+      parsedPostings = await window.AzureStorage.getParsedPostings();
+    } catch (e) {
+      console.error('[WAW] Failed to load parsed postings:', e);
+    }
+
+    window.AzureStorage.onParsedPostingsChanged((newValue) => {
+      parsedPostings = newValue;
+      apply();
+    });
+  }
+
+  async function reloadSettings() {
+    await loadSettings();
+    apply();
+  }
+
+  function loadSort() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SORT_STATE_KEY)) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function saveSort() {
+    try {
+      if (sort) {
+        sessionStorage.setItem(SORT_STATE_KEY, JSON.stringify(sort));
+      } else {
+        sessionStorage.removeItem(SORT_STATE_KEY);
+      }
+    } catch (e) {
+      console.error('[WAW] Failed to save table sort:', e);
+    }
+  }
+
+  // ============================================
+  // Column Values
+  // ============================================
+
+  function getPayValue(jobId, parsed) {
+    if (!parsed || !parsed.compensation || !window.AzureCompensation) return null;
+
+    const pay = window.AzureCompensation.parseCompensation(parsed.compensation);
+    return {
+      text: window.AzureCompensation.formatPay(pay),
+      sortValue: window.AzureCompensation.getPaySortValue(pay),
+      title: parsed.compensation
+    };
+  }
+
+  function getCityValue(jobId, parsed) {
+    const city = parsed && (parsed.city || parsed.location);
+    if (!city) return null;
+
+    const text = city.replace(/\s+/g, ' ').trim();
+    return { text, sortValue: text.toLowerCase(), title: parsed.province ? `${text}, ${parsed.province}` : text };
+  }
+
+  function getDurationValue(jobId, parsed) {
+    if (!parsed || !parsed.duration) return null;
+
+    // "4 month consecutive work term", "8-month", "Either 4 or 8 months"
+    const months = parsed.duration.match(/(\d+)\s*-?\s*months?/i);
+    if (!months) return { text: parsed.duration, sortValue: null, title: parsed.duration };
+
+    const count = parseInt(months[1], 10);
+    return { text: `${count} month${count === 1 ? '' : 's'}`, sortValue: count, title: parsed.duration };
+  }
+
+  function getDeadlineValue(jobId, parsed) {
+    if (!parsed || !parsed.deadline || !window.AzureDeadlines) return null;
+
+    const deadline = window.AzureDeadlines.parseDeadlineDate(parsed.deadline);
+    if (!deadline) return { text: parsed.deadline, sortValue: null, title: parsed.deadline };
+
+    const remaining = deadline - Date.now();
+    const days = Math.floor(remaining / DAY_MS);
+    let text;
+    let color = null;
+
+    if (remaining < 0) {
+      text = 'Closed';
+      color = '#999';
+    } else if (days === 0) {
+      text = 'Today';
+      color = '#e74c3c';
+    } else {
+      text = `${days} day${days === 1 ? '' : 's'}`;
+      if (days <= 2) color = '#e74c3c';
+      else if (days <= 7) color = '#e67e22';
+    }
+
+    // Closed postings sort after every open one
+    return {
+      text,
+      sortValue: remaining < 0 ? Number.MAX_SAFE_INTEGER : remaining,
+      title: window.AzureDeadlines.formatDeadline(deadline),
+      color
+    };
+  }
+
+  function getStatusValue(jobId) {
+    const status = window.WAWNavigator ? window.WAWNavigator.getJobStatus(jobId) : null;
+    if (!status) return null;
+
+    const order = window.AzureStorage.JobStatuses.findIndex(s => s.id === status.id);
+    return { text: status.label, sortValue: order, title: status.label, color: status.color };
+  }
+
+  function getColumnValue(column, jobId) {
+    return column.getValue(jobId, parsedPostings[String(jobId)]);
+  }
+
+  function getVisibleColumns() {
+    return TableColumns.filter(column => visibleColumns.includes(column.id));
+  }
+
+  // ============================================
+  // Table
+  // ============================================
+
+  function findPostingsTable() {
+    return window.WAWNavigator ? window.WAWNavigator.findPostingsTable() : null;
+  }
+
+  function getJobRows() {
+    return window.WAWNavigator ? window.WAWNavigator.getJobRows() : [];
+  }
+
+  function renderHeaders(table, columns) {
+    table.querySelectorAll('.waw-column-th').forEach(th => th.remove());
+
+    const headerRows = table.querySelectorAll('thead tr');
+    const headerRow = headerRows[headerRows.length - 1];
+    if (!headerRow) return;
+
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.className = 'waw-column-th azure-injected';
+      th.dataset.wawColumn = column.id;
+      th.title = `Sort by ${column.label.toLowerCase()}`;
+
+      const arrow = sort && sort.column === column.id ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+      th.textContent = `${column.label}${arrow}`;
+      th.classList.toggle('is-sorted', !!arrow);
+      th.addEventListener('click', () => toggleSort(column.id));
+      headerRow.appendChild(th);
+    });
+  }
+
+  function renderCells(row, columns) {
+    row.querySelectorAll('.waw-column-cell').forEach(td => td.remove());
+
+    const jobId = row.dataset.wawJobId;
+    columns.forEach(column => {
+      const value = getColumnValue(column, jobId);
+      const td = document.createElement('td');
+      td.className = 'waw-column-cell azure-injected';
+      td.dataset.wawColumn = column.id;
+
+      if (value) {
+        td.textContent = value.text;
+        td.title = value.title || value.text;
+        if (value.color) td.style.color = value.color;
+      } else {
+        td.textContent = UNKNOWN_VALUE;
+        td.title = column.id === 'status' ? 'Not shortlisted' : 'Open the posting to fill this in';
+        td.classList.add('is-unknown');
+      }
+      row.appendChild(td);
+    });
+  }
+
+  // ============================================
+  // Sorting
+  // ============================================
+
+  function toggleSort(columnId) {
+    // Ascending, then descending, then back to the page's own order
+    if (!sort || sort.column !== columnId) {
+      sort = { column: columnId, direction: 'asc' };
+    } else if (sort.direction === 'asc') {
+      sort = { column: columnId, direction: 'desc' };
+    } else {
+      sort = null;
+    }
+
+    saveSort();
+    apply();
+  }
+
+  function compareSortValues(a, b) {
+    if (typeof a === 'string' || typeof b === 'string') return String(a).localeCompare(String(b));
+    return a - b;
+  }
+
+  function getSortedRows(rows) {
+    const column = sort && getVisibleColumns().find(c => c.id === sort.column);
+    const byIndex = (a, b) => Number(a.dataset.wawRowIndex) - Number(b.dataset.wawRowIndex);
+    if (!column) return [...rows].sort(byIndex);
+
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    const keys = new Map(rows.map(row => {
+      const value = getColumnValue(column, row.dataset.wawJobId);
+      return [row, value ? value.sortValue : null];
+    }));
+
+    // Rows without a value stay at the bottom either way
+    return [...rows].sort((a, b) => {
+      const keyA = keys.get(a);
+      const keyB = keys.get(b);
+      if (keyA === null && keyB === null) return byIndex(a, b);
+      if (keyA === null) return 1;
+      if (keyB === null) return -1;
+      return compareSortValues(keyA, keyB) * direction || byIndex(a, b);
+    });
+  }
+
+  function moveRows(rows, ordered) {
+    const tbody = rows[0] && rows[0].parentNode;
+    if (!tbody) return;
+
+    // Only move rows when the order changed, as moving them re-triggers the
+    // navigator's table observer
+    if (ordered.every((row, index) => row === rows[index])) return;
+    ordered.forEach(row => tbody.appendChild(row));
+  }
+
+  function sortRows(rows) {
+    if (heldRows) {
+      // Still as restored: WaterlooWorks hasn't re-rendered yet
+      if (rows.length === heldRows.length && rows.every((row, index) => row === heldRows[index])) return;
+
+      // Re-rendered from the page order, so the order it's in now is the page's
+      releasePageOrder();
+      rows.forEach(row => { row.dataset.wawRowIndex = nextRowIndex++; });
+    }
+
+    moveRows(rows, getSortedRows(rows));
+  }
+
+  function getPageOrder(rows) {
+    return [...rows].sort((a, b) => Number(a.dataset.wawRowIndex) - Number(b.dataset.wawRowIndex));
+  }
+
+  /**
+   * Put the rows back in the page's own order and keep them there until
+   * WaterlooWorks re-renders the table (or a few seconds pass). Its Vue app
+   * patches the rows it owns against the order it rendered them in, so this
+   * runs before anything that makes it re-render: pagination, its own
+   * sorting, search changes.
+   */
+  function restorePageOrder() {
+    if (!sort) return;
+
+    const rows = getJobRows();
+    if (rows.length === 0 || rows.some(row => row.dataset.wawRowIndex === undefined)) return;
+
+    heldRows = getPageOrder(rows);
+    moveRows(rows, heldRows);
+
+    clearTimeout(holdTimeout);
+    holdTimeout = setTimeout(() => {
+      releasePageOrder();
+      apply();
+    }, PAGE_ORDER_HOLD);
+  }
+
+  function releasePageOrder() {
+    heldRows = null;
+    clearTimeout(holdTimeout);
+  }
+
+  // Controls on the page, other than the rows and our own, that can make
+  // WaterlooWorks re-render the table
+  function isPageControl(target) {
+    if (!(target instanceof Element)) return false;
+    if (target.closest('.azure-injected, [id^="waw-"], div[data-v-70e7ded6-s]')) return false;
+
+    const control = target.closest('a, button, input, select, [role="button"], [role="tab"], th');
+    return !!control && !control.closest('tbody tr[data-waw-job-id]');
+  }
+
+  function setupPageOrderRestore() {
+    document.addEventListener('pointerdown', (e) => {
+      if (isPageControl(e.target)) restorePageOrder();
+    }, true);
+
+    document.addEventListener('keydown', (e) => {
+      if ((e.key === 'Enter' || e.key === ' ') && isPageControl(e.target)) restorePageOrder();
+    }, true);
+  }
+
+  /**
+   * Job IDs of the rows in the page's own order, whatever they're sorted by
+   * @returns {string[]}
+   */
+  function getPageJobIds() {
+    return getPageOrder(getJobRows()).map(row => row.dataset.wawJobId);
+  }
+
+  function isSorted() {
+    return !!sort && getVisibleColumns().some(column => column.id === sort.column);
+  }
+
+  // ============================================
+  // Apply
+  // ============================================
+
+  /**
+   * Render the visible columns and sort the rows. Called after every table
+   * enhancement pass, so rows the SPA re-renders get their columns back.
+   */
+  function apply() {
+    const table = findPostingsTable();
+    if (!table) return;
+
+    const columns = getVisibleColumns();
+    const rows = getJobRows();
+
+    // Remember the page's own order to go back to when sorting is turned off
+    rows.forEach(row => {
+      if (row.dataset.wawRowIndex === undefined) row.dataset.wawRowIndex = nextRowIndex++;
+    });
+
+    renderHeaders(table, columns);
+    rows.forEach(row => renderCells(row, columns));
+    sortRows(rows);
+  }
+
+  // ============================================
+  // Styles
+  // ============================================
+
+  function injectStyles() {
+    if (!window.AzureDOMHooks) return;
+
+    window.AzureDOMHooks.injectStyles(`
+      th.waw-column-th {
+        cursor: pointer;
+        user-select: none;
+        white-space: nowrap;
+      }
+
+      th.waw-column-th:hover,
+      th.waw-column-th.is-sorted {
+        color: #1e6fd9;
+      }
+
+      td.waw-column-cell {
+        font-size: 13px;
+        white-space: nowrap;
+      }
+
+      td.waw-column-cell[data-waw-column="pay"] {
+        white-space: normal;
+        min-width: 120px;
+      }
+
+      td.waw-column-cell[data-waw-column="status"] {
+        font-weight: 600;
+      }
+
+      td.waw-column-cell.is-unknown {
+        color: #bbb;
+      }
+    `, 'waw-column-styles');
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  async function initialize() {
+    console.log('[WAW] Initializing Table Columns...');
+
+    await loadSettings();
+    await loadParsedPostings();
+    injectStyles();
+    setupPageOrderRestore();
+    apply();
+
+    console.log('[WAW] Table Columns ready!');
+  }
+
+  // Start
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    initialize();
+  } else {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  // Export
+  window.AzureTableColumns = {
+    TableColumns,
+    apply,
+    reloadSettings,
+    restorePageOrder,
+    getPageJobIds,
+    isSorted
+  };
+
+})();
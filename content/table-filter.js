@@ -0,0 +1,317 @@
+/**
+ * Table Filter for WaterlooActuallyWorks
+ * A filter bar above the postings table that narrows the loaded rows as you
+ * type: free text, employer, location, shortlist status and new/seen state.
+ * The filter is kept for the tab, so it holds across pagination and the
+ * SPA's re-renders.
+ */
+
+(function() {
+  'use strict';
+
+  if (!window.location.href.includes('waterlooworks.uwaterloo.ca')) {
+    return;
+  }
+
+  console.log('[WAW] Table Filter loading...');
+
+  // ============================================
+  // Global State
+  // ============================================
+
+  const FILTER_STATE_KEY = 'wawTableFilter';
+
+  const DEFAULT_FILTER = {
+    text: '',
+    employer: '',
+    location: '',
+    status: '',
+    seen: ''
+  };
+
+  let filter = loadFilter();
+
+  function loadFilter() {
+    try {
+      return { ...DEFAULT_FILTER, ...JSON.parse(sessionStorage.getItem(FILTER_STATE_KEY) || '{}') };
+    } catch (e) {
+      return { ...DEFAULT_FILTER };
+    }
+  }
+
+  function saveFilter() {
+    try {
+      sessionStorage.setItem(FILTER_STATE_KEY, JSON.stringify(filter));
+    } catch (e) {
+      console.error('[WAW] Failed to save table filter:', e);
+    }
+  }
+
+  function isFilterActive() {
+    return Object.keys(DEFAULT_FILTER).some(key => filter[key] !== DEFAULT_FILTER[key]);
+  }
+
+  // ============================================
+  // Rows
+  // ============================================
+
+  function getRowDetails(row) {
+    const jobId = row.dataset.wawJobId;
+    const record = window.WAWNavigator ? window.WAWNavigator.captureJob(jobId) : {};
+    return {
+      jobId,
+      employer: (record.employer || '').trim(),
+      location: (record.location || '').trim()
+    };
+  }
+
+  function matchesStatus(jobId) {
+    if (!filter.status || !window.WAWNavigator) return true;
+
+    const shortlisted = window.WAWNavigator.shortlistedJobs.has(String(jobId));
+    if (filter.status === 'shortlisted') return shortlisted;
+    if (filter.status === 'not-shortlisted') return !shortlisted;
+
+    const status = window.WAWNavigator.getJobStatus(jobId);
+    return !!status && status.id === filter.status;
+  }
+
+  function matchesSeen(row, jobId) {
+    if (!filter.seen || !window.WAWNavigator) return true;
+
+    if (filter.seen === 'new') return window.WAWNavigator.isRowNew(row, jobId);
+    const seen = window.WAWNavigator.isJobSeen(jobId);
+    return filter.seen === 'seen' ? seen : !seen;
+  }
+
+  function matchesRow(row, details) {
+    const words = filter.text.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+      const text = row.textContent.toLowerCase();
+      if (!words.every(word => text.includes(word))) return false;
+    }
+
+    if (filter.employer && details.employer !== filter.employer) return false;
+    if (filter.location && details.location !== filter.location) return false;
+
+    return matchesStatus(details.jobId) && matchesSeen(row, details.jobId);
+  }
+
+  function isRowFiltered(row) {
+    return !!row && row.classList.contains('waw-filtered-out');
+  }
+
+  // ============================================
+  // Filter Bar
+  // ============================================
+
+  function createFilterBar() {
+    const bar = document.createElement('div');
+    bar.id = 'waw-filter-bar';
+    bar.className = 'azure-injected';
+    bar.innerHTML = `
+      <input type="search" class="waw-filter-text" placeholder="Filter loaded postings..." aria-label="Filter postings">
+      <select class="waw-filter-employer" aria-label="Employer"></select>
+      <select class="waw-filter-location" aria-label="Location"></select>
+      <select class="waw-filter-status" aria-label="Shortlist status"></select>
+      <select class="waw-filter-seen" aria-label="New or seen">
+        <option value="">New and seen</option>
+        <option value="new">New</option>
+        <option value="seen">Seen</option>
+        <option value="unseen">Not seen</option>
+      </select>
+      <button type="button" class="waw-filter-clear">Clear</button>
+      <span class="waw-filter-count"></span>
+    `;
+
+    const status = bar.querySelector('.waw-filter-status');
+    const statusOptions = [
+      ['', 'Any status'],
+      ['shortlisted', 'Shortlisted'],
+      ['not-shortlisted', 'Not shortlisted'],
+      ...(window.AzureStorage ? window.AzureStorage.JobStatuses.map(s => [s.id, s.label]) : [])
+    ];
+    statusOptions.forEach(([value, label]) => status.appendChild(new Option(label, value)));
+
+    bar.querySelector('.waw-filter-text').addEventListener('input', (e) => {
+      updateFilter({ text: e.target.value.trim() });
+    });
+    bar.querySelector('.waw-filter-employer').addEventListener('change', (e) => updateFilter({ employer: e.target.value }));
+    bar.querySelector('.waw-filter-location').addEventListener('change', (e) => updateFilter({ location: e.target.value }));
+    status.addEventListener('change', (e) => updateFilter({ status: e.target.value }));
+    bar.querySelector('.waw-filter-seen').addEventListener('change', (e) => updateFilter({ seen: e.target.value }));
+    bar.querySelector('.waw-filter-clear').addEventListener('click', () => updateFilter({ ...DEFAULT_FILTER }));
+
+    // Keep the page's own shortcuts from firing while typing
+    bar.querySelector('.waw-filter-text').addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') e.target.blur();
+    });
+
+    return bar;
+  }
+
+  function fillValueSelect(select, values, allLabel, selected) {
+    // Keep a chosen value listed even when this page has no rows with it
+    const options = [...new Set([...values, selected].filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+
+    select.innerHTML = '';
+    select.appendChild(new Option(allLabel, ''));
+    options.forEach(value => select.appendChild(new Option(value, value)));
+    select.value = selected;
+  }
+
+  function ensureFilterBar() {
+    const toolbar = window.WAWNavigator ? window.WAWNavigator.getTableToolbar() : null;
+    if (!toolbar) return null;
+
+    let bar = document.getElementById('waw-filter-bar');
+    if (!bar) bar = createFilterBar();
+    if (toolbar.firstElementChild !== bar) toolbar.insertBefore(bar, toolbar.firstChild);
+
+    return bar;
+  }
+
+  function syncControls(bar, rowDetails) {
+    const text = bar.querySelector('.waw-filter-text');
+    if (document.activeElement !== text) text.value = filter.text;
+
+    fillValueSelect(bar.querySelector('.waw-filter-employer'),
+      rowDetails.map(details => details.employer), 'All employers', filter.employer);
+    fillValueSelect(bar.querySelector('.waw-filter-location'),
+      rowDetails.map(details => details.location), 'All locations', filter.location);
+    bar.querySelector('.waw-filter-status').value = filter.status;
+    bar.querySelector('.waw-filter-seen').value = filter.seen;
+    bar.querySelector('.waw-filter-clear').disabled = !isFilterActive();
+  }
+
+  // ============================================
+  // Apply
+  // ============================================
+
+  /**
+   * Filter the loaded rows and refresh the bar. Called after every table
+   * enhancement pass, so rows the SPA re-renders are filtered again.
+   */
+  function apply() {
+    if (!window.WAWNavigator || !window.WAWNavigator.findPostingsTable()) return;
+
+    const bar = ensureFilterBar();
+    if (!bar) return;
+
+    const rows = window.WAWNavigator.getJobRows();
+    const rowDetails = rows.map(getRowDetails);
+
+    rows.forEach((row, index) => {
+      row.classList.toggle('waw-filtered-out', !matchesRow(row, rowDetails[index]));
+    });
+
+    syncControls(bar, rowDetails);
+
+    // Rows hidden by job hiding don't count as shown either
+    const shown = rows.filter(row => !isRowFiltered(row) && !row.classList.contains('waw-hidden-row')).length;
+    const count = bar.querySelector('.waw-filter-count');
+    count.textContent = `Showing ${shown} of ${rows.length}`;
+    count.classList.toggle('is-filtered', shown < rows.length);
+  }
+
+  function updateFilter(changes) {
+    filter = { ...filter, ...changes };
+    saveFilter();
+    apply();
+  }
+
+  // ============================================
+  // Styles
+  // ============================================
+
+  function injectStyles() {
+    if (!window.AzureDOMHooks) return;
+
+    window.AzureDOMHooks.injectStyles(`
+      #waw-filter-bar {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 6px;
+        flex-basis: 100%;
+      }
+
+      #waw-filter-bar input,
+      #waw-filter-bar select {
+        height: 30px;
+        padding: 0 8px;
+        border: 1px solid #ccc;
+        border-radius: 6px;
+        background: white;
+        font-size: 13px;
+      }
+
+      #waw-filter-bar .waw-filter-text {
+        flex: 1;
+        min-width: 180px;
+      }
+
+      #waw-filter-bar select {
+        max-width: 200px;
+      }
+
+      .waw-filter-clear {
+        height: 30px;
+        padding: 0 10px;
+        border: 1px solid #ccc;
+        border-radius: 6px;
+        background: white;
+        font-size: 13px;
+        cursor: pointer;
+      }
+
+      .waw-filter-clear:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+
+      .waw-filter-count {
+        color: #555;
+        font-size: 13px;
+        font-weight: 600;
+      }
+
+      .waw-filter-count.is-filtered {
+        color: #1e6fd9;
+      }
+
+      tr.waw-filtered-out {
+        display: none !important;
+      }
+    `, 'waw-filter-styles');
+  }
+
+  // ============================================
+  // Initialize
+  // ============================================
+
+  function initialize() {
+    console.log('[WAW] Initializing Table Filter...');
+
+    injectStyles();
+    apply();
+
+    console.log('[WAW] Table Filter ready!');
+  }
+
+  // Start
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    initialize();
+  } else {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  // Export
+  window.AzureTableFilter = {
+    apply,
+    isRowFiltered
+  };
+
+})();
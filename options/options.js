@@ -13,18 +13,64 @@ const DefaultSettings = {
   layoutCompact: false,
   batchOperations: true,
   keyboardShortcuts: true,
+  keyboardBindings: {},
   stickyNav: true,
   highlightNew: true,
   openInNewTab: true,
   newJobDaysThreshold: 7,
+  skipSeenJobs: false,
+  tableColumns: ['pay', 'city', 'duration', 'deadline', 'status'],
+  shortlistFolderSync: true,
+  shortlistFolderName: 'shortlist',
+  deadlineReminders: true,
+  deadlineReminderLeadHours: [72, 24, 3],
+  archiveMode: 'opened',
+  blockedEmployers: [],
   jobRearrangerEnabled: true,
   jobRearrangerPriorityKeys: ['duration', 'location', 'compensation', 'deadline', 'method'],
   jobRearrangerStandardOrder: ['job_description', 'responsibilities', 'required_skills', 'targeted_degrees'],
+  jobRearrangerCustomFields: [],
+  profileSkills: [],
+  profileLanguages: [],
+  profileFrameworks: [],
+  profileTargetRoles: [],
+  degreeProgram: '',
+  degreeLevel: 'undergraduate',
+  dimNonTargeted: false,
   highlightUnread: true,
   version: '5.0.0',
   firstRun: true
 };
 
+// Skills profile settings and the textarea each one is edited in
+const PROFILE_FIELDS = {
+  profileSkills: 'profile-skills',
+  profileLanguages: 'profile-languages',
+  profileFrameworks: 'profile-frameworks',
+  profileTargetRoles: 'profile-target-roles'
+};
+
+// How a custom Key Information field can be shown
+const FIELD_RENDER_OPTIONS = {
+  text: 'Text',
+  list: 'List',
+  badges: 'Badges',
+  link: 'Link'
+};
+
+// Extra postings table columns, in the order they're added
+const TABLE_COLUMN_OPTIONS = {
+  pay: 'Normalized pay',
+  city: 'City',
+  duration: 'Work term duration',
+  deadline: 'Days until deadline',
+  status: 'Pipeline status'
+};
+
+// Current key bindings and the command waiting for a key press, if any
+let shortcutBindings = {};
+let recordingCommandId = null;
+
 // Element references
 const elements = {
   welcomeSection: document.getElementById('welcome-section'),
@@ -42,12 +88,35 @@ const elements = {
   openNewTab: document.getElementById('open-new-tab'),
   batchOperations: document.getElementById('batch-operations'),
   newJobDays: document.getElementById('new-job-days'),
+  skipSeenJobs: document.getElementById('skip-seen-jobs'),
+  tableColumns: document.getElementById('table-columns'),
+  dimNonTargeted: document.getElementById('dim-non-targeted'),
+  degreeProgram: document.getElementById('degree-program'),
+  degreeLevel: document.getElementById('degree-level'),
+  clearViewedJobs: document.getElementById('clear-viewed-jobs'),
   highlightUnread: document.getElementById('highlight-unread'),
   keyboardShortcuts: document.getElementById('keyboard-shortcuts'),
+  shortcutList: document.getElementById('shortcut-list'),
+  shortcutMessage: document.getElementById('shortcut-message'),
+  shortcutReset: document.getElementById('shortcut-reset'),
   jobRearrangerEnabled: document.getElementById('job-rearranger-enabled'),
   jobRearrangerPriorityKeys: document.getElementById('job-rearranger-priority-keys'),
   jobRearrangerStandardOrder: document.getElementById('job-rearranger-standard-order'),
   jobRearrangerReset: document.getElementById('job-rearranger-reset'),
+  customFieldList: document.getElementById('custom-field-list'),
+  customFieldLabel: document.getElementById('custom-field-label'),
+  customFieldAdd: document.getElementById('custom-field-add'),
+  openShortlist: document.getElementById('open-shortlist'),
+  shortlistFolderSync: document.getElementById('shortlist-folder-sync'),
+  shortlistFolderName: document.getElementById('shortlist-folder-name'),
+  deadlineReminders: document.getElementById('deadline-reminders'),
+  deadlineReminderLead: document.getElementById('deadline-reminder-lead'),
+  openArchive: document.getElementById('open-archive'),
+  archiveMode: document.getElementById('archive-mode'),
+  blockedEmployers: document.getElementById('blocked-employers'),
+  blockedEmployerInput: document.getElementById('blocked-employer-input'),
+  blockedEmployerAdd: document.getElementById('blocked-employer-add'),
+  unhideAll: document.getElementById('unhide-all'),
   resetSettings: document.getElementById('reset-settings')
 };
 
@@ -73,8 +142,25 @@ async function loadSettings() {
     if (elements.newJobDays) {
       elements.newJobDays.value = settings.newJobDaysThreshold || 7;
     }
+    if (elements.skipSeenJobs) {
+      elements.skipSeenJobs.checked = settings.skipSeenJobs === true;
+    }
+    renderTableColumns(Array.isArray(settings.tableColumns) ? settings.tableColumns : DefaultSettings.tableColumns);
+    if (elements.shortlistFolderSync) {
+      elements.shortlistFolderSync.checked = settings.shortlistFolderSync !== false;
+    }
+    if (elements.shortlistFolderName) {
+      elements.shortlistFolderName.value = settings.shortlistFolderName || DefaultSettings.shortlistFolderName;
+    }
+    elements.deadlineReminders.checked = settings.deadlineReminders !== false;
+    elements.deadlineReminderLead.value = formatLeadHours(settings.deadlineReminderLeadHours || []);
+    elements.archiveMode.value = settings.archiveMode || DefaultSettings.archiveMode;
+    renderBlockedEmployers(settings.blockedEmployers || []);
+    loadHiddenJobCount();
     elements.highlightUnread.checked = settings.highlightUnread;
     elements.keyboardShortcuts.checked = settings.keyboardShortcuts;
+    shortcutBindings = window.AzureShortcuts.getShortcutBindings(settings.keyboardBindings);
+    renderShortcuts();
     if (elements.jobRearrangerEnabled) {
       elements.jobRearrangerEnabled.checked = settings.jobRearrangerEnabled !== false;
     }
@@ -88,6 +174,13 @@ async function loadSettings() {
         ? settings.jobRearrangerStandardOrder.join('\n')
         : DefaultSettings.jobRearrangerStandardOrder.join('\n');
     }
+    renderCustomFields(settings.jobRearrangerCustomFields || []);
+    for (const [key, id] of Object.entries(PROFILE_FIELDS)) {
+      document.getElementById(id).value = (settings[key] || []).join('\n');
+    }
+    elements.degreeProgram.value = settings.degreeProgram || '';
+    elements.degreeLevel.value = settings.degreeLevel || DefaultSettings.degreeLevel;
+    elements.dimNonTargeted.checked = settings.dimNonTargeted === true;
 
     // Show/hide conditional UI
     updateDarkModeScheduleVisibility();
@@ -142,6 +235,322 @@ async function resetAllSettings() {
   }
 }
 
+/**
+ * Render a checkbox for each extra postings table column
+ * @param {string[]} visible - IDs of the columns shown
+ */
+function renderTableColumns(visible) {
+  elements.tableColumns.innerHTML = '';
+
+  for (const [id, label] of Object.entries(TABLE_COLUMN_OPTIONS)) {
+    const option = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = id;
+    checkbox.checked = visible.includes(id);
+    checkbox.addEventListener('change', () => {
+      const checked = Array.from(elements.tableColumns.querySelectorAll('input:checked')).map(input => input.value);
+      saveSetting('tableColumns', checked);
+    });
+    option.append(checkbox, document.createTextNode(label));
+    elements.tableColumns.appendChild(option);
+  }
+}
+
+/**
+ * Render the blocked employer list
+ * @param {string[]} employers - Blocked employer names
+ */
+function renderBlockedEmployers(employers) {
+  if (!elements.blockedEmployers) return;
+
+  elements.blockedEmployers.innerHTML = '';
+
+  if (employers.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'No blocked employers';
+    elements.blockedEmployers.appendChild(empty);
+    return;
+  }
+
+  employers.forEach(name => {
+    const item = document.createElement('li');
+    item.textContent = name;
+
+    const remove = document.createElement('button');
+    remove.className = 'remove-blocked';
+    remove.title = `Unblock ${name}`;
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => updateBlockedEmployers(list => list.filter(n => n !== name)));
+
+    item.appendChild(remove);
+    elements.blockedEmployers.appendChild(item);
+  });
+}
+
+/**
+ * Apply a change to the blocked employer list and save it
+ * @param {function} change - Receives the current list, returns the new one
+ */
+async function updateBlockedEmployers(change) {
+  const { blockedEmployers } = await chrome.storage.sync.get({ blockedEmployers: [] });
+  const updated = change(blockedEmployers);
+  await saveSetting('blockedEmployers', updated);
+  renderBlockedEmployers(updated);
+}
+
+/**
+ * Block the employer typed into the add field
+ */
+function addBlockedEmployer() {
+  const name = elements.blockedEmployerInput.value.trim().replace(/\s+/g, ' ');
+  if (!name) return;
+
+  elements.blockedEmployerInput.value = '';
+  updateBlockedEmployers(list =>
+    list.some(n => n.toLowerCase() === name.toLowerCase()) ? list : [...list, name]
+  );
+}
+
+/**
+ * Render the custom Key Information fields
+ * @param {object[]} customFields - List of { label, name, render }
+ */
+function renderCustomFields(customFields) {
+  if (!elements.customFieldList) return;
+
+  elements.customFieldList.innerHTML = '';
+
+  customFields.forEach((field, index) => {
+    const row = document.createElement('tr');
+
+    const labelCell = document.createElement('td');
+    labelCell.textContent = field.label;
+    labelCell.title = 'WaterlooWorks label';
+
+    const nameCell = document.createElement('td');
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'text-input';
+    nameInput.value = field.name || field.label;
+    nameInput.title = 'Name shown in the box';
+    nameInput.addEventListener('change', () => {
+      updateCustomFields(list => list.map((f, i) => i === index ? { ...f, name: nameInput.value.trim() || f.label } : f));
+    });
+    nameCell.appendChild(nameInput);
+
+    const renderCell = document.createElement('td');
+    const renderSelect = document.createElement('select');
+    renderSelect.className = 'select';
+    for (const [value, label] of Object.entries(FIELD_RENDER_OPTIONS)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      renderSelect.appendChild(option);
+    }
+    renderSelect.value = field.render || 'text';
+    renderSelect.addEventListener('change', () => {
+      updateCustomFields(list => list.map((f, i) => i === index ? { ...f, render: renderSelect.value } : f));
+    });
+    renderCell.appendChild(renderSelect);
+
+    const removeCell = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.className = 'remove-blocked';
+    remove.title = `Remove ${field.label}`;
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => updateCustomFields(list => list.filter((f, i) => i !== index)));
+    removeCell.appendChild(remove);
+
+    row.append(labelCell, nameCell, renderCell, removeCell);
+    elements.customFieldList.appendChild(row);
+  });
+}
+
+/**
+ * Apply a change to the custom Key Information fields and save them
+ * @param {function} change - Receives the current list, returns the new one
+ */
+async function updateCustomFields(change) {
+  const { jobRearrangerCustomFields } = await chrome.storage.sync.get({ jobRearrangerCustomFields: [] });
+  const updated = change(jobRearrangerCustomFields);
+  await saveSetting('jobRearrangerCustomFields', updated);
+  renderCustomFields(updated);
+}
+
+/**
+ * Add the label typed into the custom field input
+ */
+function addCustomField() {
+  const label = elements.customFieldLabel.value.trim().replace(/:$/, '').replace(/\s+/g, ' ');
+  if (!label) return;
+
+  elements.customFieldLabel.value = '';
+  updateCustomFields(list =>
+    list.some(f => f.label.toLowerCase() === label.toLowerCase())
+      ? list
+      : [...list, { label, name: label, render: 'text' }]
+  );
+}
+
+/**
+ * Format reminder lead times for editing, e.g. [72, 24, 3] -> "3d, 1d, 3h"
+ * @param {number[]} hours - Lead times in hours
+ * @returns {string}
+ */
+function formatLeadHours(hours) {
+  return hours.map(h => (h % 24 === 0 ? `${h / 24}d` : `${h}h`)).join(', ');
+}
+
+/**
+ * Parse edited reminder lead times; bare numbers are hours
+ * @param {string} text - e.g. "3d, 1d, 3h"
+ * @returns {number[]} Lead times in hours, longest first
+ */
+function parseLeadHours(text) {
+  const hours = text.split(/[,\s]+/)
+    .map(part => part.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(d|h)?$/))
+    .filter(Boolean)
+    .map(([, amount, unit]) => Math.round(Number(amount) * (unit === 'd' ? 24 : 1)))
+    .filter(h => h > 0);
+  return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+/**
+ * Show how many jobs are individually hidden
+ */
+async function loadHiddenJobCount() {
+  if (!elements.unhideAll) return;
+
+  const { hiddenJobs } = await chrome.storage.local.get({ hiddenJobs: {} });
+  const count = Object.keys(hiddenJobs).length;
+  elements.unhideAll.textContent = `Unhide all (${count})`;
+  elements.unhideAll.disabled = count === 0;
+}
+
+/**
+ * Render the key binding editor
+ */
+function renderShortcuts() {
+  const { ShortcutCommands, formatShortcut, findShortcutConflicts } = window.AzureShortcuts;
+  const conflicts = findShortcutConflicts(shortcutBindings);
+
+  elements.shortcutList.innerHTML = '';
+
+  ShortcutCommands.forEach(command => {
+    const row = document.createElement('tr');
+    const conflicted = conflicts.filter(c => c.commandIds.includes(command.id)).map(c => c.shortcut);
+    row.classList.toggle('has-conflict', conflicted.length > 0);
+
+    const labelCell = document.createElement('td');
+    labelCell.textContent = command.label;
+
+    const keysCell = document.createElement('td');
+    const keys = document.createElement('div');
+    keys.className = 'shortcut-keys';
+
+    shortcutBindings[command.id].forEach(shortcut => {
+      const key = document.createElement('span');
+      key.className = 'shortcut-key';
+      key.classList.toggle('is-conflict', conflicted.includes(shortcut));
+      key.textContent = formatShortcut(shortcut);
+
+      const remove = document.createElement('button');
+      remove.title = 'Remove';
+      remove.textContent = '✕';
+      remove.addEventListener('click', () => {
+        shortcutBindings[command.id] = shortcutBindings[command.id].filter(s => s !== shortcut);
+        saveShortcutBindings();
+      });
+
+      key.appendChild(remove);
+      keys.appendChild(key);
+    });
+
+    const add = document.createElement('button');
+    add.className = 'shortcut-add';
+    add.classList.toggle('is-recording', recordingCommandId === command.id);
+    add.textContent = recordingCommandId === command.id ? 'Press a key…' : '+';
+    add.title = recordingCommandId === command.id ? 'Click to cancel' : 'Add a key';
+    add.addEventListener('click', () => {
+      recordingCommandId = recordingCommandId === command.id ? null : command.id;
+      showShortcutMessage('');
+      renderShortcuts();
+    });
+    keys.appendChild(add);
+
+    keysCell.appendChild(keys);
+    row.append(labelCell, keysCell);
+    elements.shortcutList.appendChild(row);
+  });
+
+  if (conflicts.length > 0) {
+    showShortcutMessage(conflicts.map(c => `${formatShortcut(c.shortcut)} is bound to more than one command`).join('. '));
+  }
+}
+
+/**
+ * Show (or clear) the message under the key binding editor
+ * @param {string} message - Message text, empty to hide
+ */
+function showShortcutMessage(message) {
+  elements.shortcutMessage.textContent = message;
+  elements.shortcutMessage.classList.toggle('hidden', !message);
+}
+
+/**
+ * Add the pressed key combination to the command being recorded
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function recordShortcut(e) {
+  if (!recordingCommandId) return;
+
+  const { ShortcutCommands, eventToShortcut, formatShortcut, shortcutScopesOverlap } = window.AzureShortcuts;
+  const shortcut = eventToShortcut(e);
+  if (!shortcut) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+
+  const command = ShortcutCommands.find(c => c.id === recordingCommandId);
+  const clash = ShortcutCommands.find(other =>
+    other.id !== command.id &&
+    shortcutBindings[other.id].includes(shortcut) &&
+    shortcutScopesOverlap(command, other)
+  );
+
+  recordingCommandId = null;
+
+  if (clash) {
+    renderShortcuts();
+    showShortcutMessage(`${formatShortcut(shortcut)} is already used by "${clash.label}". Remove it there first.`);
+    return;
+  }
+
+  if (!shortcutBindings[command.id].includes(shortcut)) {
+    shortcutBindings[command.id] = [...shortcutBindings[command.id], shortcut];
+  }
+  showShortcutMessage('');
+  saveShortcutBindings();
+}
+
+/**
+ * Save bindings that differ from the defaults and re-render
+ */
+function saveShortcutBindings() {
+  const overrides = {};
+  window.AzureShortcuts.ShortcutCommands.forEach(command => {
+    const current = shortcutBindings[command.id];
+    if (current.join('|') !== command.defaults.join('|')) {
+      overrides[command.id] = current;
+    }
+  });
+
+  saveSetting('keyboardBindings', overrides);
+  renderShortcuts();
+}
+
 /**
  * Initialize event listeners
  */
@@ -205,6 +614,16 @@ function initEventListeners() {
     saveSetting('newJobDaysThreshold', parseInt(e.target.value) || 7);
   });
 
+  elements.skipSeenJobs?.addEventListener('change', (e) => {
+    saveSetting('skipSeenJobs', e.target.checked);
+  });
+
+  elements.clearViewedJobs?.addEventListener('click', async () => {
+    if (!confirm('Forget every job you have opened?')) return;
+    await chrome.storage.local.remove('viewedJobs');
+    console.log('[Azure Options] Viewed job history cleared');
+  });
+
   // Messages
   elements.highlightUnread.addEventListener('change', (e) => {
     saveSetting('highlightUnread', e.target.checked);
@@ -214,6 +633,64 @@ function initEventListeners() {
   elements.keyboardShortcuts.addEventListener('change', (e) => {
     saveSetting('keyboardShortcuts', e.target.checked);
   });
+  document.addEventListener('keydown', recordShortcut, true);
+  elements.shortcutReset?.addEventListener('click', () => {
+    shortcutBindings = window.AzureShortcuts.getShortcutBindings({});
+    recordingCommandId = null;
+    showShortcutMessage('');
+    saveShortcutBindings();
+  });
+
+  // Shortlist
+  elements.openShortlist?.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('shortlist/shortlist.html') });
+  });
+  elements.shortlistFolderSync?.addEventListener('change', (e) => {
+    saveSetting('shortlistFolderSync', e.target.checked);
+  });
+  elements.shortlistFolderName?.addEventListener('change', (e) => {
+    saveSetting('shortlistFolderName', e.target.value.trim() || DefaultSettings.shortlistFolderName);
+  });
+  elements.deadlineReminders?.addEventListener('change', (e) => {
+    saveSetting('deadlineReminders', e.target.checked);
+  });
+  elements.deadlineReminderLead?.addEventListener('change', (e) => {
+    const hours = parseLeadHours(e.target.value);
+    e.target.value = formatLeadHours(hours);
+    saveSetting('deadlineReminderLeadHours', hours);
+  });
+
+  // Posting archive
+  elements.openArchive?.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('archive/archive.html') });
+  });
+  elements.archiveMode?.addEventListener('change', (e) => {
+    saveSetting('archiveMode', e.target.value);
+  });
+
+  // Hidden jobs & blocked employers
+  elements.blockedEmployerAdd?.addEventListener('click', addBlockedEmployer);
+  elements.blockedEmployerInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addBlockedEmployer();
+  });
+  elements.unhideAll?.addEventListener('click', async () => {
+    await chrome.storage.local.remove('hiddenJobs');
+    loadHiddenJobCount();
+  });
+
+  // Stay current with jobs hidden or employers blocked on WaterlooWorks
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.blockedEmployers) {
+      renderBlockedEmployers(changes.blockedEmployers.newValue || []);
+    }
+    // Fields pinned from a posting while this page is open
+    if (areaName === 'sync' && changes.jobRearrangerCustomFields) {
+      renderCustomFields(changes.jobRearrangerCustomFields.newValue || []);
+    }
+    if (areaName === 'local' && changes.hiddenJobs) {
+      loadHiddenJobCount();
+    }
+  });
 
   // Job posting layout
   elements.jobRearrangerEnabled?.addEventListener('change', (e) => {
@@ -234,6 +711,31 @@ function initEventListeners() {
     saveSetting('jobRearrangerStandardOrder', DefaultSettings.jobRearrangerStandardOrder);
   });
 
+  elements.customFieldAdd?.addEventListener('click', addCustomField);
+  elements.customFieldLabel?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addCustomField();
+  });
+
+  // Skills profile: one entry per line, commas also accepted
+  for (const [key, id] of Object.entries(PROFILE_FIELDS)) {
+    document.getElementById(id).addEventListener('blur', (e) => {
+      const arr = e.target.value.split(/[\n,]/).map(s => s.trim()).filter(Boolean);
+      saveSetting(key, arr);
+    });
+  }
+
+  elements.degreeProgram.addEventListener('change', (e) => {
+    saveSetting('degreeProgram', e.target.value.trim());
+  });
+
+  elements.degreeLevel.addEventListener('change', (e) => {
+    saveSetting('degreeLevel', e.target.value);
+  });
+
+  elements.dimNonTargeted.addEventListener('change', (e) => {
+    saveSetting('dimNonTargeted', e.target.checked);
+  });
+
   // Reset
   elements.resetSettings.addEventListener('click', resetAllSettings);
 }
@@ -6,6 +6,8 @@
 const quickEnable = document.getElementById('quick-enable');
 const darkModeToggle = document.getElementById('dark-mode-toggle');
 const openOptions = document.getElementById('open-options');
+const openShortlist = document.getElementById('open-shortlist');
+const shortlistCount = document.getElementById('shortlist-count');
 
 /**
  * Load settings
@@ -24,6 +26,19 @@ async function loadSettings() {
   }
 }
 
+/**
+ * Show the number of shortlisted jobs
+ */
+async function loadShortlistCount() {
+  try {
+    const shortlist = await chrome.runtime.sendMessage({ action: 'getShortlist' });
+    const count = Object.keys(shortlist || {}).length;
+    shortlistCount.textContent = count > 0 ? count : '';
+  } catch (error) {
+    console.error('[Azure Popup] Failed to load shortlist:', error);
+  }
+}
+
 /**
  * Save setting
  */
@@ -53,10 +68,16 @@ function initEventListeners() {
   openOptions.addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
   });
+
+  // Open shortlist page
+  openShortlist.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('shortlist/shortlist.html') });
+  });
 }
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
+  loadShortlistCount();
   initEventListeners();
 });
@@ -3,6 +3,10 @@
  * Handles background tasks, extension lifecycle, and messaging
  */
 
+import './utils/storage.js';
+import './utils/deadlines.js';
+import './utils/archive.js';
+
 // Extension version
 const VERSION = '4.0.0';
 
@@ -73,6 +77,53 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ success: true });
       });
       return true;
+
+    case 'getShortlist':
+      self.AzureStorage.getShortlist().then((shortlist) => {
+        sendResponse(shortlist);
+      }).catch((error) => {
+        console.error('[Azure SW] Failed to read shortlist:', error);
+        sendResponse({});
+      });
+      return true;
+
+    // Content scripts can't reach the extension's IndexedDB themselves
+    case 'archivePosting':
+      self.AzureArchive.archivePosting(request.posting).then((entry) => {
+        sendResponse(entry);
+      }).catch((error) => {
+        console.error('[Azure SW] Failed to archive posting:', error);
+        sendResponse({ error: error.message });
+      });
+      return true;
+
+    case 'getArchivedPosting':
+      self.AzureArchive.getArchivedPosting(request.jobId).then((entry) => {
+        sendResponse(entry);
+      }).catch((error) => {
+        console.error('[Azure SW] Failed to read archived posting:', error);
+        sendResponse(null);
+      });
+      return true;
+
+    // Change detection snapshots, kept whatever the archive setting
+    case 'getPostingSnapshot':
+      self.AzureArchive.getPostingSnapshot(request.jobId).then((snapshot) => {
+        sendResponse(snapshot);
+      }).catch((error) => {
+        console.error('[Azure SW] Failed to read posting snapshot:', error);
+        sendResponse(null);
+      });
+      return true;
+
+    case 'savePostingSnapshot':
+      self.AzureArchive.savePostingSnapshot(request.posting).then((snapshot) => {
+        sendResponse(snapshot);
+      }).catch((error) => {
+        console.error('[Azure SW] Failed to save posting snapshot:', error);
+        sendResponse({ error: error.message });
+      });
+      return true;
       
     default:
       sendResponse({ error: 'Unknown action' });
@@ -132,4 +183,183 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   }
 });
 
+/**
+ * Deadline reminders. One alarm per shortlisted job and lead time, named
+ * "deadline:<jobId>:<hours>", rebuilt whenever the shortlist or lead times
+ * change and every time the service worker starts. Reminders that came due
+ * while the browser was closed are shown when it starts again.
+ */
+const REMINDER_ALARM_PREFIX = 'deadline:';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Only jobs not applied to yet need a reminder
+const REMINDER_STATUSES = ['interested'];
+
+// Reminders already shown, keyed "<jobId>:<hours>:<deadline>" so an edited
+// deadline gets its reminders again. Kept in local storage.
+const SHOWN_REMINDERS_KEY = 'shownDeadlineReminders';
+
+// Fallback for records saved without the posting's URL, as on the shortlist page
+const POSTINGS_URL = 'https://waterlooworks.uwaterloo.ca/myAccount/co-op/coop-postings.htm';
+
+// Runs are chained so two never clear and recreate alarms at once, and calls
+// made while a run is waiting to start share it
+let reminderRun = Promise.resolve();
+let reminderRunQueued = false;
+
+function rescheduleDeadlineReminders() {
+  if (reminderRunQueued) return reminderRun;
+
+  reminderRunQueued = true;
+  reminderRun = reminderRun.then(() => {
+    reminderRunQueued = false;
+    return scheduleDeadlineReminders();
+  }).catch(error => {
+    console.error('[Azure SW] Failed to schedule deadline reminders:', error);
+  });
+  return reminderRun;
+}
+
+function getReminderId(jobId, hours, deadline) {
+  return `${jobId}:${hours}:${deadline}`;
+}
+
+async function getShownReminders() {
+  const result = await chrome.storage.local.get(SHOWN_REMINDERS_KEY);
+  return result[SHOWN_REMINDERS_KEY] || {};
+}
+
+async function markRemindersShown(reminderIds) {
+  const shown = await getShownReminders();
+  reminderIds.forEach(id => { shown[id] = Date.now(); });
+  await chrome.storage.local.set({ [SHOWN_REMINDERS_KEY]: shown });
+}
+
+async function scheduleDeadlineReminders() {
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(alarms
+    .filter(alarm => alarm.name.startsWith(REMINDER_ALARM_PREFIX))
+    .map(alarm => chrome.alarms.clear(alarm.name)));
+
+  const settings = await self.AzureStorage.getSettings(['deadlineReminders', 'deadlineReminderLeadHours']);
+  if (settings.deadlineReminders === false) return;
+
+  const shortlist = await self.AzureStorage.getShortlist();
+  const shown = await getShownReminders();
+  const stillShown = {};
+  const missed = [];
+  const now = Date.now();
+  let count = 0;
+
+  for (const record of Object.values(shortlist)) {
+    if (!REMINDER_STATUSES.includes(record.status || 'interested')) continue;
+
+    const deadline = self.AzureDeadlines.parseDeadlineDate(record.deadline);
+    if (!deadline || deadline <= now) continue;
+
+    let missedAny = false;
+    for (const hours of settings.deadlineReminderLeadHours || []) {
+      const reminderId = getReminderId(record.id, hours, deadline);
+      if (shown[reminderId]) {
+        stillShown[reminderId] = shown[reminderId];
+        continue;
+      }
+
+      const when = deadline - hours * HOUR_MS;
+      if (when > now) {
+        chrome.alarms.create(`${REMINDER_ALARM_PREFIX}${record.id}:${hours}`, { when });
+        count++;
+      } else if (when >= (record.addedAt || 0)) {
+        // Came due while shortlisted but never fired. Lead times that passed
+        // before the job was shortlisted were never owed a reminder.
+        stillShown[reminderId] = now;
+        missedAny = true;
+      }
+    }
+
+    // One catch-up reminder per job, however many lead times it missed
+    if (missedAny) missed.push(record);
+  }
+
+  // Drop entries for jobs and deadlines that no longer need them
+  await chrome.storage.local.set({ [SHOWN_REMINDERS_KEY]: stillShown });
+
+  for (const record of missed) {
+    notifyDeadline(record, self.AzureDeadlines.parseDeadlineDate(record.deadline));
+  }
+
+  console.log(`[Azure SW] Scheduled ${count} deadline reminders, ${missed.length} missed ones shown`);
+}
+
+function formatLeadTime(hours) {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+function notifyDeadline(record, deadline) {
+  // Time actually left, as a catch-up reminder shows after its lead time
+  const hoursLeft = Math.max(1, Math.round((deadline - Date.now()) / HOUR_MS));
+
+  chrome.notifications.create(`${REMINDER_ALARM_PREFIX}${record.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `Deadline in ${formatLeadTime(hoursLeft)}`,
+    message: [record.title || `Job ${record.id}`, record.employer].filter(Boolean).join(' · '),
+    contextMessage: `Due ${self.AzureDeadlines.formatDeadline(deadline)}`,
+    priority: 2
+  });
+}
+
+async function showDeadlineReminder(alarmName) {
+  const [jobId, hours] = alarmName.slice(REMINDER_ALARM_PREFIX.length).split(':');
+  const record = await self.AzureStorage.getShortlistRecord(jobId);
+  if (!record || !REMINDER_STATUSES.includes(record.status || 'interested')) return;
+
+  const deadline = self.AzureDeadlines.parseDeadlineDate(record.deadline);
+  if (!deadline || deadline <= Date.now()) return;
+
+  await markRemindersShown([getReminderId(jobId, hours, deadline)]);
+  notifyDeadline(record, deadline);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(REMINDER_ALARM_PREFIX)) {
+    showDeadlineReminder(alarm.name).catch(error => {
+      console.error('[Azure SW] Failed to show deadline reminder:', error);
+    });
+  }
+});
+
+// Clicking a reminder opens the posting
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(REMINDER_ALARM_PREFIX)) return;
+
+  const jobId = notificationId.slice(REMINDER_ALARM_PREFIX.length);
+  chrome.notifications.clear(notificationId);
+
+  try {
+    const record = await self.AzureStorage.getShortlistRecord(jobId);
+    const url = (record && record.url) || `${POSTINGS_URL}?wawJob=${encodeURIComponent(jobId)}`;
+    await chrome.tabs.create({ url });
+  } catch (error) {
+    console.error('[Azure SW] Failed to open reminder posting:', error);
+  }
+});
+
+// Stars, status changes and edited deadlines, from any tab
+self.AzureStorage.onShortlistChanged(() => {
+  rescheduleDeadlineReminders();
+});
+
+self.AzureStorage.onSettingsChanged((changes, areaName) => {
+  if (areaName === 'sync' && (changes.deadlineReminders || changes.deadlineReminderLeadHours)) {
+    rescheduleDeadlineReminders();
+  }
+});
+
+rescheduleDeadlineReminders();
+
 console.log('[Azure SW] Service worker loaded');
@@ -0,0 +1,521 @@
+/**
+ * Shortlist Page Script for WaterlooActuallyWorks
+ * Lists every shortlisted job with sorting, filtering and bulk actions
+ */
+
+// Fallback for records captured before their posting URL was known
+const POSTINGS_URL = 'https://waterlooworks.uwaterloo.ca/myAccount/co-op/coop-postings.htm';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Page state
+const state = {
+  records: {},
+  notes: {},
+  selected: new Set(),
+  filterText: '',
+  filterTerm: '',
+  sortBy: 'deadline'
+};
+
+// Element references
+const elements = {
+  summary: document.getElementById('shortlist-summary'),
+  filterText: document.getElementById('filter-text'),
+  filterTerm: document.getElementById('filter-term'),
+  sortBy: document.getElementById('sort-by'),
+  selectionCount: document.getElementById('selection-count'),
+  exportFormat: document.getElementById('export-format'),
+  exportSelected: document.getElementById('export-selected'),
+  calendarExport: document.getElementById('calendar-export'),
+  compareSelected: document.getElementById('compare-selected'),
+  openSelected: document.getElementById('open-selected'),
+  removeSelected: document.getElementById('remove-selected'),
+  selectAll: document.getElementById('select-all'),
+  body: document.getElementById('shortlist-body'),
+  emptyState: document.getElementById('empty-state'),
+  otherNotes: document.getElementById('other-notes'),
+  otherNotesList: document.getElementById('other-notes-list')
+};
+
+const NOTE_PREVIEW_LENGTH = 120;
+
+/**
+ * Parse a deadline string into a timestamp
+ * @param {string} value - Deadline text as shown on WaterlooWorks
+ * @returns {number|null} Timestamp, or null if it can't be parsed
+ */
+function parseDeadline(value) {
+  return window.AzureDeadlines.parseDeadlineDate(value);
+}
+
+/**
+ * Format a timestamp as a short date
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Get the URL that opens a shortlisted job
+ * @param {object} record - Shortlist record
+ * @returns {string}
+ */
+function getRecordUrl(record) {
+  return record.url || `${POSTINGS_URL}?wawJob=${encodeURIComponent(record.id)}`;
+}
+
+/**
+ * Get records matching the current filters, in the current sort order
+ * @returns {object[]}
+ */
+function getVisibleRecords() {
+  const text = state.filterText.toLowerCase();
+
+  const records = Object.values(state.records).filter(record => {
+    if (state.filterTerm && record.term !== state.filterTerm) return false;
+    if (!text) return true;
+    const note = state.notes[record.id];
+    return [record.id, record.title, record.employer, record.location, record.term, note && note.text]
+      .some(value => value && String(value).toLowerCase().includes(text));
+  });
+
+  const { getPaySortValue } = window.AzureCompensation;
+
+  const compare = {
+    // Soonest first; unknown deadlines last
+    deadline: (a, b) => (parseDeadline(a.deadline) ?? Infinity) - (parseDeadline(b.deadline) ?? Infinity),
+    addedAt: (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+    title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+    employer: (a, b) => (a.employer || '').localeCompare(b.employer || ''),
+    status: (a, b) => getStatusIndex(a) - getStatusIndex(b),
+    // Best paid first; unknown pay last
+    pay: (a, b) => (getPaySortValue(b.pay) ?? -1) - (getPaySortValue(a.pay) ?? -1)
+  };
+
+  return records.sort(compare[state.sortBy] || compare.deadline);
+}
+
+/**
+ * Get a record's position in the pipeline
+ * @param {object} record - Shortlist record
+ * @returns {number}
+ */
+function getStatusIndex(record) {
+  const { JobStatuses, getJobStatus } = window.AzureStorage;
+  return JobStatuses.indexOf(getJobStatus(record));
+}
+
+/**
+ * Build the status picker cell for a record
+ * @param {object} record - Shortlist record
+ * @returns {HTMLTableCellElement}
+ */
+function createStatusCell(record) {
+  const { JobStatuses, getJobStatus, setJobStatus } = window.AzureStorage;
+  const status = getJobStatus(record);
+
+  const cell = document.createElement('td');
+  const select = document.createElement('select');
+  select.className = 'status-select';
+  select.style.borderColor = status.color;
+  select.style.color = status.color;
+
+  JobStatuses.forEach(s => {
+    const option = document.createElement('option');
+    option.value = s.id;
+    option.textContent = s.label;
+    select.appendChild(option);
+  });
+  select.value = status.id;
+
+  // Show when each status was reached
+  select.title = (record.statusHistory || [])
+    .map(entry => `${JobStatuses.find(s => s.id === entry.status)?.label || entry.status}: ${formatDate(entry.at)}`)
+    .join('\n');
+
+  select.addEventListener('change', async () => {
+    try {
+      state.records[record.id] = await setJobStatus(record, select.value);
+      render();
+    } catch (error) {
+      console.error('[Azure Shortlist] Failed to save status:', error);
+    }
+  });
+
+  cell.appendChild(select);
+  return cell;
+}
+
+/**
+ * Create a table cell with text content
+ * @param {string} text - Cell text
+ * @param {string} className - Optional class name
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const cell = document.createElement('td');
+  cell.textContent = text || '—';
+  if (className) cell.className = className;
+  return cell;
+}
+
+/**
+ * Build the table row for a record
+ * @param {object} record - Shortlist record
+ * @returns {HTMLTableRowElement}
+ */
+function renderRow(record) {
+  const row = document.createElement('tr');
+  row.dataset.jobId = record.id;
+
+  const selectCell = document.createElement('td');
+  selectCell.className = 'col-select';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = state.selected.has(record.id);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      state.selected.add(record.id);
+    } else {
+      state.selected.delete(record.id);
+    }
+    updateSelectionUI();
+  });
+  selectCell.appendChild(checkbox);
+  row.appendChild(selectCell);
+
+  const titleCell = document.createElement('td');
+  const link = document.createElement('a');
+  link.href = getRecordUrl(record);
+  link.target = '_blank';
+  link.textContent = record.title || `Job ${record.id}`;
+  const idLabel = document.createElement('span');
+  idLabel.className = 'job-id';
+  idLabel.textContent = record.id;
+  titleCell.append(link, idLabel);
+
+  const note = state.notes[record.id];
+  if (note) {
+    const notePreview = document.createElement('span');
+    notePreview.className = 'note-preview';
+    notePreview.textContent = note.text.length > NOTE_PREVIEW_LENGTH
+      ? `📝 ${note.text.slice(0, NOTE_PREVIEW_LENGTH)}...`
+      : `📝 ${note.text}`;
+    notePreview.title = note.text;
+    titleCell.appendChild(notePreview);
+  }
+  row.appendChild(titleCell);
+
+  row.appendChild(createStatusCell(record));
+
+  row.appendChild(createCell(record.employer));
+  row.appendChild(createCell(record.location));
+
+  // Records saved before pay was parsed only show once the posting is reopened
+  const payCell = createCell(record.pay ? window.AzureCompensation.formatPay(record.pay) : '', 'col-pay');
+  if (record.compensation) payCell.title = record.compensation;
+  row.appendChild(payCell);
+
+  const deadline = parseDeadline(record.deadline);
+  const deadlineCell = createCell(record.deadline);
+  if (deadline !== null) {
+    const daysLeft = Math.ceil((deadline - Date.now()) / DAY_MS);
+    deadlineCell.title = daysLeft >= 0 ? `${daysLeft} day(s) left` : 'Deadline passed';
+    deadlineCell.classList.toggle('is-past', daysLeft < 0);
+    deadlineCell.classList.toggle('is-soon', daysLeft >= 0 && daysLeft <= 3);
+  }
+  row.appendChild(deadlineCell);
+
+  row.appendChild(createCell(record.term));
+  row.appendChild(createCell(formatDate(record.addedAt)));
+
+  return row;
+}
+
+/**
+ * Rebuild the term filter options from the stored records
+ */
+function renderTermOptions() {
+  const terms = [...new Set(Object.values(state.records).map(r => r.term).filter(Boolean))].sort();
+  const current = state.filterTerm;
+
+  elements.filterTerm.innerHTML = '<option value="">All terms</option>';
+  terms.forEach(term => {
+    const option = document.createElement('option');
+    option.value = term;
+    option.textContent = term;
+    elements.filterTerm.appendChild(option);
+  });
+
+  state.filterTerm = terms.includes(current) ? current : '';
+  elements.filterTerm.value = state.filterTerm;
+}
+
+/**
+ * Render the shortlist table
+ */
+function render() {
+  const visible = getVisibleRecords();
+  const total = Object.keys(state.records).length;
+
+  elements.body.innerHTML = '';
+  visible.forEach(record => elements.body.appendChild(renderRow(record)));
+
+  elements.summary.textContent = visible.length === total
+    ? `${total} shortlisted job${total === 1 ? '' : 's'}`
+    : `Showing ${visible.length} of ${total} shortlisted jobs`;
+  elements.emptyState.classList.toggle('hidden', visible.length > 0);
+
+  renderOtherNotes();
+  updateSelectionUI();
+}
+
+/**
+ * Get notes matching the search on jobs that aren't shortlisted
+ * @returns {object[]} Notes, most recently edited first
+ */
+function getOtherMatchingNotes() {
+  const text = state.filterText.toLowerCase();
+  if (!text) return [];
+
+  return Object.values(state.notes)
+    .filter(note => !state.records[note.id])
+    .filter(note => [note.id, note.title, note.employer, note.text]
+      .some(value => value && String(value).toLowerCase().includes(text)))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * Render the search's matches among notes on jobs that aren't shortlisted
+ */
+function renderOtherNotes() {
+  const notes = getOtherMatchingNotes();
+
+  elements.otherNotesList.innerHTML = '';
+  notes.forEach(note => {
+    const item = document.createElement('li');
+
+    const link = document.createElement('a');
+    link.href = getRecordUrl({ id: note.id });
+    link.target = '_blank';
+    link.textContent = note.title || `Job ${note.id}`;
+    const idLabel = document.createElement('span');
+    idLabel.className = 'job-id';
+    idLabel.textContent = note.employer ? `${note.employer} · ${note.id}` : note.id;
+
+    const notePreview = document.createElement('span');
+    notePreview.className = 'note-preview';
+    notePreview.textContent = note.text.length > NOTE_PREVIEW_LENGTH
+      ? `📝 ${note.text.slice(0, NOTE_PREVIEW_LENGTH)}...`
+      : `📝 ${note.text}`;
+    notePreview.title = note.text;
+
+    item.append(link, idLabel, notePreview);
+    elements.otherNotesList.appendChild(item);
+  });
+
+  elements.otherNotes.classList.toggle('hidden', notes.length === 0);
+}
+
+/**
+ * Update bulk action controls for the current selection
+ */
+function updateSelectionUI() {
+  // Drop selections that no longer exist
+  for (const id of state.selected) {
+    if (!state.records[id]) state.selected.delete(id);
+  }
+
+  const visibleIds = getVisibleRecords().map(r => r.id);
+  const count = state.selected.size;
+
+  elements.selectionCount.textContent = `${count} selected`;
+  elements.exportSelected.disabled = count === 0;
+  elements.compareSelected.disabled = count < 2 || count > window.AzureStorage.MAX_COMPARE_JOBS;
+  elements.openSelected.disabled = count === 0;
+  elements.removeSelected.disabled = count === 0;
+  elements.selectAll.checked = visibleIds.length > 0 && visibleIds.every(id => state.selected.has(id));
+}
+
+/**
+ * Open every selected job in a background tab
+ */
+async function openSelected() {
+  for (const id of state.selected) {
+    const record = state.records[id];
+    if (!record) continue;
+
+    try {
+      await chrome.runtime.sendMessage({ action: 'openTab', url: getRecordUrl(record), active: false });
+    } catch (error) {
+      console.error('[Azure Shortlist] Failed to open job:', id, error);
+    }
+  }
+}
+
+/**
+ * Export every selected job in full from the posting archive, falling back to
+ * the fields cached when it was last opened
+ */
+async function exportSelected() {
+  const parsed = await window.AzureStorage.getParsedPostings();
+  const records = [...state.selected].map(id => state.records[id]).filter(Boolean);
+
+  const archived = {};
+  await Promise.all(records.map(async record => {
+    try {
+      archived[record.id] = await window.AzureArchive.getArchivedPosting(record.id);
+    } catch (error) {
+      console.error('[Azure Shortlist] Failed to read archived posting:', error);
+    }
+  }));
+
+  const postings = records.map(record => window.AzureExport.buildShortlistPosting(record, {
+    parsed: parsed[record.id],
+    archived: archived[record.id],
+    note: state.notes[record.id] ? state.notes[record.id].text : '',
+    url: getRecordUrl(record)
+  }));
+
+  window.AzureExport.exportPostings(postings, elements.exportFormat.value);
+}
+
+/**
+ * Download deadlines as an .ics file: the selected jobs, or every shortlisted
+ * job when none are selected. Past deadlines are left out.
+ */
+function exportDeadlines() {
+  const records = state.selected.size > 0
+    ? [...state.selected].map(id => state.records[id]).filter(Boolean)
+    : Object.values(state.records);
+
+  const now = Date.now();
+  const events = records
+    .map(record => window.AzureCalendar.createDeadlineEvent({ ...record, url: getRecordUrl(record) }))
+    .filter(event => event && event.end > now);
+
+  if (events.length === 0) {
+    alert('None of these jobs has an upcoming deadline.');
+    return;
+  }
+  window.AzureCalendar.downloadCalendar(events, `waterlooworks-deadlines-${new Date().toISOString().slice(0, 10)}`);
+}
+
+/**
+ * Open the selected jobs side by side on the comparison page
+ */
+function compareSelected() {
+  const ids = [...state.selected].join(',');
+  chrome.runtime.sendMessage({ action: 'openTab', url: chrome.runtime.getURL(`compare/compare.html?ids=${ids}`) });
+}
+
+/**
+ * Remove every selected job from the shortlist. The WaterlooWorks folder can
+ * only be changed from the postings page, so the removals are queued for the
+ * next postings tab that shows each job.
+ */
+async function removeSelected() {
+  const count = state.selected.size;
+  if (!confirm(`Remove ${count} job${count === 1 ? '' : 's'} from your shortlist?`)) return;
+
+  const ids = [...state.selected];
+  const settings = await window.AzureStorage.getSettings(['shortlistFolderSync']);
+  if (settings.shortlistFolderSync !== false) {
+    await window.AzureStorage.queueFolderChanges(Object.fromEntries(ids.map(id => [id, false])));
+  }
+
+  for (const id of ids) {
+    await window.AzureStorage.removeShortlistRecord(id);
+    delete state.records[id];
+    state.selected.delete(id);
+  }
+
+  renderTermOptions();
+  render();
+}
+
+/**
+ * Load shortlist records from storage
+ */
+async function loadShortlist() {
+  try {
+    state.records = await window.AzureStorage.getShortlist();
+    state.notes = await window.AzureStorage.getNotes();
+    renderTermOptions();
+    render();
+  } catch (error) {
+    console.error('[Azure Shortlist] Failed to load shortlist:', error);
+    elements.summary.textContent = 'Failed to load shortlist';
+  }
+}
+
+/**
+ * Initialize event listeners
+ */
+function initEventListeners() {
+  elements.filterText.addEventListener('input', (e) => {
+    state.filterText = e.target.value.trim();
+    render();
+  });
+
+  elements.filterTerm.addEventListener('change', (e) => {
+    state.filterTerm = e.target.value;
+    render();
+  });
+
+  elements.sortBy.addEventListener('change', (e) => {
+    state.sortBy = e.target.value;
+    render();
+  });
+
+  elements.selectAll.addEventListener('change', (e) => {
+    getVisibleRecords().forEach(record => {
+      if (e.target.checked) {
+        state.selected.add(record.id);
+      } else {
+        state.selected.delete(record.id);
+      }
+    });
+    render();
+  });
+
+  elements.exportSelected.addEventListener('click', exportSelected);
+  elements.calendarExport.addEventListener('click', exportDeadlines);
+  elements.compareSelected.addEventListener('click', compareSelected);
+  elements.openSelected.addEventListener('click', openSelected);
+  elements.removeSelected.addEventListener('click', removeSelected);
+
+  // Stay current with stars toggled on WaterlooWorks
+  window.AzureStorage.onShortlistChanged((changes) => {
+    for (const [jobId, { newValue }] of Object.entries(changes)) {
+      if (newValue) {
+        state.records[jobId] = newValue;
+      } else {
+        delete state.records[jobId];
+      }
+    }
+    renderTermOptions();
+    render();
+  });
+
+  window.AzureStorage.onNotesChanged((changes) => {
+    for (const [jobId, { newValue }] of Object.entries(changes)) {
+      if (newValue) {
+        state.notes[jobId] = newValue;
+      } else {
+        delete state.notes[jobId];
+      }
+    }
+    render();
+  });
+}
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+  loadShortlist();
+  initEventListeners();
+});
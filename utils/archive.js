@@ -0,0 +1,157 @@
+/**
+ * Posting archive for WaterlooWorks Azure
+ * Keeps a copy of postings in the extension's IndexedDB so they can still be
+ * read after WaterlooWorks takes them down. Content scripts run in the
+ * WaterlooWorks origin, so they archive through the service worker; extension
+ * pages read the database directly. Change detection keeps its own snapshot
+ * of each posting opened, whatever the archive setting.
+ */
+
+const ARCHIVE_DB_NAME = 'waw-archive';
+const ARCHIVE_DB_VERSION = 2;
+const ARCHIVE_STORE = 'postings';
+const SNAPSHOT_STORE = 'snapshots';
+
+let archiveDbPromise = null;
+
+/**
+ * Open (and on first use create) the archive database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openArchive() {
+  if (!archiveDbPromise) {
+    archiveDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ARCHIVE_STORE)) {
+          const store = db.createObjectStore(ARCHIVE_STORE, { keyPath: 'id' });
+          store.createIndex('capturedAt', 'capturedAt');
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        archiveDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return archiveDbPromise;
+}
+
+/**
+ * Run a request against one of the archive's stores
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} makeRequest - Callback(store) returning an IDBRequest
+ * @param {string} storeName - Store to use, the postings by default
+ * @returns {Promise<*>} The request's result
+ */
+async function withArchiveStore(mode, makeRequest, storeName = ARCHIVE_STORE) {
+  const db = await openArchive();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get one archived posting
+ * @param {string} jobId - WaterlooWorks job ID
+ * @returns {Promise<object|null>}
+ */
+async function getArchivedPosting(jobId) {
+  const entry = await withArchiveStore('readonly', store => store.get(String(jobId)));
+  return entry || null;
+}
+
+/**
+ * Get every archived posting, most recently captured first
+ * @returns {Promise<object[]>}
+ */
+async function getArchivedPostings() {
+  const entries = await withArchiveStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.capturedAt - a.capturedAt);
+}
+
+/**
+ * Save a posting as captured from its modal
+ * @param {object} posting - { id, title, employer, url, fields, sections }
+ * @returns {Promise<object>} The stored entry
+ */
+async function archivePosting(posting) {
+  const id = String(posting.id);
+  const existing = await getArchivedPosting(id);
+  const now = Date.now();
+
+  const entry = {
+    id,
+    title: posting.title || (existing && existing.title) || '',
+    employer: posting.employer || (existing && existing.employer) || '',
+    url: posting.url || (existing && existing.url) || '',
+    fields: posting.fields || {},
+    sections: posting.sections || [],
+    capturedAt: now,
+    firstCapturedAt: existing ? existing.firstCapturedAt : now
+  };
+
+  await withArchiveStore('readwrite', store => store.put(entry));
+  return entry;
+}
+
+/**
+ * Remove a posting from the archive
+ * @param {string} jobId - WaterlooWorks job ID
+ */
+async function deleteArchivedPosting(jobId) {
+  await withArchiveStore('readwrite', store => store.delete(String(jobId)));
+}
+
+/**
+ * Get the snapshot a posting was last compared against, falling back to its
+ * archived copy for postings opened before snapshots were kept
+ * @param {string} jobId - WaterlooWorks job ID
+ * @returns {Promise<object|null>} { id, fields, sections, capturedAt }
+ */
+async function getPostingSnapshot(jobId) {
+  const snapshot = await withArchiveStore('readonly', store => store.get(String(jobId)), SNAPSHOT_STORE);
+  return snapshot || getArchivedPosting(jobId);
+}
+
+/**
+ * Save the snapshot to compare a posting against next time it's opened
+ * @param {object} posting - { id, fields, sections }
+ * @returns {Promise<object>} The stored snapshot
+ */
+async function savePostingSnapshot(posting) {
+  const snapshot = {
+    id: String(posting.id),
+    fields: posting.fields || {},
+    sections: posting.sections || [],
+    capturedAt: Date.now()
+  };
+
+  await withArchiveStore('readwrite', store => store.put(snapshot), SNAPSHOT_STORE);
+  return snapshot;
+}
+
+// Export for use in other scripts (window in pages, self in the service worker)
+const AzureArchiveExports = {
+  getArchivedPosting,
+  getArchivedPostings,
+  archivePosting,
+  deleteArchivedPosting,
+  getPostingSnapshot,
+  savePostingSnapshot
+};
+
+if (typeof window !== 'undefined') {
+  window.AzureArchive = AzureArchiveExports;
+} else if (typeof self !== 'undefined') {
+  self.AzureArchive = AzureArchiveExports;
+}
@@ -0,0 +1,181 @@
+/**
+ * Calendar export for WaterlooWorks Azure
+ * Builds iCalendar (.ics) files for application deadlines and interviews.
+ * Times are written as Toronto wall-clock times with the zone's rules
+ * included, so calendars place them correctly across daylight saving.
+ * Needs utils/deadlines.js.
+ */
+
+const CALENDAR_PRODUCT_ID = '-//WaterlooActuallyWorks//Calendar Export//EN';
+const CALENDAR_UID_DOMAIN = 'waterlooactuallyworks';
+
+// Deadlines show as a short block ending at the deadline
+const DEADLINE_EVENT_MINUTES = 30;
+const DEFAULT_INTERVIEW_MINUTES = 30;
+
+// America/Toronto's rules since 2007
+const TORONTO_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:America/Toronto',
+  'X-LIC-LOCATION:America/Toronto',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+function padCalendarNumber(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Format a timestamp as an iCalendar date-time
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {boolean} toronto - Toronto wall-clock time rather than UTC
+ * @returns {string} e.g. "20250122T090000" or "20250122T140000Z"
+ */
+function formatCalendarTime(timestamp, toronto = true) {
+  const offset = toronto ? window.AzureDeadlines.getTimeZoneOffset(timestamp) : 0;
+  const date = new Date(timestamp + offset);
+  const text = `${date.getUTCFullYear()}${padCalendarNumber(date.getUTCMonth() + 1)}${padCalendarNumber(date.getUTCDate())}` +
+    `T${padCalendarNumber(date.getUTCHours())}${padCalendarNumber(date.getUTCMinutes())}${padCalendarNumber(date.getUTCSeconds())}`;
+  return toronto ? text : `${text}Z`;
+}
+
+function escapeCalendarText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, as RFC 5545 requires
+ * @param {string} line - Unfolded line
+ * @returns {string}
+ */
+function foldCalendarLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their 75
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build an .ics file
+ * @param {object[]} events - { uid, start, end, title, description, location, url, alarmMinutes }
+ * @returns {string}
+ */
+function buildCalendar(events) {
+  const stamp = formatCalendarTime(Date.now(), false);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${CALENDAR_PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  lines.push(...TORONTO_VTIMEZONE);
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@${CALENDAR_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=America/Toronto:${formatCalendarTime(event.start)}`,
+      `DTEND;TZID=America/Toronto:${formatCalendarTime(event.end)}`,
+      `SUMMARY:${escapeCalendarText(event.title)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeCalendarText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeCalendarText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.alarmMinutes) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeCalendarText(event.title)}`,
+        `TRIGGER:-PT${event.alarmMinutes}M`, 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldCalendarLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Calendar event for a job's application deadline
+ * @param {object} job - { id, title, employer, url, deadline }
+ * @returns {object|null} Event, or null if the deadline can't be parsed
+ */
+function createDeadlineEvent(job) {
+  const deadline = window.AzureDeadlines.parseDeadlineDate(job.deadline);
+  if (!deadline) return null;
+
+  const name = [job.title || `Job ${job.id}`, job.employer].filter(Boolean).join(' · ');
+  return {
+    uid: `deadline-${job.id}`,
+    start: deadline - DEADLINE_EVENT_MINUTES * 60 * 1000,
+    end: deadline,
+    title: `Apply: ${name}`,
+    description: [`Application deadline: ${job.deadline}`, `Job ID ${job.id}`, job.url].filter(Boolean).join('\n'),
+    url: job.url,
+    alarmMinutes: 24 * 60
+  };
+}
+
+/**
+ * Calendar event for a booked interview
+ * @param {object} interview - { id, title, employer, start, end, location, type, url }
+ * @returns {object}
+ */
+function createInterviewEvent(interview) {
+  const name = [interview.title, interview.employer].filter(Boolean).join(' · ') || 'Co-op interview';
+  return {
+    uid: `interview-${interview.id || interview.start}`,
+    start: interview.start,
+    end: interview.end || interview.start + DEFAULT_INTERVIEW_MINUTES * 60 * 1000,
+    title: `Interview: ${name}`,
+    description: [interview.type, interview.id && `Job ID ${interview.id}`, interview.url].filter(Boolean).join('\n'),
+    location: interview.location,
+    url: interview.url,
+    alarmMinutes: 60
+  };
+}
+
+/**
+ * Download events as an .ics file
+ * @param {object[]} events - Calendar events
+ * @param {string} filename - File name without extension
+ */
+function downloadCalendar(events, filename) {
+  window.AzureExport.downloadTextFile(`${filename}.ics`, buildCalendar(events), 'text/calendar');
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AzureCalendar = {
+    buildCalendar,
+    createDeadlineEvent,
+    createInterviewEvent,
+    downloadCalendar
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Compensation Parser for WaterlooWorks Azure
+ * Turns the free-text "Compensation and Benefits" field into a pay range
+ * normalized to hourly and per-term figures, so postings can be compared.
+ */
+
+const HOURS_PER_WEEK = 40;
+const WEEKS_PER_TERM = 16;
+
+/**
+ * Pay periods, with how many working hours each one covers
+ */
+const PayPeriods = {
+  hour: { hours: 1, pattern: /\b(hour|hr|hourly)\b/i },
+  week: { hours: HOURS_PER_WEEK, pattern: /\b(week|wk|weekly)\b/i },
+  biweek: { hours: HOURS_PER_WEEK * 2, pattern: /\b(bi-?weekly|two weeks|2 weeks)\b/i },
+  month: { hours: HOURS_PER_WEEK * 52 / 12, pattern: /\b(month|mo|monthly)\b/i },
+  term: { hours: HOURS_PER_WEEK * WEEKS_PER_TERM, pattern: /\b(term|4 months)\b/i },
+  year: { hours: HOURS_PER_WEEK * 52, pattern: /\b(year|yr|annual|annually|annum|salary)\b/i }
+};
+
+// Hourly rates outside this range mean the period was misread
+const MIN_PLAUSIBLE_HOURLY = 5;
+const MAX_PLAUSIBLE_HOURLY = 300;
+
+const UNPAID_PATTERN = /\b(unpaid|volunteer|no (pay|compensation|salary)|not paid)\b/i;
+
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+|\\d+)(\\.\\d+)?\\s*(k)?\\b';
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to)\\s*';
+const DOLLAR_RANGE_PATTERN = new RegExp(`\\$\\s*${AMOUNT}(?:${RANGE_SEPARATOR}\\$?\\s*${AMOUNT})?`, 'i');
+// Amounts without a dollar sign only count when a pay period follows, e.g. "25-30 per hour"
+const BARE_RANGE_PATTERN = new RegExp(`\\b${AMOUNT}(?:${RANGE_SEPARATOR}${AMOUNT})?\\s*(?:/|per|an|a)\\s*(?:hour|hr|week|month|year|annum|term)`, 'i');
+
+/**
+ * Convert regex groups (whole, decimals, k) into a number
+ * @returns {number|null}
+ */
+function parsePayAmount(whole, decimals, thousands) {
+  if (!whole) return null;
+  const amount = parseFloat(whole.replace(/,/g, '') + (decimals || ''));
+  return thousands ? amount * 1000 : amount;
+}
+
+/**
+ * Work out the pay period the text near an amount names
+ * @param {string} text - Text after the amount
+ * @param {number} amount - Largest amount in the range
+ * @returns {string|null} Key of PayPeriods
+ */
+function detectStatedPayPeriod(text, amount) {
+  // biweek is checked before week so "bi-weekly" isn't read as weekly
+  // and a stray "4 months" can't turn $25 into $0.04/hr
+  const order = ['hour', 'biweek', 'week', 'month', 'term', 'year'];
+  return order.find(key => {
+    const hourly = amount / PayPeriods[key].hours;
+    return PayPeriods[key].pattern.test(text) && hourly >= MIN_PLAUSIBLE_HOURLY && hourly <= MAX_PLAUSIBLE_HOURLY;
+  }) || null;
+}
+
+/**
+ * Work out the pay period from the text near an amount, falling back to its size
+ * @param {string} text - Text after the amount
+ * @param {number} amount - Largest amount in the range
+ * @returns {string|null} Key of PayPeriods
+ */
+function detectPayPeriod(text, amount) {
+  const period = detectStatedPayPeriod(text, amount);
+  if (period) return period;
+
+  // No unit given: only guess where the amount can't reasonably mean anything else
+  if (amount <= 200) return 'hour';
+  if (amount >= 30000) return 'year';
+  return null;
+}
+
+/**
+ * Parse a compensation field
+ * @param {string} text - Compensation and Benefits text from the posting
+ * @returns {object} { status: 'paid'|'unpaid'|'unspecified', min, max, period, hourlyMin, hourlyMax, termMin, termMax }
+ */
+function parseCompensation(text) {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+
+  const amounts = findPayAmounts(value);
+  if (amounts.length === 0) {
+    return { status: UNPAID_PATTERN.test(value) ? 'unpaid' : 'unspecified' };
+  }
+
+  // The amount a pay period follows is the pay ("$1,000 signing bonus; $28/hr"),
+  // otherwise the first one, with the unit looked for in the whole text
+  const stated = amounts.find(amount => amount.max && detectStatedPayPeriod(amount.after, amount.max));
+  const { min, max, after } = stated || amounts[0];
+
+  if (!max) return { status: 'unpaid' };
+
+  const period = detectPayPeriod(after, max) || detectPayPeriod(value, max);
+
+  const result = { status: 'paid', min, max, period };
+  if (period) {
+    const hours = PayPeriods[period].hours;
+    const round = amount => Math.round(amount * 100) / 100;
+    result.hourlyMin = round(min / hours);
+    result.hourlyMax = round(max / hours);
+    result.termMin = Math.round(min / hours * PayPeriods.term.hours);
+    result.termMax = Math.round(max / hours * PayPeriods.term.hours);
+  }
+
+  return result;
+}
+
+/**
+ * Find every dollar amount or range in a compensation field, with the text
+ * that follows each up to the next amount
+ * @param {string} value - Compensation text, whitespace collapsed
+ * @returns {object[]} { min, max, after }
+ */
+function findPayAmounts(value) {
+  let matches = [...value.matchAll(new RegExp(DOLLAR_RANGE_PATTERN.source, 'gi'))];
+  if (matches.length === 0) {
+    const bare = value.match(BARE_RANGE_PATTERN);
+    matches = bare ? [bare] : [];
+  }
+
+  return matches.map(match => {
+    const first = parsePayAmount(match[1], match[2], match[3]);
+    const second = parsePayAmount(match[4], match[5], match[6] || match[3]);
+    const end = match.index + match[0].length;
+
+    return {
+      min: second !== null ? Math.min(first, second) : first,
+      max: second !== null ? Math.max(first, second) : first,
+      // The unit usually follows the amount ("$25/hr")
+      after: value.slice(end, end + 30).split('$')[0]
+    };
+  });
+}
+
+/**
+ * Format a dollar range, e.g. "$25.00–30.00"
+ * @param {number} min - Low end
+ * @param {number} max - High end
+ * @param {number} digits - Decimal places
+ * @returns {string}
+ */
+function formatPayRange(min, max, digits = 0) {
+  const format = amount => amount.toLocaleString(undefined, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+  return min === max ? `$${format(min)}` : `$${format(min)}–${format(max)}`;
+}
+
+/**
+ * Format parsed pay for display
+ * @param {object} pay - Result of parseCompensation
+ * @returns {string} e.g. "$25.00–30.00/hr · $16,000–19,200/term"
+ */
+function formatPay(pay) {
+  if (!pay || pay.status === 'unspecified') return 'Not specified';
+  if (pay.status === 'unpaid') return 'Unpaid';
+  if (pay.hourlyMin === undefined) return `${formatPayRange(pay.min, pay.max)} (period not stated)`;
+
+  return `${formatPayRange(pay.hourlyMin, pay.hourlyMax, 2)}/hr · ${formatPayRange(pay.termMin, pay.termMax)}/term`;
+}
+
+/**
+ * Sort key for pay: hourly low end, unpaid as zero, unknown as null
+ * @param {object} pay - Result of parseCompensation
+ * @returns {number|null}
+ */
+function getPaySortValue(pay) {
+  if (!pay) return null;
+  if (pay.status === 'unpaid') return 0;
+  return pay.hourlyMin ?? null;
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AzureCompensation = {
+    PayPeriods,
+    parseCompensation,
+    formatPay,
+    getPaySortValue
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Deadline parsing for WaterlooWorks Azure
+ * WaterlooWorks shows deadlines as Toronto wall-clock times in a few formats,
+ * e.g. "Jan 22, 2025 09:00 AM", "January 22, 2025 11:59 PM EST" or
+ * "2025-01-22 09:00". These are turned into real timestamps whatever the
+ * browser's own time zone.
+ */
+
+const EASTERN_TIME_ZONE = 'America/Toronto';
+
+const DEADLINE_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Deadlines without a time are due at the end of the day
+const DEFAULT_DEADLINE_TIME = { hour: 23, minute: 59 };
+
+const DEADLINE_DATE_PATTERNS = [
+  // 2025-01-22
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/, parts: m => ({ year: m[1], month: m[2] - 1, day: m[3] }) },
+  // Jan 22, 2025 / January 22 2025
+  { pattern: /\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/, parts: m => ({ year: m[3], month: getMonthIndex(m[1]), day: m[2] }) },
+  // 22 Jan 2025 / 22-Jan-2025
+  { pattern: /\b(\d{1,2})[\s-]([a-z]{3,9})\.?,?[\s-](\d{4})\b/, parts: m => ({ year: m[3], month: getMonthIndex(m[2]), day: m[1] }) },
+  // 01/22/2025
+  { pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/, parts: m => ({ year: m[3], month: m[1] - 1, day: m[2] }) }
+];
+
+const DEADLINE_TIME_PATTERN = /\b(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm|a\.m\.|p\.m\.)?/;
+
+function getMonthIndex(name) {
+  const index = DEADLINE_MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index >= 0 ? index : null;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} e.g. -5 hours for Toronto in winter
+ */
+function getTimeZoneOffset(timestamp, timeZone = EASTERN_TIME_ZONE) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Timestamp of a Toronto wall-clock time, across daylight saving changes
+ * @returns {number} Milliseconds since epoch
+ */
+function easternTimeToTimestamp(year, month, day, hour, minute) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  // Guess with the offset at the wall-clock time, then correct once near a DST change
+  let timestamp = wallClock - getTimeZoneOffset(wallClock);
+  timestamp = wallClock - getTimeZoneOffset(timestamp);
+  return timestamp;
+}
+
+/**
+ * Parse a WaterlooWorks deadline as Toronto time. Zone suffixes are ignored:
+ * "EST" is shown all year, so the date itself decides between EST and EDT.
+ * @param {string} value - Deadline text as shown on WaterlooWorks
+ * @returns {number|null} Timestamp, or null if it can't be parsed
+ */
+function parseDeadlineDate(value) {
+  if (!value) return null;
+  const text = String(value).toLowerCase();
+
+  let date = null;
+  for (const { pattern, parts } of DEADLINE_DATE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      date = parts(match);
+      if (date.month !== null) break;
+      date = null;
+    }
+  }
+  if (!date) return null;
+
+  let { hour, minute } = DEFAULT_DEADLINE_TIME;
+  const time = text.match(DEADLINE_TIME_PATTERN);
+  if (time) {
+    hour = Number(time[1]);
+    minute = Number(time[2]);
+    const meridiem = time[3] ? time[3][0] : null;
+    if (meridiem === 'p' && hour < 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+  }
+
+  const year = Number(date.year);
+  const month = Number(date.month);
+  const day = Number(date.day);
+  if (month < 0 || month > 11 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+
+  return easternTimeToTimestamp(year, month, day, hour, minute);
+}
+
+/**
+ * Format a deadline timestamp in Toronto time, e.g. "Wed, Jan 22, 9:00 AM EST"
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatDeadline(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    timeZone: EASTERN_TIME_ZONE,
+    weekday: 'short', month: 'short', day: 'numeric',
+    hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+  });
+}
+
+// Export for use in other scripts (window in pages, self in the service worker)
+const AzureDeadlinesExports = {
+  EASTERN_TIME_ZONE,
+  getTimeZoneOffset,
+  parseDeadlineDate,
+  formatDeadline
+};
+
+if (typeof window !== 'undefined') {
+  window.AzureDeadlines = AzureDeadlinesExports;
+} else if (typeof self !== 'undefined') {
+  self.AzureDeadlines = AzureDeadlinesExports;
+}
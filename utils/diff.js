@@ -0,0 +1,105 @@
+/**
+ * Text diffing for WaterlooWorks Azure
+ * Word-level diff of two versions of a posting section, for showing what an
+ * employer edited.
+ */
+
+// Past this many comparisons the changed middle is shown as one replacement
+const DIFF_MAX_CELLS = 250000;
+
+/**
+ * Split text into words and the whitespace between them, so joining the
+ * tokens gives back the original text
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function tokenizeDiffText(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Merge neighbouring parts of the same type
+ * @param {object[]} parts - { type, text }
+ * @returns {object[]}
+ */
+function mergeDiffParts(parts) {
+  const merged = [];
+  for (const part of parts) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === part.type) {
+      last.text += part.text;
+    } else if (part.text) {
+      merged.push({ ...part });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {object[]} Parts { type: 'same' | 'removed' | 'added', text }
+ */
+function diffWords(before, after) {
+  const a = tokenizeDiffText(before);
+  const b = tokenizeDiffText(after);
+
+  // Edits are usually local, so only the middle needs the full comparison
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = { type: 'same', text: a.slice(0, start).join('') };
+  const tail = { type: 'same', text: a.slice(endA).join('') };
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > DIFF_MAX_CELLS) {
+    return mergeDiffParts([head, { type: 'removed', text: midA.join('') }, { type: 'added', text: midB.join('') }, tail]);
+  }
+
+  // Longest common subsequence table, filled from the end
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = midA[i] === midB[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const parts = [head];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      parts.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      parts.push({ type: 'removed', text: midA[i++] });
+    } else {
+      parts.push({ type: 'added', text: midB[j++] });
+    }
+  }
+  while (i < midA.length) parts.push({ type: 'removed', text: midA[i++] });
+  while (j < midB.length) parts.push({ type: 'added', text: midB[j++] });
+  parts.push(tail);
+
+  return mergeDiffParts(parts);
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AzureDiff = {
+    diffWords
+  };
+}
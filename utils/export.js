@@ -0,0 +1,299 @@
+/**
+ * Posting Export for WaterlooWorks Azure
+ * Formats postings as Markdown, JSON or a print-styled HTML page. A posting is
+ * { id, title, employer, url, fields, sections }, where fields maps the
+ * rearranger's field keys (duration, location, ...) to values and sections is
+ * the ordered list of { label, key, text } shown in the posting. An optional
+ * notice is printed under the title, e.g. when only part of a posting is known.
+ */
+
+/**
+ * Display names for the rearranger's field keys, in the order they're summarized
+ */
+const ExportFieldLabels = {
+  duration: 'Work Term Duration',
+  work_term: 'Work Term',
+  location: 'Location',
+  city: 'City',
+  province: 'Province / State',
+  country: 'Country',
+  address: 'Address',
+  postal: 'Postal / Zip Code',
+  arrangement: 'Location Arrangement',
+  compensation: 'Compensation and Benefits',
+  deadline: 'Application Deadline',
+  method: 'Application Delivery',
+  external_url: 'Apply At',
+  organization: 'Organization',
+  job_description: 'Job Summary',
+  responsibilities: 'Job Responsibilities',
+  required_skills: 'Required Skills',
+  targeted_degrees: 'Targeted Degrees and Disciplines'
+};
+
+// Short fields listed in the summary table; everything else is a section
+const EXPORT_SUMMARY_KEYS = ['organization', 'work_term', 'duration', 'location', 'arrangement', 'compensation', 'deadline', 'method', 'external_url'];
+
+/**
+ * Fill in a posting's sections from its fields when only fields are known,
+ * e.g. for shortlist records captured without the full posting
+ * @param {object} posting - Posting to export
+ * @returns {object[]} Sections in display order
+ */
+function getExportSections(posting) {
+  if (posting.sections && posting.sections.length > 0) return posting.sections;
+
+  return Object.keys(ExportFieldLabels)
+    .filter(key => !EXPORT_SUMMARY_KEYS.includes(key) && posting.fields && posting.fields[key])
+    .map(key => ({ label: ExportFieldLabels[key], key, text: posting.fields[key] }));
+}
+
+function getExportSummary(posting) {
+  return EXPORT_SUMMARY_KEYS
+    .filter(key => posting.fields && posting.fields[key])
+    .map(key => ({ label: ExportFieldLabels[key], value: posting.fields[key] }));
+}
+
+/**
+ * Build an exportable posting for a shortlisted job, from its archived copy
+ * where there is one and otherwise the fields cached when it was last opened
+ * @param {object} record - Shortlist record
+ * @param {object} options - { parsed, archived, note, url }: the job's cached
+ *   fields, its archive entry, its note text and the link to it
+ * @returns {object} Posting
+ */
+function buildShortlistPosting(record, { parsed = null, archived = null, note = '', url = record.url } = {}) {
+  const fields = { ...(parsed || {}), ...(archived ? archived.fields : {}) };
+  delete fields.parsedAt;
+  // Shortlist records may be newer than the cache for what they hold
+  if (record.employer) fields.organization = record.employer;
+  if (record.location) fields.location = record.location;
+  if (record.deadline) fields.deadline = record.deadline;
+  if (record.term) fields.work_term = record.term;
+
+  return {
+    id: record.id,
+    title: record.title,
+    employer: record.employer,
+    url,
+    fields,
+    sections: archived ? archived.sections : [],
+    notice: archived && archived.sections.length > 0
+      ? ''
+      : 'The full posting was never captured, so only its summary fields are included. Open it on WaterlooWorks to save the rest.',
+    pay: record.pay,
+    note
+  };
+}
+
+/**
+ * Format one or more postings as Markdown
+ * @param {object|object[]} postings - Posting or list of postings
+ * @returns {string}
+ */
+function buildPostingMarkdown(postings) {
+  const escapeCell = value => String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, '<br>');
+
+  return [].concat(postings).map(posting => {
+    const lines = [`# ${posting.title || `Job ${posting.id}`}`, ''];
+
+    const byline = [posting.employer, posting.id && `Job ID ${posting.id}`, posting.url && `[View on WaterlooWorks](${posting.url})`];
+    lines.push(byline.filter(Boolean).join(' · '), '');
+    if (posting.notice) lines.push(`> ${posting.notice}`, '');
+
+    const summary = getExportSummary(posting);
+    if (summary.length > 0) {
+      lines.push('| Field | Value |', '| --- | --- |');
+      summary.forEach(row => lines.push(`| ${row.label} | ${escapeCell(row.value)} |`));
+      lines.push('');
+    }
+
+    for (const section of getExportSections(posting)) {
+      if (section.key && EXPORT_SUMMARY_KEYS.includes(section.key)) continue;
+      lines.push(`## ${section.label}`, '', section.text.trim(), '');
+    }
+
+    if (posting.note) lines.push('## My Notes', '', posting.note.trim(), '');
+
+    return lines.join('\n');
+  }).join('\n---\n\n');
+}
+
+/**
+ * Build a JSON record keyed like the rearranger's LABEL_TO_KEY values
+ * @param {object} posting - Posting to export
+ * @returns {object}
+ */
+function buildPostingRecord(posting) {
+  const record = { id: posting.id, title: posting.title || null, url: posting.url || null };
+  if (posting.notice) record.notice = posting.notice;
+
+  // Long sections keep every paragraph, which the parsed field value doesn't
+  const sectionText = {};
+  const other = {};
+  for (const section of posting.sections || []) {
+    if (section.key) {
+      sectionText[section.key] = section.text;
+    } else {
+      // Labels the rearranger doesn't know, so nothing in the posting is lost
+      other[section.label] = section.text;
+    }
+  }
+
+  for (const key of Object.keys(ExportFieldLabels)) {
+    const text = EXPORT_SUMMARY_KEYS.includes(key) ? null : sectionText[key];
+    record[key] = text || (posting.fields && posting.fields[key]) || null;
+  }
+
+  if (Object.keys(other).length > 0) record.other_fields = other;
+
+  if (posting.note) record.note = posting.note;
+  if (posting.pay) record.pay = posting.pay;
+  record.exported_at = new Date().toISOString();
+  return record;
+}
+
+/**
+ * Format one or more postings as JSON
+ * @param {object|object[]} postings - Posting or list of postings
+ * @returns {string}
+ */
+function buildPostingJson(postings) {
+  const records = Array.isArray(postings) ? postings.map(buildPostingRecord) : buildPostingRecord(postings);
+  return JSON.stringify(records, null, 2);
+}
+
+function escapeExportHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format one or more postings as a standalone, print-styled HTML page
+ * @param {object|object[]} postings - Posting or list of postings
+ * @returns {string}
+ */
+function buildPostingHtml(postings) {
+  const list = [].concat(postings);
+  const title = list.length === 1 ? list[0].title || `Job ${list[0].id}` : `${list.length} WaterlooWorks postings`;
+  const paragraphs = text => escapeExportHtml(text.trim()).split(/\n{2,}/).map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`).join('');
+
+  const articles = list.map(posting => {
+    const summary = getExportSummary(posting)
+      .map(row => `<tr><th>${escapeExportHtml(row.label)}</th><td>${escapeExportHtml(row.value)}</td></tr>`)
+      .join('');
+    const sections = getExportSections(posting)
+      .filter(section => !(section.key && EXPORT_SUMMARY_KEYS.includes(section.key)))
+      .map(section => `<section><h2>${escapeExportHtml(section.label)}</h2>${paragraphs(section.text)}</section>`)
+      .join('');
+    const byline = [posting.employer, posting.id && `Job ID ${posting.id}`].filter(Boolean).map(escapeExportHtml).join(' · ');
+    const link = posting.url ? ` · <a href="${escapeExportHtml(posting.url)}">View on WaterlooWorks</a>` : '';
+    const note = posting.note ? `<section class="note"><h2>My Notes</h2>${paragraphs(posting.note)}</section>` : '';
+
+    return `<article>
+  <h1>${escapeExportHtml(posting.title || `Job ${posting.id}`)}</h1>
+  <p class="byline">${byline}${link}</p>
+  ${posting.notice ? `<p class="notice">${escapeExportHtml(posting.notice)}</p>` : ''}
+  ${summary ? `<table>${summary}</table>` : ''}
+  ${sections}
+  ${note}
+</article>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeExportHtml(title)}</title>
+<style>
+  body { max-width: 800px; margin: 32px auto; padding: 0 24px; font: 15px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #222; }
+  h1 { margin: 0 0 4px; font-size: 26px; color: #1a5276; }
+  h2 { margin: 24px 0 8px; font-size: 17px; color: #1a5276; border-bottom: 1px solid #d6e4f0; padding-bottom: 4px; }
+  .byline { margin: 0 0 16px; color: #666; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th, td { padding: 6px 10px; border: 1px solid #d6e4f0; text-align: left; vertical-align: top; }
+  th { width: 30%; background: #eef4fa; font-weight: 600; }
+  .notice { padding: 8px 12px; border-left: 4px solid #e67e22; background: #fdf2e9; color: #7e5109; }
+  .note { background: #fef9e7; padding: 4px 16px; border-radius: 6px; }
+  article + article { margin-top: 48px; padding-top: 32px; border-top: 2px solid #1a5276; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11pt; }
+    a { color: inherit; }
+    article + article { page-break-before: always; border-top: none; margin-top: 0; padding-top: 0; }
+    section, tr { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+${articles}
+</body>
+</html>
+`;
+}
+
+/**
+ * File name for an export, e.g. "waterlooworks-123456-software-developer.md"
+ * @param {object|object[]} postings - Posting or list of postings
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+function getExportFilename(postings, extension) {
+  if (Array.isArray(postings)) {
+    return `waterlooworks-postings-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+  const slug = (postings.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50);
+  return `waterlooworks-${[postings.id, slug].filter(Boolean).join('-')}.${extension}`;
+}
+
+/**
+ * Download text as a file
+ * @param {string} filename - File name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadTextFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Export formats, for menus
+ */
+const ExportFormats = [
+  { id: 'markdown', label: 'Markdown', extension: 'md', type: 'text/markdown', build: buildPostingMarkdown },
+  { id: 'json', label: 'JSON', extension: 'json', type: 'application/json', build: buildPostingJson },
+  { id: 'html', label: 'Printable HTML', extension: 'html', type: 'text/html', build: buildPostingHtml }
+];
+
+/**
+ * Export postings in a format and download the result
+ * @param {object|object[]} postings - Posting or list of postings
+ * @param {string} formatId - ID from ExportFormats
+ */
+function exportPostings(postings, formatId) {
+  const format = ExportFormats.find(f => f.id === formatId);
+  if (!format) return;
+  downloadTextFile(getExportFilename(postings, format.extension), format.build(postings), format.type);
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AzureExport = {
+    ExportFieldLabels,
+    SummaryFieldKeys: EXPORT_SUMMARY_KEYS,
+    ExportFormats,
+    buildPostingMarkdown,
+    buildPostingJson,
+    buildPostingHtml,
+    buildShortlistPosting,
+    exportPostings,
+    downloadTextFile
+  };
+}
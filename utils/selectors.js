@@ -64,6 +64,17 @@ const Selectors = {
     selectAll: 'input[type="checkbox"][name="selectAll"], thead input[type="checkbox"]'
   },
 
+  // ============================================
+  // Folders ("Add to folder" menu on postings)
+  // ============================================
+  folders: {
+    buttonIcon: 'button i.material-icons',
+    menu: '.dropdown__menu, .dropdown--menu, [role="menu"], [role="dialog"] .folder-list',
+    option: '[role="menuitemcheckbox"], .dropdown__menu label, .dropdown--menu label, [role="menu"] label, .folder-list label',
+    optionCheckbox: 'input[type="checkbox"]',
+    newFolderInput: 'input[placeholder*="folder" i], input[name*="folder" i]'
+  },
+
   // ============================================
   // Applications
   // ============================================
@@ -84,6 +95,7 @@ const Selectors = {
     row: 'tbody tr',
     timeSlot: '.time-slot, .interview-time',
     location: '.location, .interview-location',
+    postingLink: 'a[href*="postingId="], a[href*="posting.htm"]',
     bookBtn: 'a[href*="book"], .book-btn'
   },
 
@@ -121,6 +133,17 @@ const Selectors = {
   }
 };
 
+/**
+ * Known addresses of the main WaterlooWorks pages, by page type. Pages not
+ * listed here are found through the site's own navigation links.
+ */
+const PageUrls = {
+  dashboard: 'https://waterlooworks.uwaterloo.ca/myAccount/dashboard.htm',
+  postings: 'https://waterlooworks.uwaterloo.ca/myAccount/co-op/coop-postings.htm',
+  applications: 'https://waterlooworks.uwaterloo.ca/myAccount/co-op/coopApplications.htm',
+  messages: 'https://waterlooworks.uwaterloo.ca/myAccount/messages.htm'
+};
+
 /**
  * Query a selector with fallbacks
  * @param {string} selectorString - Comma-separated selector string
@@ -191,9 +214,15 @@ function matchesSelector(element, selectorString) {
  * @returns {string} Page type identifier
  */
 function getCurrentPageType() {
-  const url = window.location.href;
-  const path = window.location.pathname;
-  
+  return getPageTypeFromPath(window.location.pathname);
+}
+
+/**
+ * Get the page type a URL path belongs to
+ * @param {string} path - URL path
+ * @returns {string} Page type identifier
+ */
+function getPageTypeFromPath(path) {
   if (path.includes('/home.htm') || path === '/') {
     return 'home';
   }
@@ -222,13 +251,29 @@ function getCurrentPageType() {
   return 'unknown';
 }
 
+/**
+ * Find the URL of a page type, preferring the site's own navigation links
+ * @param {string} pageType - Page type identifier
+ * @returns {string|null}
+ */
+function getPageUrl(pageType) {
+  const links = querySelectorAll(`${Selectors.global.navigation}, ${Selectors.global.header}`)
+    .flatMap(container => Array.from(container.querySelectorAll('a[href]')));
+
+  const link = links.find(a => a.origin === window.location.origin && getPageTypeFromPath(a.pathname) === pageType);
+  return link ? link.href : (PageUrls[pageType] || null);
+}
+
 // Export for use in other scripts
 if (typeof window !== 'undefined') {
   window.AzureSelectors = {
     Selectors,
+    PageUrls,
     querySelector,
     querySelectorAll,
     matchesSelector,
-    getCurrentPageType
+    getCurrentPageType,
+    getPageTypeFromPath,
+    getPageUrl
   };
 }
@@ -0,0 +1,140 @@
+/**
+ * Keyboard Shortcut Commands for WaterlooWorks Azure
+ * Every shortcut is a named command with default bindings. Users' rebinds are
+ * stored as overrides in the keyboardBindings setting, keyed by command ID.
+ */
+
+/**
+ * Command definitions. Scope says where a command runs: 'modal' while a
+ * posting is open, 'list' on the postings table, 'global' anywhere on
+ * WaterlooWorks; commands sharing a scope can't share a binding.
+ */
+const ShortcutCommands = [
+  { id: 'palette', label: 'Open command palette', scopes: ['global'], defaults: ['Ctrl+K', 'Meta+K'] },
+  { id: 'previous', label: 'Previous job', scopes: ['modal', 'list'], defaults: ['ArrowLeft', 'A'] },
+  { id: 'next', label: 'Next job', scopes: ['modal', 'list'], defaults: ['ArrowRight', 'D'] },
+  { id: 'shortlist', label: 'Shortlist / unshortlist', scopes: ['modal'], defaults: ['ArrowUp', 'W', 'S'] },
+  { id: 'close', label: 'Close posting', scopes: ['modal'], defaults: ['Escape'] },
+  { id: 'hide', label: 'Hide job', scopes: ['modal'], defaults: ['H'] },
+  { id: 'skipSeen', label: 'Toggle skipping seen jobs', scopes: ['modal'], defaults: [] },
+  // Same order as JobStatuses in storage.js
+  { id: 'status1', label: 'Status: Interested', scopes: ['modal'], defaults: ['1'] },
+  { id: 'status2', label: 'Status: Applied', scopes: ['modal'], defaults: ['2'] },
+  { id: 'status3', label: 'Status: Interviewing', scopes: ['modal'], defaults: ['3'] },
+  { id: 'status4', label: 'Status: Offer', scopes: ['modal'], defaults: ['4'] },
+  { id: 'status5', label: 'Status: Rejected', scopes: ['modal'], defaults: ['5'] },
+  { id: 'status6', label: 'Status: Withdrawn', scopes: ['modal'], defaults: ['6'] },
+  { id: 'clearStatus', label: 'Remove from shortlist', scopes: ['modal'], defaults: ['0'] }
+];
+
+const SHORTCUT_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// Keys that only make sense as part of a combination
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'OS', 'AltGraph', 'CapsLock'];
+
+/**
+ * Convert a keydown event into a shortcut string such as "Ctrl+Shift+K"
+ * Letters are upper-cased and Shift is dropped for printable keys, so "a",
+ * "A" and Shift+A are the same shortcut.
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {string|null} Shortcut, or null for a bare modifier press
+ */
+function eventToShortcut(event) {
+  if (MODIFIER_KEYS.includes(event.key)) return null;
+
+  const key = event.key === ' ' ? 'Space' : event.key;
+  const printable = key.length === 1;
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey && !printable) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(printable ? key.toUpperCase() : key);
+
+  return parts.join('+');
+}
+
+/**
+ * Put a typed or stored shortcut into canonical form
+ * @param {string} shortcut - Shortcut such as "shift+ctrl+k"
+ * @returns {string}
+ */
+function normalizeShortcut(shortcut) {
+  const parts = shortcut.split('+').map(part => part.trim()).filter(Boolean);
+  const key = parts.pop() || '';
+  const modifiers = SHORTCUT_MODIFIERS.filter(mod =>
+    parts.some(part => part.toLowerCase() === mod.toLowerCase())
+  );
+
+  return [...modifiers, key.length === 1 ? key.toUpperCase() : key].join('+');
+}
+
+/**
+ * Format a shortcut for display
+ * @param {string} shortcut - Shortcut string
+ * @returns {string}
+ */
+function formatShortcut(shortcut) {
+  const symbols = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+  return shortcut.split('+').map(part => symbols[part] || part).join(' + ');
+}
+
+/**
+ * Merge stored overrides with the default bindings
+ * @param {object} overrides - Command ID -> shortcut list, from settings
+ * @returns {object} Command ID -> shortcut list for every command
+ */
+function getShortcutBindings(overrides = {}) {
+  const bindings = {};
+  for (const command of ShortcutCommands) {
+    const override = overrides && overrides[command.id];
+    bindings[command.id] = Array.isArray(override) ? override.map(normalizeShortcut) : [...command.defaults];
+  }
+  return bindings;
+}
+
+/**
+ * Check whether two commands can be triggered from the same place
+ * @param {object} a - Shortcut command
+ * @param {object} b - Shortcut command
+ * @returns {boolean}
+ */
+function shortcutScopesOverlap(a, b) {
+  if (a.scopes.includes('global') || b.scopes.includes('global')) return true;
+  return a.scopes.some(scope => b.scopes.includes(scope));
+}
+
+/**
+ * Find shortcuts bound to more than one command in the same scope
+ * @param {object} bindings - Command ID -> shortcut list
+ * @returns {object[]} List of { shortcut, commandIds }
+ */
+function findShortcutConflicts(bindings) {
+  const byShortcut = {};
+
+  for (const command of ShortcutCommands) {
+    for (const shortcut of bindings[command.id] || []) {
+      (byShortcut[shortcut] = byShortcut[shortcut] || []).push(command);
+    }
+  }
+
+  return Object.entries(byShortcut)
+    .filter(([, commands]) => commands.some((a, i) =>
+      commands.slice(i + 1).some(b => shortcutScopesOverlap(a, b))
+    ))
+    .map(([shortcut, commands]) => ({ shortcut, commandIds: commands.map(c => c.id) }));
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AzureShortcuts = {
+    ShortcutCommands,
+    eventToShortcut,
+    normalizeShortcut,
+    formatShortcut,
+    getShortcutBindings,
+    shortcutScopesOverlap,
+    findShortcutConflicts
+  };
+}
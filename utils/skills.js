@@ -0,0 +1,179 @@
+/**
+ * Skills Matching for WaterlooWorks Azure
+ * Matches the user's skills profile against posting text, fully offline.
+ * Synonyms let "JS" in a profile match "JavaScript" in a posting and vice versa.
+ */
+
+/**
+ * Groups of names that mean the same skill. Matching is case-insensitive,
+ * except for the ambiguous aliases below.
+ */
+const SkillSynonyms = [
+  ['javascript', 'js', 'ecmascript', 'es6'],
+  ['typescript', 'ts'],
+  ['python', 'py', 'python3'],
+  ['c++', 'cpp', 'cplusplus'],
+  ['c#', 'csharp', 'c sharp'],
+  ['go', 'golang'],
+  ['objective-c', 'objc', 'obj-c'],
+  ['html', 'html5'],
+  ['css', 'css3'],
+  ['sql', 'structured query language'],
+  ['postgresql', 'postgres', 'psql'],
+  ['mongodb', 'mongo'],
+  ['react', 'react.js', 'reactjs'],
+  ['react native', 'react-native'],
+  ['vue', 'vue.js', 'vuejs'],
+  ['angular', 'angularjs', 'angular.js'],
+  ['node', 'node.js', 'nodejs'],
+  ['next.js', 'nextjs'],
+  ['express', 'express.js', 'expressjs'],
+  ['.net', 'dotnet', 'asp.net'],
+  ['kubernetes', 'k8s'],
+  ['amazon web services', 'aws'],
+  ['google cloud', 'gcp', 'google cloud platform'],
+  ['azure', 'microsoft azure'],
+  ['machine learning', 'ml'],
+  ['artificial intelligence', 'ai'],
+  ['natural language processing', 'nlp'],
+  ['computer vision'],
+  ['continuous integration', 'ci/cd', 'ci'],
+  ['tensorflow', 'tf'],
+  ['pytorch', 'torch'],
+  ['scikit-learn', 'sklearn'],
+  ['excel', 'microsoft excel', 'ms excel'],
+  ['powerpoint', 'microsoft powerpoint', 'ms powerpoint'],
+  ['autocad', 'auto cad'],
+  ['solidworks', 'solid works'],
+  ['matlab', 'mat lab'],
+  ['user experience', 'ux'],
+  ['user interface', 'ui'],
+  ['quality assurance', 'qa'],
+  ['object-oriented programming', 'oop', 'object oriented programming'],
+  ['restful apis', 'rest', 'rest api', 'restful']
+];
+
+/**
+ * Aliases that are also everyday words or abbreviations ("Submit your CV",
+ * "go to", "the rest of") only count written the way the skill is. Any other
+ * alias of one or two letters must be upper case, e.g. "AI" or "TS".
+ */
+const SkillAliasSpellings = {
+  go: 'Go(?!\\s+(?:to|ahead|through|over|back|beyond)\\b)',
+  rest: 'REST',
+  express: 'Express',
+  react: 'React',
+  excel: 'Excel'
+};
+
+/**
+ * Every name a profile term can appear as in a posting
+ * @param {string} term - Skill from the profile
+ * @returns {string[]} Lower-case aliases, including the term itself
+ */
+function getSkillAliases(term) {
+  const lower = term.trim().toLowerCase();
+  const group = SkillSynonyms.find(names => names.includes(lower));
+  return group ? [lower, ...group.filter(name => name !== lower)] : [lower];
+}
+
+/**
+ * Regex source for one alias: case-insensitive unless it's an ambiguous one
+ * @param {string} alias - Lower-case alias
+ * @returns {string}
+ */
+function getAliasSource(alias) {
+  if (SkillAliasSpellings[alias]) return SkillAliasSpellings[alias];
+  if (/^[a-z]{1,2}$/.test(alias)) return alias.toUpperCase();
+
+  // The pattern is case-sensitive, so letters match either case here
+  return alias.split(/\s+/)
+    .map(word => word.replace(/[a-z]|[.*+?^${}()|[\]\\/]/g, char =>
+      /[a-z]/.test(char) ? `[${char}${char.toUpperCase()}]` : `\\${char}`))
+    .join('\\s+');
+}
+
+/**
+ * Build a regex matching any alias of any term as a whole word
+ * Symbols count as part of a word so "C" doesn't match inside "C++" or "C#".
+ * @param {string[]} aliases - Lower-case aliases
+ * @returns {RegExp|null}
+ */
+function buildSkillPattern(aliases) {
+  if (aliases.length === 0) return null;
+
+  const sources = aliases
+    // Longest first so "react native" wins over "react"
+    .sort((a, b) => b.length - a.length)
+    .map(getAliasSource);
+
+  return new RegExp(`(?<![\\w+#.-])(?:${sources.join('|')})(?![\\w+#]|\\.\\w|-\\w)`, 'g');
+}
+
+/**
+ * Find which profile terms a piece of text mentions
+ * @param {string} text - Posting text
+ * @param {string[]} terms - Skills from the profile
+ * @returns {string[]} The terms (as the user wrote them) that appear in the text
+ */
+function findSkillMatches(text, terms) {
+  return terms.filter(term => {
+    const pattern = buildSkillPattern(getSkillAliases(term));
+    return pattern !== null && pattern.test(text || '');
+  });
+}
+
+/**
+ * Wrap every mention of a profile term inside an element in a <mark>
+ * @param {Element} element - Element to highlight in
+ * @param {string[]} terms - Skills from the profile
+ * @param {string} className - Class for the <mark> elements
+ * @returns {number} Number of highlights added
+ */
+function highlightSkills(element, terms, className = 'azure-skill-match') {
+  const pattern = buildSkillPattern(terms.flatMap(getSkillAliases));
+  if (!element || !pattern) return 0;
+
+  // Collect first: wrapping while walking would revisit the new nodes
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => node.parentElement.closest(`mark.${className}, script, style`)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  let count = 0;
+  for (const node of textNodes) {
+    const text = node.nodeValue;
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) continue;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+      const mark = document.createElement('mark');
+      mark.className = className;
+      mark.textContent = match[0];
+      fragment.appendChild(mark);
+      last = match.index + match[0].length;
+      count++;
+    }
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    node.parentNode.replaceChild(fragment, node);
+  }
+
+  return count;
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AzureSkills = {
+    SkillSynonyms,
+    getSkillAliases,
+    findSkillMatches,
+    highlightSkills
+  };
+}
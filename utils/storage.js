@@ -16,17 +16,40 @@ const StorageKeys = {
   LAYOUT_COMPACT: 'layoutCompact',
   BATCH_OPERATIONS: 'batchOperations',
   KEYBOARD_SHORTCUTS: 'keyboardShortcuts',
+  KEYBOARD_BINDINGS: 'keyboardBindings',
   STICKY_NAV: 'stickyNav',
   
   // Job posting settings
   HIGHLIGHT_NEW: 'highlightNew',
   OPEN_IN_NEW_TAB: 'openInNewTab',
   NEW_JOB_DAYS_THRESHOLD: 'newJobDaysThreshold',
+  SKIP_SEEN_JOBS: 'skipSeenJobs',
+  TABLE_COLUMNS: 'tableColumns',
+
+  // Shortlist settings
+  SHORTLIST_FOLDER_SYNC: 'shortlistFolderSync',
+  SHORTLIST_FOLDER_NAME: 'shortlistFolderName',
+  DEADLINE_REMINDERS: 'deadlineReminders',
+  DEADLINE_REMINDER_LEAD_HOURS: 'deadlineReminderLeadHours',
+  ARCHIVE_MODE: 'archiveMode',
+
+  // Hidden postings
+  BLOCKED_EMPLOYERS: 'blockedEmployers',
 
   // Job posting layout / rearranger
   JOB_REARRANGER_ENABLED: 'jobRearrangerEnabled',
   JOB_REARRANGER_PRIORITY_KEYS: 'jobRearrangerPriorityKeys',
   JOB_REARRANGER_STANDARD_ORDER: 'jobRearrangerStandardOrder',
+  JOB_REARRANGER_CUSTOM_FIELDS: 'jobRearrangerCustomFields',
+
+  // Skills profile, matched against postings
+  PROFILE_SKILLS: 'profileSkills',
+  PROFILE_LANGUAGES: 'profileLanguages',
+  PROFILE_FRAMEWORKS: 'profileFrameworks',
+  PROFILE_TARGET_ROLES: 'profileTargetRoles',
+  DEGREE_PROGRAM: 'degreeProgram',
+  DEGREE_LEVEL: 'degreeLevel',
+  DIM_NON_TARGETED: 'dimNonTargeted',
 
   // Messages settings
   HIGHLIGHT_UNREAD: 'highlightUnread',
@@ -46,13 +69,30 @@ const DefaultSettings = {
   [StorageKeys.LAYOUT_COMPACT]: false,
   [StorageKeys.BATCH_OPERATIONS]: true,
   [StorageKeys.KEYBOARD_SHORTCUTS]: true,
+  [StorageKeys.KEYBOARD_BINDINGS]: {},
   [StorageKeys.STICKY_NAV]: true,
   [StorageKeys.HIGHLIGHT_NEW]: true,
   [StorageKeys.OPEN_IN_NEW_TAB]: true,
   [StorageKeys.NEW_JOB_DAYS_THRESHOLD]: 7,
+  [StorageKeys.SKIP_SEEN_JOBS]: false,
+  [StorageKeys.TABLE_COLUMNS]: ['pay', 'city', 'duration', 'deadline', 'status'],
+  [StorageKeys.SHORTLIST_FOLDER_SYNC]: true,
+  [StorageKeys.SHORTLIST_FOLDER_NAME]: 'shortlist',
+  [StorageKeys.DEADLINE_REMINDERS]: true,
+  [StorageKeys.DEADLINE_REMINDER_LEAD_HOURS]: [72, 24, 3],
+  [StorageKeys.ARCHIVE_MODE]: 'opened',
+  [StorageKeys.BLOCKED_EMPLOYERS]: [],
   [StorageKeys.JOB_REARRANGER_ENABLED]: true,
   [StorageKeys.JOB_REARRANGER_PRIORITY_KEYS]: ['duration', 'location', 'compensation', 'deadline', 'method'],
   [StorageKeys.JOB_REARRANGER_STANDARD_ORDER]: ['job_description', 'responsibilities', 'required_skills', 'targeted_degrees'],
+  [StorageKeys.JOB_REARRANGER_CUSTOM_FIELDS]: [],
+  [StorageKeys.PROFILE_SKILLS]: [],
+  [StorageKeys.PROFILE_LANGUAGES]: [],
+  [StorageKeys.PROFILE_FRAMEWORKS]: [],
+  [StorageKeys.PROFILE_TARGET_ROLES]: [],
+  [StorageKeys.DEGREE_PROGRAM]: '',
+  [StorageKeys.DEGREE_LEVEL]: 'undergraduate',
+  [StorageKeys.DIM_NON_TARGETED]: false,
   [StorageKeys.HIGHLIGHT_UNREAD]: true,
   [StorageKeys.VERSION]: '5.0.0',
   [StorageKeys.FIRST_RUN]: true
@@ -129,14 +169,922 @@ function onSettingsChanged(callback) {
   chrome.storage.onChanged.addListener(callback);
 }
 
-// Export for use in other scripts
-if (typeof window !== 'undefined') {
-  window.AzureStorage = {
-    StorageKeys,
-    DefaultSettings,
-    getSettings,
-    saveSettings,
-    resetSettings,
-    onSettingsChanged
+/**
+ * Local storage key listing the per-job records that fell back to local
+ * storage, so reading them doesn't mean loading everything else kept there
+ */
+const LOCAL_RECORD_INDEX_KEY = 'localRecordKeys';
+
+/**
+ * Get the keys of per-job records held in local storage
+ * The index is built once from a full scan for records that fell back before
+ * it existed.
+ * @returns {Promise<string[]>}
+ */
+async function getLocalRecordKeys() {
+  const result = await chrome.storage.local.get(LOCAL_RECORD_INDEX_KEY);
+  if (Array.isArray(result[LOCAL_RECORD_INDEX_KEY])) return result[LOCAL_RECORD_INDEX_KEY];
+
+  const items = await chrome.storage.local.get(null);
+  const keys = Object.keys(items)
+    .filter(key => [SHORTLIST_KEY_PREFIX, NOTE_KEY_PREFIX].some(prefix => key.startsWith(prefix)));
+  await chrome.storage.local.set({ [LOCAL_RECORD_INDEX_KEY]: keys });
+  return keys;
+}
+
+/**
+ * Add and remove keys in the local record index
+ * @param {string[]} added - Keys now held in local storage
+ * @param {string[]} removed - Keys no longer held there
+ * @returns {Promise<void>}
+ */
+async function updateLocalRecordKeys(added, removed) {
+  const keys = new Set(await getLocalRecordKeys());
+  const size = keys.size;
+  added.forEach(key => keys.add(key));
+  removed.forEach(key => keys.delete(key));
+
+  if (keys.size !== size || added.length > 0) {
+    await chrome.storage.local.set({ [LOCAL_RECORD_INDEX_KEY]: [...keys] });
+  }
+}
+
+/**
+ * Get every per-job record stored under a key prefix
+ * Records that fell back to local storage are merged in. A record only lives
+ * in one area, but sync wins should both have a copy.
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<object>} Map of job ID -> record
+ */
+async function getRecordsByPrefix(prefix) {
+  const records = {};
+
+  try {
+    const keys = (await getLocalRecordKeys()).filter(key => key.startsWith(prefix));
+    const items = keys.length > 0 ? await chrome.storage.local.get(keys) : {};
+    for (const [key, record] of Object.entries(items)) {
+      if (record) records[key.slice(prefix.length)] = record;
+    }
+  } catch (error) {
+    console.warn(`[Azure] Failed to read ${prefix} records from local storage:`, error);
+  }
+
+  try {
+    // Sync storage is small by design, so reading all of it is cheap
+    const items = await chrome.storage.sync.get(null);
+    for (const [key, record] of Object.entries(items)) {
+      if (key.startsWith(prefix) && record) {
+        records[key.slice(prefix.length)] = record;
+      }
+    }
+  } catch (error) {
+    console.warn(`[Azure] Failed to read ${prefix} records from sync storage:`, error);
+  }
+
+  return records;
+}
+
+/**
+ * Get a single per-job record
+ * @param {string} key - Storage key
+ * @returns {Promise<object|null>}
+ */
+async function getRecord(key) {
+  for (const area of ['sync', 'local']) {
+    try {
+      const result = await chrome.storage[area].get(key);
+      if (result[key]) return result[key];
+    } catch (error) {
+      console.warn(`[Azure] Failed to read ${key} from ${area} storage:`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Save per-job records, falling back to local storage when sync refuses them.
+ * The copy in the other area is removed, so a stale one never shadows the
+ * record just written.
+ * @param {object} items - Map of storage key -> record
+ * @returns {Promise<void>}
+ */
+async function setRecords(items) {
+  const keys = Object.keys(items);
+  let staleArea = 'local';
+  try {
+    await chrome.storage.sync.set(items);
+  } catch (error) {
+    console.warn('[Azure] Sync storage save failed, falling back to local:', error);
+    await chrome.storage.local.set(items);
+    staleArea = 'sync';
+  }
+
+  try {
+    await chrome.storage[staleArea].remove(keys);
+    await (staleArea === 'local' ? updateLocalRecordKeys([], keys) : updateLocalRecordKeys(keys, []));
+  } catch (error) {
+    console.warn(`[Azure] Failed to remove stale records from ${staleArea} storage:`, error);
+  }
+}
+
+/**
+ * Remove a per-job record from both storage areas
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+async function removeRecord(key) {
+  for (const area of ['sync', 'local']) {
+    try {
+      await chrome.storage[area].remove(key);
+    } catch (error) {
+      console.warn(`[Azure] Failed to remove ${key} from ${area} storage:`, error);
+    }
+  }
+
+  try {
+    await updateLocalRecordKeys([], [key]);
+  } catch (error) {
+    console.warn('[Azure] Failed to update local record index:', error);
+  }
+}
+
+/**
+ * Listen for changes to per-job records under a key prefix
+ * @param {string} prefix - Key prefix
+ * @param {function} callback - Callback function(changes, areaName), where changes
+ *   maps job ID -> { oldValue, newValue }; newValue is undefined when removed
+ */
+function onRecordsChanged(prefix, callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    const recordChanges = {};
+
+    for (const [key, change] of Object.entries(changes)) {
+      if (key.startsWith(prefix)) {
+        recordChanges[key.slice(prefix.length)] = change;
+      }
+    }
+
+    if (Object.keys(recordChanges).length > 0) {
+      callback(recordChanges, areaName);
+    }
+  });
+}
+
+/**
+ * Pipeline statuses a shortlisted job moves through, in order
+ */
+const JobStatuses = [
+  { id: 'interested', label: 'Interested', color: '#f39c12' },
+  { id: 'applied', label: 'Applied', color: '#3498db' },
+  { id: 'interviewing', label: 'Interviewing', color: '#9b59b6' },
+  { id: 'offer', label: 'Offer', color: '#27ae60' },
+  { id: 'rejected', label: 'Rejected', color: '#e74c3c' },
+  { id: 'withdrawn', label: 'Withdrawn', color: '#95a5a6' }
+];
+
+const DEFAULT_JOB_STATUS = 'interested';
+
+/**
+ * Prefix for shortlisted job records. Each job lives under its own key so a
+ * single record never runs into the sync per-item quota.
+ */
+const SHORTLIST_KEY_PREFIX = 'shortlist:';
+
+/**
+ * Prefix for private per-job notes
+ */
+const NOTE_KEY_PREFIX = 'note:';
+
+/**
+ * Get the storage key for a shortlisted job
+ * @param {string} jobId - WaterlooWorks job ID
+ * @returns {string}
+ */
+function getShortlistKey(jobId) {
+  return `${SHORTLIST_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * Check if a storage key holds a shortlisted job record
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+function isShortlistKey(key) {
+  return typeof key === 'string' && key.startsWith(SHORTLIST_KEY_PREFIX);
+}
+
+/**
+ * Get all shortlisted job records
+ * @returns {Promise<object>} Map of job ID -> record
+ */
+async function getShortlist() {
+  return getRecordsByPrefix(SHORTLIST_KEY_PREFIX);
+}
+
+/**
+ * Get a single shortlisted job record
+ * @param {string} jobId - WaterlooWorks job ID
+ * @returns {Promise<object|null>} Record, or null if the job is not shortlisted
+ */
+async function getShortlistRecord(jobId) {
+  return getRecord(getShortlistKey(jobId));
+}
+
+/**
+ * Add a job to the shortlist or update its record
+ * Empty fields never overwrite stored ones, so a sparse capture (e.g. from a
+ * table row) keeps the details captured earlier from the modal. Nothing is
+ * written when the capture matches what's stored, which spares the sync write
+ * quota and the reminder rescheduling every write sets off.
+ * @param {object} record - Job record; must include `id`
+ * @returns {Promise<object>} The stored record
+ */
+async function saveShortlistRecord(record) {
+  const id = String(record.id);
+  const existing = await getShortlistRecord(id);
+  const now = Date.now();
+
+  const merged = { ...existing };
+  for (const [field, value] of Object.entries(record)) {
+    if (value !== undefined && value !== null && value !== '') {
+      merged[field] = value;
+    }
+  }
+  merged.id = id;
+  merged.addedAt = existing?.addedAt || record.addedAt || now;
+  merged.updatedAt = now;
+
+  // Newly shortlisted jobs start the pipeline as Interested
+  if (!merged.status) {
+    merged.status = DEFAULT_JOB_STATUS;
+    merged.statusHistory = [{ status: DEFAULT_JOB_STATUS, at: merged.addedAt }];
+  }
+
+  if (existing && JSON.stringify({ ...merged, updatedAt: existing.updatedAt }) === JSON.stringify(existing)) {
+    return existing;
+  }
+
+  await setRecords({ [getShortlistKey(id)]: merged });
+  return merged;
+}
+
+/**
+ * Get the pipeline status of a shortlisted job
+ * Records saved before statuses existed count as Interested.
+ * @param {object} record - Shortlist record
+ * @returns {object} Entry from JobStatuses
+ */
+function getJobStatus(record) {
+  const id = record && record.status;
+  return JobStatuses.find(s => s.id === id) || JobStatuses.find(s => s.id === DEFAULT_JOB_STATUS);
+}
+
+/**
+ * Move a job to a pipeline status, shortlisting it if needed
+ * Every change is appended to the record's statusHistory with a timestamp.
+ * @param {object} record - Job record to save; must include `id`
+ * @param {string} status - Status ID from JobStatuses
+ * @returns {Promise<object>} The stored record
+ */
+async function setJobStatus(record, status) {
+  if (!JobStatuses.some(s => s.id === status)) {
+    throw new Error(`Unknown job status: ${status}`);
+  }
+
+  const existing = await getShortlistRecord(record.id);
+  const history = existing?.statusHistory || [];
+  const changed = existing?.status !== status;
+
+  return saveShortlistRecord({
+    ...record,
+    status,
+    statusHistory: changed ? [...history, { status, at: Date.now() }] : history
+  });
+}
+
+/**
+ * Remove a job from the shortlist
+ * @param {string} jobId - WaterlooWorks job ID
+ * @returns {Promise<void>}
+ */
+async function removeShortlistRecord(jobId) {
+  await removeRecord(getShortlistKey(jobId));
+}
+
+/**
+ * Local storage key for WaterlooWorks folder changes still to be made. The
+ * folder can only be changed from the postings page, so shortlist changes
+ * made elsewhere wait here until a postings tab shows the job.
+ */
+const FOLDER_QUEUE_KEY = 'shortlistFolderQueue';
+
+/**
+ * Get the folder changes still to be made
+ * @returns {Promise<object>} Map of job ID -> whether it belongs in the folder
+ */
+async function getFolderQueue() {
+  try {
+    const result = await chrome.storage.local.get(FOLDER_QUEUE_KEY);
+    return result[FOLDER_QUEUE_KEY] || {};
+  } catch (error) {
+    console.warn('[Azure] Failed to read folder queue:', error);
+    return {};
+  }
+}
+
+/**
+ * Queue folder changes; a later change to the same job replaces the earlier one
+ * @param {object} changes - Map of job ID -> whether it belongs in the folder
+ * @returns {Promise<void>}
+ */
+async function queueFolderChanges(changes) {
+  const queue = await getFolderQueue();
+  await chrome.storage.local.set({ [FOLDER_QUEUE_KEY]: { ...queue, ...changes } });
+}
+
+/**
+ * Take jobs off the folder queue
+ * @param {string[]} jobIds - WaterlooWorks job IDs
+ * @returns {Promise<void>}
+ */
+async function removeFromFolderQueue(jobIds) {
+  const queue = await getFolderQueue();
+  jobIds.forEach(jobId => delete queue[String(jobId)]);
+  await chrome.storage.local.set({ [FOLDER_QUEUE_KEY]: queue });
+}
+
+/**
+ * Import job IDs from the old page-localStorage shortlist
+ * Jobs already in the store are left untouched.
+ * @param {string[]} jobIds - Legacy shortlisted job IDs
+ * @returns {Promise<number>} Number of jobs imported
+ */
+async function migrateLegacyShortlist(jobIds) {
+  const existing = await getShortlist();
+  const now = Date.now();
+  const additions = {};
+
+  for (const jobId of jobIds.map(String)) {
+    if (existing[jobId]) continue;
+    additions[getShortlistKey(jobId)] = {
+      id: jobId,
+      addedAt: now,
+      updatedAt: now,
+      status: DEFAULT_JOB_STATUS,
+      statusHistory: [{ status: DEFAULT_JOB_STATUS, at: now }]
+    };
+  }
+
+  const imported = Object.keys(additions).length;
+  if (imported > 0) {
+    await setRecords(additions);
+  }
+
+  return imported;
+}
+
+/**
+ * Listen for shortlist changes from any extension context
+ * @param {function} callback - Callback function(changes), where changes maps
+ *   job ID -> { oldValue, newValue }; newValue is undefined when removed
+ */
+function onShortlistChanged(callback) {
+  onRecordsChanged(SHORTLIST_KEY_PREFIX, callback);
+}
+
+/**
+ * Get every private job note
+ * @returns {Promise<object>} Map of job ID -> { id, text, title, employer, updatedAt }
+ */
+async function getNotes() {
+  return getRecordsByPrefix(NOTE_KEY_PREFIX);
+}
+
+/**
+ * Get the note for a job
+ * @param {string} jobId - WaterlooWorks job ID
+ * @returns {Promise<object|null>} Note, or null if the job has none
+ */
+async function getNote(jobId) {
+  return getRecord(`${NOTE_KEY_PREFIX}${jobId}`);
+}
+
+/**
+ * Save the note for a job; blank text deletes it
+ * Notes are kept for any job, shortlisted or not.
+ * @param {string} jobId - WaterlooWorks job ID
+ * @param {string} text - Note text
+ * @param {object} job - Optional { title, employer }, so the note can be
+ *   found and named without the job being shortlisted
+ * @returns {Promise<object|null>} The stored note, or null if it was deleted
+ */
+async function saveNote(jobId, text, { title = '', employer = '' } = {}) {
+  const key = `${NOTE_KEY_PREFIX}${jobId}`;
+
+  if (!text || !text.trim()) {
+    await removeRecord(key);
+    return null;
+  }
+
+  const note = { id: String(jobId), text, updatedAt: Date.now() };
+  if (title) note.title = title;
+  if (employer) note.employer = employer;
+  await setRecords({ [key]: note });
+  return note;
+}
+
+/**
+ * Listen for note changes from any extension context
+ * @param {function} callback - Callback function(changes, areaName), keyed by job ID
+ */
+function onNotesChanged(callback) {
+  onRecordsChanged(NOTE_KEY_PREFIX, callback);
+}
+
+/**
+ * Local storage key for hidden job IDs. Kept out of sync storage because the
+ * list grows with every posting dismissed over a term.
+ */
+const HIDDEN_JOBS_KEY = 'hiddenJobs';
+
+/**
+ * Get every job the user has hidden from the postings table
+ * @returns {Promise<object>} Map of job ID -> time hidden
+ */
+async function getHiddenJobs() {
+  try {
+    const result = await chrome.storage.local.get(HIDDEN_JOBS_KEY);
+    return result[HIDDEN_JOBS_KEY] || {};
+  } catch (error) {
+    console.warn('[Azure] Failed to read hidden jobs:', error);
+    return {};
+  }
+}
+
+/**
+ * Hide or unhide a job
+ * @param {string} jobId - WaterlooWorks job ID
+ * @param {boolean} hidden - Whether the job should be hidden
+ * @returns {Promise<object>} Updated map of hidden jobs
+ */
+async function setJobHidden(jobId, hidden) {
+  const hiddenJobs = await getHiddenJobs();
+
+  if (hidden) {
+    hiddenJobs[String(jobId)] = Date.now();
+  } else {
+    delete hiddenJobs[String(jobId)];
+  }
+
+  await chrome.storage.local.set({ [HIDDEN_JOBS_KEY]: hiddenJobs });
+  return hiddenJobs;
+}
+
+/**
+ * Unhide every hidden job
+ * @returns {Promise<void>}
+ */
+async function clearHiddenJobs() {
+  await chrome.storage.local.remove(HIDDEN_JOBS_KEY);
+}
+
+/**
+ * Listen for hidden job changes from any extension context
+ * @param {function} callback - Callback function(hiddenJobs)
+ */
+function onHiddenJobsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[HIDDEN_JOBS_KEY]) {
+      callback(changes[HIDDEN_JOBS_KEY].newValue || {});
+    }
+  });
+}
+
+/**
+ * Local storage key for viewed jobs. Local only: it is written on every
+ * modal open, which would quickly exhaust the sync write quota.
+ */
+const VIEWED_JOBS_KEY = 'viewedJobs';
+
+/**
+ * Get every job the user has opened
+ * @returns {Promise<object>} Map of job ID -> { firstViewedAt, lastViewedAt, count }
+ */
+async function getViewedJobs() {
+  try {
+    const result = await chrome.storage.local.get(VIEWED_JOBS_KEY);
+    return result[VIEWED_JOBS_KEY] || {};
+  } catch (error) {
+    console.warn('[Azure] Failed to read viewed jobs:', error);
+    return {};
+  }
+}
+
+/**
+ * Record that a job was opened
+ * @param {string} jobId - WaterlooWorks job ID
+ * @returns {Promise<object>} The job's updated view entry
+ */
+async function markJobViewed(jobId) {
+  const viewedJobs = await getViewedJobs();
+  const now = Date.now();
+  const existing = viewedJobs[String(jobId)];
+
+  viewedJobs[String(jobId)] = {
+    firstViewedAt: existing ? existing.firstViewedAt : now,
+    lastViewedAt: now,
+    count: (existing ? existing.count : 0) + 1
   };
+
+  await chrome.storage.local.set({ [VIEWED_JOBS_KEY]: viewedJobs });
+  return viewedJobs[String(jobId)];
+}
+
+/**
+ * Forget every viewed job
+ * @returns {Promise<void>}
+ */
+async function clearViewedJobs() {
+  await chrome.storage.local.remove(VIEWED_JOBS_KEY);
+}
+
+/**
+ * Listen for viewed job changes from any extension context
+ * @param {function} callback - Callback function(viewedJobs)
+ */
+function onViewedJobsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[VIEWED_JOBS_KEY]) {
+      callback(changes[VIEWED_JOBS_KEY].newValue || {});
+    }
+  });
+}
+
+/**
+ * Local storage key for every job ID seen in the postings table
+ */
+const SEEN_POSTINGS_KEY = 'seenPostings';
+
+/**
+ * Local storage key for postings page visit times
+ */
+const POSTINGS_VISIT_KEY = 'postingsVisit';
+
+/**
+ * Gap after which returning to the postings page counts as a new visit
+ */
+const POSTINGS_VISIT_GAP_MS = 30 * 60 * 1000;
+
+/**
+ * Get every job ID seen in the postings table
+ * @returns {Promise<object>} Map of job ID -> first seen time (0 if the job was
+ *   already listed when tracking started)
+ */
+async function getSeenPostings() {
+  try {
+    const result = await chrome.storage.local.get(SEEN_POSTINGS_KEY);
+    return result[SEEN_POSTINGS_KEY] || {};
+  } catch (error) {
+    console.warn('[Azure] Failed to read seen postings:', error);
+    return {};
+  }
+}
+
+/**
+ * Record job IDs not seen before
+ * @param {string[]} jobIds - Job IDs currently in the postings table
+ * @param {number} firstSeenAt - Time to record for jobs not seen before
+ * @returns {Promise<object>} Updated map of job ID -> first seen time
+ */
+async function addSeenPostings(jobIds, firstSeenAt) {
+  const seen = await getSeenPostings();
+  const unseen = jobIds.map(String).filter(id => seen[id] === undefined);
+
+  if (unseen.length > 0) {
+    unseen.forEach(id => { seen[id] = firstSeenAt; });
+    await chrome.storage.local.set({ [SEEN_POSTINGS_KEY]: seen });
+  }
+  return seen;
+}
+
+/**
+ * Note activity on the postings page, starting a new visit after a long gap
+ * @returns {Promise<object>} { startedAt, lastActiveAt, previousActiveAt } where
+ *   previousActiveAt is the end of the previous visit, or null on the first visit
+ */
+async function startPostingsVisit() {
+  const now = Date.now();
+  const result = await chrome.storage.local.get(POSTINGS_VISIT_KEY);
+  const last = result[POSTINGS_VISIT_KEY];
+
+  const visit = last && now - last.lastActiveAt < POSTINGS_VISIT_GAP_MS
+    ? { ...last, lastActiveAt: now }
+    : { startedAt: now, lastActiveAt: now, previousActiveAt: last ? last.lastActiveAt : null };
+
+  await chrome.storage.local.set({ [POSTINGS_VISIT_KEY]: visit });
+  return visit;
+}
+
+/**
+ * Note that the postings page is still in use, so the next visit's
+ * previousActiveAt is when the user left rather than when the page loaded
+ * @returns {Promise<void>}
+ */
+async function touchPostingsVisit() {
+  const result = await chrome.storage.local.get(POSTINGS_VISIT_KEY);
+  const visit = result[POSTINGS_VISIT_KEY];
+  if (!visit) return;
+
+  await chrome.storage.local.set({ [POSTINGS_VISIT_KEY]: { ...visit, lastActiveAt: Date.now() } });
+}
+
+/**
+ * Local storage key for fields parsed from postings opened in the modal
+ */
+const PARSED_POSTINGS_KEY = 'parsedPostings';
+
+/**
+ * Parsed fields worth keeping per posting, for columns and badges in the table
+ */
+const PARSED_POSTING_FIELDS = [
+  'organization', 'work_term', 'duration', 'location', 'city', 'province',
+  'compensation', 'deadline', 'method', 'targeted_degrees'
+];
+
+// Oldest postings are dropped past this many
+const MAX_PARSED_POSTINGS = 2000;
+
+/**
+ * Get every cached posting parse
+ * @returns {Promise<object>} Map of job ID -> { ...fields, parsedAt }
+ */
+async function getParsedPostings() {
+  try {
+    const result = await chrome.storage.local.get(PARSED_POSTINGS_KEY);
+    return result[PARSED_POSTINGS_KEY] || {};
+  } catch (error) {
+    console.warn('[Azure] Failed to read parsed postings:', error);
+    return {};
+  }
+}
+
+/**
+ * Cache the fields parsed from a posting
+ * @param {string} jobId - WaterlooWorks job ID
+ * @param {object} values - Field key -> value, as from the rearranger's getFieldValues
+ * @returns {Promise<object>} The posting's cached entry
+ */
+async function saveParsedPosting(jobId, values) {
+  const parsed = await getParsedPostings();
+  const entry = { parsedAt: Date.now() };
+  for (const field of PARSED_POSTING_FIELDS) {
+    if (values[field]) entry[field] = values[field];
+  }
+  parsed[String(jobId)] = entry;
+
+  const ids = Object.keys(parsed);
+  if (ids.length > MAX_PARSED_POSTINGS) {
+    ids.sort((a, b) => parsed[a].parsedAt - parsed[b].parsedAt)
+      .slice(0, ids.length - MAX_PARSED_POSTINGS)
+      .forEach(id => delete parsed[id]);
+  }
+
+  await chrome.storage.local.set({ [PARSED_POSTINGS_KEY]: parsed });
+  return entry;
+}
+
+/**
+ * Listen for parsed posting changes from any extension context
+ * @param {function} callback - Callback function(parsedPostings)
+ */
+function onParsedPostingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[PARSED_POSTINGS_KEY]) {
+      callback(changes[PARSED_POSTINGS_KEY].newValue || {});
+    }
+  });
+}
+
+/**
+ * Local storage key for ticked application checklist items
+ */
+const CHECKLISTS_KEY = 'applicationChecklists';
+
+/**
+ * Get a posting's ticked application checklist items
+ * @param {string} jobId - WaterlooWorks job ID
+ * @returns {Promise<object>} Map of item text -> true
+ */
+async function getChecklist(jobId) {
+  try {
+    const result = await chrome.storage.local.get(CHECKLISTS_KEY);
+    return (result[CHECKLISTS_KEY] || {})[String(jobId)] || {};
+  } catch (error) {
+    console.warn('[Azure] Failed to read checklist:', error);
+    return {};
+  }
+}
+
+/**
+ * Tick or untick an application checklist item
+ * @param {string} jobId - WaterlooWorks job ID
+ * @param {string} item - Item text
+ * @param {boolean} done - Whether the item is ticked
+ * @returns {Promise<object>} The posting's updated checklist
+ */
+async function setChecklistItem(jobId, item, done) {
+  const result = await chrome.storage.local.get(CHECKLISTS_KEY);
+  const checklists = result[CHECKLISTS_KEY] || {};
+  const checklist = { ...checklists[String(jobId)] };
+
+  if (done) {
+    checklist[item] = true;
+  } else {
+    delete checklist[item];
+  }
+
+  if (Object.keys(checklist).length > 0) {
+    checklists[String(jobId)] = checklist;
+  } else {
+    delete checklists[String(jobId)];
+  }
+
+  await chrome.storage.local.set({ [CHECKLISTS_KEY]: checklists });
+  return checklist;
+}
+
+/**
+ * Local storage key for postings picked for side-by-side comparison
+ */
+const COMPARE_KEY = 'compareJobs';
+
+// Most postings the comparison view lays out at once
+const MAX_COMPARE_JOBS = 4;
+
+/**
+ * Get the postings picked for comparison
+ * @returns {Promise<object[]>} Job records in the order they were picked
+ */
+async function getCompareJobs() {
+  try {
+    const result = await chrome.storage.local.get(COMPARE_KEY);
+    return result[COMPARE_KEY] || [];
+  } catch (error) {
+    console.warn('[Azure] Failed to read comparison:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or remove a posting from the comparison
+ * @param {object} record - Job record with at least an id
+ * @param {boolean} selected - Whether the posting should be compared
+ * @returns {Promise<object[]|null>} The updated list, or null if it's already full
+ */
+async function setCompareJob(record, selected) {
+  const jobs = (await getCompareJobs()).filter(job => job.id !== String(record.id));
+
+  if (selected) {
+    if (jobs.length >= MAX_COMPARE_JOBS) return null;
+    jobs.push({ ...record, id: String(record.id) });
+  }
+
+  await chrome.storage.local.set({ [COMPARE_KEY]: jobs });
+  return jobs;
+}
+
+/**
+ * Empty the comparison
+ */
+async function clearCompareJobs() {
+  await chrome.storage.local.set({ [COMPARE_KEY]: [] });
+}
+
+/**
+ * Listen for comparison changes from any extension context
+ * @param {function} callback - Callback function(compareJobs)
+ */
+function onCompareJobsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[COMPARE_KEY]) {
+      callback(changes[COMPARE_KEY].newValue || []);
+    }
+  });
+}
+
+/**
+ * Local storage key for postings found to have changed since they were last viewed
+ */
+const CHANGED_POSTINGS_KEY = 'changedPostings';
+
+// Oldest changes are dropped past this many
+const MAX_CHANGED_POSTINGS = 200;
+
+/**
+ * Get every recorded posting change
+ * @returns {Promise<object>} Map of job ID -> { detectedAt, since, fields, sections }
+ */
+async function getChangedPostings() {
+  try {
+    const result = await chrome.storage.local.get(CHANGED_POSTINGS_KEY);
+    return result[CHANGED_POSTINGS_KEY] || {};
+  } catch (error) {
+    console.warn('[Azure] Failed to read changed postings:', error);
+    return {};
+  }
+}
+
+/**
+ * Record how a posting changed, or clear it once seen
+ * @param {string} jobId - WaterlooWorks job ID
+ * @param {object|null} change - { detectedAt, since, fields, sections }, or null to clear
+ */
+async function setPostingChange(jobId, change) {
+  const changed = await getChangedPostings();
+
+  if (change) {
+    changed[String(jobId)] = change;
+  } else {
+    delete changed[String(jobId)];
+  }
+
+  const ids = Object.keys(changed);
+  if (ids.length > MAX_CHANGED_POSTINGS) {
+    ids.sort((a, b) => changed[a].detectedAt - changed[b].detectedAt)
+      .slice(0, ids.length - MAX_CHANGED_POSTINGS)
+      .forEach(id => delete changed[id]);
+  }
+
+  await chrome.storage.local.set({ [CHANGED_POSTINGS_KEY]: changed });
+}
+
+/**
+ * Listen for posting changes from any extension context
+ * @param {function} callback - Callback function(changedPostings)
+ */
+function onChangedPostingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CHANGED_POSTINGS_KEY]) {
+      callback(changes[CHANGED_POSTINGS_KEY].newValue || {});
+    }
+  });
+}
+
+// Export for use in other scripts (window in pages, self in the service worker)
+const AzureStorageExports = {
+  StorageKeys,
+  DefaultSettings,
+  getSettings,
+  saveSettings,
+  resetSettings,
+  onSettingsChanged,
+  JobStatuses,
+  isShortlistKey,
+  getShortlist,
+  getShortlistRecord,
+  saveShortlistRecord,
+  getJobStatus,
+  setJobStatus,
+  removeShortlistRecord,
+  getFolderQueue,
+  queueFolderChanges,
+  removeFromFolderQueue,
+  migrateLegacyShortlist,
+  onShortlistChanged,
+  getNotes,
+  getNote,
+  saveNote,
+  onNotesChanged,
+  getHiddenJobs,
+  setJobHidden,
+  clearHiddenJobs,
+  onHiddenJobsChanged,
+  getViewedJobs,
+  markJobViewed,
+  clearViewedJobs,
+  onViewedJobsChanged,
+  getSeenPostings,
+  addSeenPostings,
+  startPostingsVisit,
+  touchPostingsVisit,
+  getParsedPostings,
+  saveParsedPosting,
+  onParsedPostingsChanged,
+  getChecklist,
+  setChecklistItem,
+  MAX_COMPARE_JOBS,
+  getCompareJobs,
+  setCompareJob,
+  clearCompareJobs,
+  onCompareJobsChanged,
+  getChangedPostings,
+  setPostingChange,
+  onChangedPostingsChanged
+};
+
+if (typeof window !== 'undefined') {
+  window.AzureStorage = AzureStorageExports;
+} else if (typeof self !== 'undefined') {
+  self.AzureStorage = AzureStorageExports;
 }